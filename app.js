@@ -1,8 +1,8 @@
-// ===== L-Shape Stone Volume Calculator (with Chamfer / Bullnose) =====
+// ===== L-Shape Stone Volume Calculator (with Edge Profiles) =====
 //
 // Cross-section decomposition:
 //
-//   ╲  or  ╭                        (chamfer or bullnose on top edge)
+//   ╲  or  ╭                        (edge profile on top edge)
 //   ┌──────────────────────────┐
 //   │        flat slab         │ T (flat thickness)
 //   └──────────────┬───────────┘
@@ -10,13 +10,37 @@
 //                  │    Lw     │
 //                  └───────────┘
 //
-// Chamfer:  V = L × (W × T + Lw × Lh) − ½ × Tr² × L
-// Bullnose: V = L × (W × T + Lw × Lh) − Tr² × (1 − π/4) × L
+// V = L × (W × T + Lw × Lh) − ΣAₑ × L, where Aₑ is the area each edge profile
+// (profiles.js) removes from its corner
 
 (function () {
   'use strict';
 
+  const I18n = window.StoneI18n;
+  const t = I18n.t;
+  const Units = window.StoneUnits;
+  const Profiles = window.StoneProfiles;
+  const Geometry = window.StoneGeometry;
+  const Materials = window.StoneMaterials;
+  const Pricing = window.StonePricing;
+  const Order = window.StoneOrder;
+  const Csv = window.StoneCsv;
+  const Xlsx = window.StoneXlsx;
+  const Dxf = window.StoneDxf;
+  const Pdf = window.StonePdf;
+  const Drawing = window.StoneDrawing;
+  const Yield = window.StoneYield;
+  const Stairs = window.StoneStairs;
+  const Curve = window.StoneCurve;
+  const Solver = window.StoneSolver;
+  const Compare = window.StoneCompare;
+  const Projects = window.StoneProjects;
+  const Viewer = window.StoneViewer;
+
   // --- DOM refs ---
+  const $language = document.getElementById('language');
+  const $lengthUnit = document.getElementById('lengthUnit');
+  const $volumeUnit = document.getElementById('volumeUnit');
   const $length = document.getElementById('length');
   const $width = document.getElementById('width');
   const $flatThickness = document.getElementById('flatThickness');
@@ -32,92 +56,404 @@
   const $dims = document.getElementById('dimensions');
   const $btnCross = document.getElementById('btnCross');
   const $btnIso = document.getElementById('btnIso');
+  const $cameraPresets = document.getElementById('cameraPresets');
   const $validationMsg = document.getElementById('validationMsg');
-  const $edgeChamfer = document.getElementById('edgeChamfer');
-  const $edgeBullnose = document.getElementById('edgeBullnose');
+  const $edgeType = document.getElementById('edgeType');
+  const $angleGroup = document.getElementById('angleGroup');
+  const $chamferAngle = document.getElementById('chamferAngle');
+  const $cornerEdges = document.getElementById('cornerEdges');
+  const $endTreatments = document.getElementById('endTreatments');
   const $chamferLabel = document.getElementById('chamferLabel');
   const $chamferHint = document.getElementById('chamferHint');
   const $formulaText = document.getElementById('formulaText');
   const $formulaDesc = document.getElementById('formulaDesc');
   const $autoFitBtn = document.getElementById('autoFitBtn');
+  const $material = document.getElementById('material');
+  const $customDensity = document.getElementById('customDensity');
+  const $handlingLimit = document.getElementById('handlingLimit');
+  const $weightOne = document.getElementById('weightOne');
+  const $weightTotal = document.getElementById('weightTotal');
+  const $handlingWarning = document.getElementById('handlingWarning');
+  const $surfacesBody = document.querySelector('#surfacesTable tbody');
+  const $stoneBasis = document.getElementById('stoneBasis');
+  const $stonePrice = document.getElementById('stonePrice');
+  const $edgePriceFields = document.getElementById('edgePriceFields');
+  const $wastePct = document.getElementById('wastePct');
+  const $marginPct = document.getElementById('marginPct');
+  const $taxPct = document.getElementById('taxPct');
+  const $currency = document.getElementById('currency');
+  const $customerName = document.getElementById('customerName');
+  const $quoteRef = document.getElementById('quoteRef');
+  const $pricingMsg = document.getElementById('pricingMsg');
+  const $quoteTable = document.getElementById('quoteTable');
+  const $printQuoteBtn = document.getElementById('printQuoteBtn');
+  const $quoteSheet = document.getElementById('quoteSheet');
+  const $orderBody = document.querySelector('#orderTable tbody');
+  const $orderSummary = document.getElementById('orderSummary');
+  const $addRowBtn = document.getElementById('addRowBtn');
+  const $importBtn = document.getElementById('importBtn');
+  const $importFile = document.getElementById('importFile');
+  const $exportCsvBtn = document.getElementById('exportCsvBtn');
+  const $exportXlsxBtn = document.getElementById('exportXlsxBtn');
+  const $importMapping = document.getElementById('importMapping');
+  const $importFileName = document.getElementById('importFileName');
+  const $mappingFields = document.getElementById('mappingFields');
+  const $importReport = document.getElementById('importReport');
+  const $importValidBtn = document.getElementById('importValidBtn');
+  const $importAllBtn = document.getElementById('importAllBtn');
+  const $importCancelBtn = document.getElementById('importCancelBtn');
+  const $importReplace = document.getElementById('importReplace');
+  const $exportDxfBtn = document.getElementById('exportDxfBtn');
+  const $jobName = document.getElementById('jobName');
+  const $drawingSheet = document.getElementById('drawingSheet');
+  const $drawingScale = document.getElementById('drawingScale');
+  const $drawingMsg = document.getElementById('drawingMsg');
+  const $block = {
+    L: document.getElementById('blockLength'),
+    W: document.getElementById('blockWidth'),
+    H: document.getElementById('blockHeight'),
+    kerf: document.getElementById('sawKerf'),
+    trim: document.getElementById('trimAllowance'),
+  };
+  const $yieldMsg = document.getElementById('yieldMsg');
+  const $yieldResults = document.getElementById('yieldResults');
+  const $yieldDiagram = document.getElementById('yieldDiagram');
+  const $flight = {
+    rise: document.getElementById('stairRise'),
+    going: document.getElementById('stairGoing'),
+    riser: document.getElementById('stairRiser'),
+    tread: document.getElementById('stairTread'),
+    maxRiser: document.getElementById('stairMaxRiser'),
+    paceMin: document.getElementById('stairPaceMin'),
+    paceMax: document.getElementById('stairPaceMax'),
+  };
+  const $stairMode = document.getElementById('stairMode');
+  const $stairSteps = document.getElementById('stairSteps');
+  const $stairsMsg = document.getElementById('stairsMsg');
+  const $stairsResults = document.getElementById('stairsResults');
+  const $stairsDiagram = document.getElementById('stairsDiagram');
+  const $useTreadBtn = document.getElementById('useTreadBtn');
+  const $curveRadius = document.getElementById('curveRadius');
+  const $curveAt = document.getElementById('curveAt');
+  const $curveSweep = document.getElementById('curveSweep');
+  const $curveSegments = document.getElementById('curveSegments');
+  const $curveFront = document.getElementById('curveFront');
+  const $curveMsg = document.getElementById('curveMsg');
+  const $curveResults = document.getElementById('curveResults');
+  const $curveDiagram = document.getElementById('curveDiagram');
+  const $solveUnknown = document.getElementById('solveUnknown');
+  const $solveTarget = document.getElementById('solveTarget');
+  const $solveAmount = document.getElementById('solveAmount');
+  const $solveAmountUnit = document.getElementById('solveAmountUnit');
+  const $solveLength = document.getElementById('solveLength');
+  const $solveMsg = document.getElementById('solveMsg');
+  const $solveResults = document.getElementById('solveResults');
+  const $solveApplyBtn = document.getElementById('solveApplyBtn');
+  const $comparePanel = document.getElementById('comparePanel');
+  const $compareHead = document.querySelector('#compareTable thead');
+  const $compareFields = document.querySelector('#compareTable .compare-fields');
+  const $compareResults = document.querySelector('#compareTable .compare-results');
+  const $addVariantBtn = document.getElementById('addVariantBtn');
+  const $projectName = document.getElementById('projectName');
+  const $saveProjectBtn = document.getElementById('saveProjectBtn');
+  const $copyLinkBtn = document.getElementById('copyLinkBtn');
+  const $projectStatus = document.getElementById('projectStatus');
+  const $projectBody = document.querySelector('#projectTable tbody');
+  const $exportProjectsBtn = document.getElementById('exportProjectsBtn');
+  const $importProjectsBtn = document.getElementById('importProjectsBtn');
+  const $importProjectsFile = document.getElementById('importProjectsFile');
+  const $exportDrawingSvgBtn = document.getElementById('exportDrawingSvgBtn');
+  const $exportDrawingPdfBtn = document.getElementById('exportDrawingPdfBtn');
 
   let currentView = 'cross'; // 'cross' | 'iso'
+  let lengthUnit = 'mm'; // unit the length inputs are currently written in
+  let crossView = null; // { scale, ox, oy } of the cross-section last drawn
+  let drag = null; // handle being dragged, with the view it started in
+  let camera = Viewer.camera('iso'); // 3D view camera
+  let orbit = null; // pointer orbiting or panning the 3D view
+  let projects = Projects.load(window.localStorage); // saved projects, newest first
+  let currentProject = null; // id of the project last saved or opened
+  let solution = null; // last inverse solution found, for "Use this value"
+  let solveTimer = null; // pending solve while the stone is being typed
+  let solvedFor = ''; // inputs of the solve on screen
+  const SOLVE_DELAY = 250; // ms after the last edit to the stone
+  const order = { rows: [], selected: 0 }; // rows: { name, L, W, T, Lw, Lh, Tr, qty, edge, angle, corners }
+  const pendingImport = { table: null, delimiter: null, mapping: null }; // spreadsheet waiting for column mapping
+  const variants = [{ edge: 'bullnose' }]; // own changes of each compared variant after A
+  let compareVisible = true; // compare panel on screen (assumed where that cannot be watched)
+  let comparedFor = ''; // inputs of the comparison on screen
+
+  // --- Language ---
+  // Chosen before anything is built from the engine's tables, whose labels
+  // are read in the current language
+  I18n.setLocale(I18n.load(window.localStorage) || I18n.detect(navigator.languages));
+  Object.keys(I18n.LOCALES).forEach(id => $language.add(new Option(I18n.LOCALES[id].name, id)));
+  $language.value = I18n.locale();
+  translatePage();
+
+  // --- Edge profile controls (built from the profile table) ---
+  // Built again when the language changes, keeping what is selected
+  function buildEdgeControls() {
+    const edge = $edgeType.value || 'chamfer';
+    const corners = getCorners();
+    const ends = getEnds();
+    $edgeType.innerHTML = '';
+    Profiles.TYPES.forEach(type => $edgeType.add(new Option(Profiles.PROFILES[type].label, type)));
+    $edgeType.value = edge;
+
+    // One row per corner other than the top front, which has its own fields above
+    $cornerEdges.innerHTML = Geometry.CORNERS.filter(corner => corner.id !== 'topRight').map(corner => `
+      <div class="corner-row" data-corner="${corner.id}">
+        <span class="corner-name">${capitalize(corner.label)}</span>
+        <select aria-label="${t('corners.profileAria', { corner: corner.label })}">
+          <option value="none">${t('edge.square')}</option>
+          ${Profiles.TYPES.map(type => `<option value="${type}">${Profiles.PROFILES[type].label}</option>`).join('')}
+        </select>
+        <input type="text" class="corner-size" data-length spellcheck="false" aria-label="${t('corners.sizeAria', { corner: corner.label })}" hidden>
+        <input type="number" class="corner-angle" value="${Profiles.DEFAULT_ANGLE}" min="1" max="89" step="1" aria-label="${t('corners.angleAria', { corner: corner.label })}" hidden>
+      </div>`).join('');
+    $cornerEdges.querySelectorAll('.corner-size').forEach(el => writeLength(el, 10));
+
+    // One row per end: square, mitre at an angle, or the top front edge returned
+    $endTreatments.innerHTML = Geometry.ENDS.map(end => `
+      <div class="corner-row end-row" data-end="${end.id}">
+        <span class="corner-name">${capitalize(end.label)}</span>
+        <select aria-label="${t('ends.treatmentAria', { end: end.label })}">
+          <option value="square">${t('ends.square')}</option>
+          <option value="mitre">${t('ends.mitre')}</option>
+          <option value="return">${t('ends.return')}</option>
+        </select>
+        <input type="number" class="end-angle" value="45" min="-89" max="89" step="0.5" aria-label="${t('ends.angleAria', { end: end.label })}" hidden>
+      </div>`).join('');
+    setCorners(corners);
+    setEnds(ends);
+  }
+  buildEdgeControls();
+
+  // Fabrication rate per lm for every edge type, keyed like Pricing.EDGE_LABELS
+  $edgePriceFields.innerHTML = Object.keys(Pricing.EDGE_LABELS).map(key => `
+    <div class="input-group">
+      <label for="priceEdge-${key}">
+        <span class="label-text" data-edge="${key}"></span>
+      </label>
+      <input type="number" id="priceEdge-${key}" min="0" step="0.5">
+    </div>`).join('');
+  const $priceEdge = {};
+  Object.keys(Pricing.EDGE_LABELS).forEach(key => { $priceEdge[key] = document.getElementById(`priceEdge-${key}`); });
+
+  function labelPriceFields() {
+    $edgePriceFields.querySelectorAll('[data-edge]').forEach(el => {
+      el.textContent = el.dataset.edge === 'none' ? t('pricing.squareEdge') : Profiles.PROFILES[el.dataset.edge].label;
+    });
+  }
+  labelPriceFields();
 
   // --- Helpers ---
+  // Length inputs hold text in the selected unit; the engine wants mm. The
+  // exact mm value is kept on the input so unit round trips do not drift.
+  function readLength(el) {
+    if (el.dataset.mm !== undefined && el.dataset.text === el.value) return Number(el.dataset.mm);
+    return Units.parseLength(el.value, lengthUnit);
+  }
+
+  function writeLength(el, mm) {
+    const value = parseFloat(mm);
+    el.value = isNaN(value) ? '' : Units.formatLength(value, lengthUnit);
+    el.dataset.mm = isNaN(value) ? '' : value;
+    el.dataset.text = el.value;
+  }
+
+  // Dimension label text in the selected unit
+  function dim(mm) {
+    return Units.formatLength(mm, lengthUnit, { mark: true });
+  }
+
+  // "left end" → "Left end"
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // Code of a quantity's unit → its abbreviation in the current language
+  function unitName(unit) {
+    return unit === 'lm' ? t('unit.lm') : unit;
+  }
+
   function getEdgeType() {
-    return $edgeBullnose.checked ? 'bullnose' : 'chamfer';
+    return $edgeType.value;
+  }
+
+  // Edges set on the other corners: { topLeft: { edge, Tr, angle }, … }
+  function getCorners() {
+    const corners = {};
+    $cornerEdges.querySelectorAll('.corner-row').forEach(row => {
+      const edge = row.querySelector('select').value;
+      if (edge === 'none') return;
+      corners[row.dataset.corner] = {
+        edge,
+        Tr: readLength(row.querySelector('.corner-size')),
+        angle: row.querySelector('.corner-angle').value,
+      };
+    });
+    return corners;
+  }
+
+  function setCorners(corners) {
+    $cornerEdges.querySelectorAll('.corner-row').forEach(row => {
+      const c = (corners || {})[row.dataset.corner];
+      row.querySelector('select').value = c && Profiles.PROFILES[c.edge] ? c.edge : 'none';
+      if (c) {
+        writeLength(row.querySelector('.corner-size'), c.Tr);
+        row.querySelector('.corner-angle').value = c.angle;
+      }
+      updateCornerRow(row);
+    });
+  }
+
+  // Treatments of both ends: { left: { type, angle }, right: … }
+  function getEnds() {
+    const ends = {};
+    $endTreatments.querySelectorAll('.end-row').forEach(row => {
+      ends[row.dataset.end] = { type: row.querySelector('select').value, angle: row.querySelector('.end-angle').value };
+    });
+    return ends;
+  }
+
+  function setEnds(ends) {
+    $endTreatments.querySelectorAll('.end-row').forEach(row => {
+      const e = (ends || {})[row.dataset.end];
+      row.querySelector('select').value = e && Geometry.END_TYPES.includes(e.type) ? e.type : 'square';
+      if (e && e.type === 'mitre') row.querySelector('.end-angle').value = e.angle;
+      updateEndRow(row);
+    });
+  }
+
+  // Angle only for mitres
+  function updateEndRow(row) {
+    row.querySelector('.end-angle').hidden = row.querySelector('select').value !== 'mitre';
+  }
+
+  // Size only for sized profiles, angle only for chamfers
+  function updateCornerRow(row) {
+    const profile = Profiles.PROFILES[row.querySelector('select').value];
+    row.querySelector('.corner-size').hidden = !profile || !profile.sized;
+    row.querySelector('.corner-angle').hidden = !profile || row.querySelector('select').value !== 'chamfer';
   }
 
   function getValues() {
-    return {
-      L: parseFloat($length.value) || 0,
-      W: parseFloat($width.value) || 0,
-      T: parseFloat($flatThickness.value) || 0,
-      Lw: parseFloat($lipWidth.value) || 0,
-      Lh: parseFloat($lipHeight.value) || 0,
-      Tr: parseFloat($chamfer.value) || 0,
-      qty: parseInt($quantity.value, 10) || 1,
+    return Geometry.normalize({
+      L: readLength($length),
+      W: readLength($width),
+      T: readLength($flatThickness),
+      Lw: readLength($lipWidth),
+      Lh: readLength($lipHeight),
+      Tr: readLength($chamfer),
+      qty: $quantity.value,
       edge: getEdgeType(),
-    };
+      angle: $chamferAngle.value,
+      corners: getCorners(),
+      ends: getEnds(),
+    });
+  }
+
+  // Density in kg/m³ of the selected material (0 when the custom value is unusable)
+  function getDensity() {
+    if ($material.value === 'custom') return Math.max(0, parseFloat($customDensity.value) || 0);
+    const mat = Materials.materials.find(m => m.id === $material.value);
+    return mat ? mat.density : 0;
+  }
+
+  function formatWeight(kg) {
+    if (!(kg > 0)) return '—';
+    if (kg >= 1000) return I18n.number(kg / 1000, 3, 3) + ' t';
+    return I18n.number(kg, 1, 1) + ' kg';
+  }
+
+  function materialLabel(mat) {
+    return I18n.has(`material.${mat.id}`) ? t(`material.${mat.id}`) : mat.name;
+  }
+
+  function materialName() {
+    if ($material.value === 'custom') return t('material.customName', { density: I18n.number(getDensity()) });
+    const mat = Materials.materials.find(m => m.id === $material.value);
+    return mat ? materialLabel(mat).toLowerCase() : '';
+  }
+
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
   }
 
   function formatVolume(mm3) {
-    const m3 = mm3 / 1e9;
-    if (m3 === 0) return '—';
-    if (m3 < 0.0001) return m3.toExponential(4) + ' m³';
-    return m3.toFixed(6) + ' m³';
+    return Units.formatVolume(mm3, $volumeUnit.value);
   }
 
   // --- Update UI labels based on edge type ---
   function updateEdgeUI() {
     const edge = getEdgeType();
-    if (edge === 'bullnose') {
-      $chamferLabel.innerHTML = 'Radius (T<sub>r</sub>)';
-      $chamferHint.textContent = 'Quarter-circle radius on top edge (0 = no edge). Must be less than T.';
-      $formulaText.innerHTML = 'V = L × [ W × T + Lw × Lh ] − T<sub>r</sub>² × (1 − π/4) × L';
-      $formulaDesc.innerHTML = 'The L-shape is decomposed into a flat slab (W × T) plus a vertical lip (Lw × Lh), extruded along L. A bullnose removes a square minus a quarter-circle with radius = T<sub>r</sub>.';
-      $autoFitBtn.style.display = 'block';
+    const profile = Profiles.PROFILES[edge];
+    $angleGroup.style.display = edge === 'chamfer' ? '' : 'none';
+    $chamfer.disabled = !profile.sized;
+    if (edge === 'chamfer') {
+      $chamferLabel.innerHTML = t('input.size.chamfer');
+    } else if (profile.round) {
+      $chamferLabel.innerHTML = t('input.size.radius');
     } else {
-      $chamferLabel.innerHTML = 'Chamfer Depth (T<sub>r</sub>)';
-      $chamferHint.textContent = '45° chamfer leg length on top edge (0 = no edge). Must be less than T.';
-      $formulaText.innerHTML = 'V = L × [ W × T + Lw × Lh ] − ½ × T<sub>r</sub>² × L';
-      $formulaDesc.innerHTML = 'The L-shape is decomposed into a flat slab (W × T) plus a vertical lip (Lw × Lh), extruded along L. A 45° chamfer removes a right-isosceles triangular prism with legs = T<sub>r</sub>.';
-      $autoFitBtn.style.display = 'none';
+      $chamferLabel.innerHTML = t('input.size.profile');
     }
+    $chamferHint.textContent = profile.hint + (profile.sized ? ' ' + t('input.size.hint') : '');
+    $autoFitBtn.style.display = edge === 'bullnose' ? 'block' : 'none';
   }
 
-  // --- Input Validation ---
-  function validate() {
-    const v = getValues();
-    const errors = [];
-    const errorInputs = new Set();
-
-    // All dimensions must be positive (except Tr which can be 0)
-    if (v.L <= 0) { errors.push('Length (L) must be greater than 0.'); errorInputs.add($length); }
-    if (v.W <= 0) { errors.push('Total Width (W) must be greater than 0.'); errorInputs.add($width); }
-    if (v.T <= 0) { errors.push('Flat Thickness (T) must be greater than 0.'); errorInputs.add($flatThickness); }
-    if (v.Lw <= 0) { errors.push('Lip Width (Lw) must be greater than 0.'); errorInputs.add($lipWidth); }
-    if (v.Lh <= 0) { errors.push('Lip Drop Height (Lh) must be greater than 0.'); errorInputs.add($lipHeight); }
-    if (v.Tr < 0) { errors.push('T\u1d63 cannot be negative.'); errorInputs.add($chamfer); }
-    if (v.qty < 1) { errors.push('Quantity must be at least 1.'); errorInputs.add($quantity); }
-
-    // Relationship constraints
-    if (v.Tr > 0 && v.T > 0 && v.Tr >= v.T) {
-      errors.push('T\u1d63 must be less than Flat Thickness (T).');
-      errorInputs.add($chamfer);
-    }
-    if (v.Lw > 0 && v.W > 0 && v.Lw >= v.W) {
-      errors.push('Lip Width (Lw) must be less than Total Width (W).');
-      errorInputs.add($lipWidth);
+  // Formula for the edges actually applied: one term per edge, from its profile
+  function updateFormula(p) {
+    const sub = text => escapeHtml(text).replace(/Tᵣ/g, 'T<sub>r</sub>');
+    const applied = Geometry.edges(p).filter(e => !e.pairedWith);
+    const base = 'V = L × [ W × T + Lw × Lh ]';
+    let desc = escapeHtml(t('formula.decomposed'));
+
+    if (applied.length === 0) {
+      $formulaText.innerHTML = base;
+    } else if (applied.length === 1 && applied[0].corner.id === 'topRight') {
+      $formulaText.innerHTML = `${base} − ${sub(applied[0].profile.formula)} × L`;
+    } else {
+      $formulaText.innerHTML = `${base} − ΣA<sub>e</sub> × L`;
     }
+    applied.forEach(e => {
+      const where = e.profile.paired ? e.corner.pair : e.corner.label;
+      const formula = e.edge === 'chamfer' ? e.profile.formula.replace('θ', `${I18n.number(e.angle, 2)}°`) : e.profile.formula;
+      desc += ' ' + t('formula.removes', {
+        edge: sub(Profiles.label(e.edge, e.angle)),
+        where: escapeHtml(where),
+        formula: sub(formula),
+        area: I18n.number(Geometry.removedArea(e) * (e.profile.paired ? 2 : 1)),
+      });
+    });
+    $formulaDesc.innerHTML = desc;
+  }
 
-    // Update UI
-    const allInputs = [$length, $width, $flatThickness, $lipWidth, $lipHeight, $chamfer, $quantity];
-    allInputs.forEach(el => el.classList.remove('input-error'));
-    errorInputs.forEach(el => el.classList.add('input-error'));
+  // --- Input Validation ---
+  const fieldInputs = {
+    L: $length,
+    W: $width,
+    T: $flatThickness,
+    Lw: $lipWidth,
+    Lh: $lipHeight,
+    Tr: $chamfer,
+    qty: $quantity,
+    edge: $edgeType,
+    angle: $chamferAngle,
+    corners: $cornerEdges,
+    ends: $endTreatments,
+  };
+
+  // Shows the engine's validation errors next to the inputs; returns true when valid
+  function showErrors(errors) {
+    Object.values(fieldInputs).forEach(el => el.classList.remove('input-error'));
+    errors.forEach(err => {
+      if (fieldInputs[err.field]) fieldInputs[err.field].classList.add('input-error');
+    });
 
     if (errors.length > 0) {
-      $validationMsg.innerHTML = '⚠ ' + errors.join('<br>⚠ ');
+      $validationMsg.innerHTML = '⚠ ' + errors.map(err => err.message).join('<br>⚠ ');
       $validationMsg.classList.add('visible');
       return false;
     } else {
@@ -129,30 +465,52 @@
 
   // --- Volume Calculation ---
   function calculate() {
-    if (!validate()) {
+    syncOrder();
+    updateUrl();
+    const result = Geometry.compute(getValues());
+    $customDensity.classList.toggle('input-error', $material.value === 'custom' && getDensity() <= 0);
+    $exportDxfBtn.disabled = !result.valid;
+    updateDrawingUI(result);
+    updateFormula(result.params);
+    if (!showErrors(result.errors)) {
       $volumeOne.textContent = '—';
       $volumeTotal.textContent = '—';
+      $weightOne.textContent = '—';
+      $weightTotal.textContent = '—';
+      $handlingWarning.classList.remove('visible');
+      renderSurfaces(result);
+      renderQuote(result);
+      renderYield();
+      renderStairs();
+      renderCurve();
+      scheduleSolve();
+      renderCompare();
       return;
     }
 
-    const v = getValues();
-    // Base L-shape volume
-    const baseVol = v.L * (v.W * v.T + v.Lw * v.Lh); // mm³
-
-    // Edge removal volume
-    let edgeVol = 0;
-    if (v.edge === 'chamfer') {
-      // 45° chamfer: right isosceles triangle with legs = Tr
-      edgeVol = 0.5 * v.Tr * v.Tr * v.L;
+    $volumeOne.textContent = formatVolume(result.volumeOne);
+    $volumeTotal.textContent = formatVolume(result.volumeTotal);
+
+    // Weight from the selected material
+    const density = getDensity();
+    const kgOne = Geometry.mass(result.volumeOne, density);
+    const limit = parseFloat($handlingLimit.value) || 0;
+    $weightOne.textContent = formatWeight(kgOne);
+    $weightTotal.textContent = formatWeight(kgOne * result.params.qty);
+    if (limit > 0 && kgOne > limit) {
+      $handlingWarning.textContent = '⚠ ' + t('results.handlingWarning', { weight: formatWeight(kgOne), limit: I18n.number(limit, 1) });
+      $handlingWarning.classList.add('visible');
     } else {
-      // Bullnose: square minus quarter-circle = Tr² × (1 - π/4)
-      edgeVol = v.Tr * v.Tr * (1 - Math.PI / 4) * v.L;
+      $handlingWarning.classList.remove('visible');
     }
 
-    const volOne = Math.max(0, baseVol - edgeVol);
-    const volTotal = volOne * v.qty;
-    $volumeOne.textContent = formatVolume(volOne);
-    $volumeTotal.textContent = formatVolume(volTotal);
+    renderSurfaces(result);
+    renderQuote(result);
+    renderYield();
+    renderStairs();
+    renderCurve();
+    scheduleSolve();
+    renderCompare();
 
     // pulse animation
     const rc = document.getElementById('resultsCard');
@@ -161,6 +519,1000 @@
     rc.style.animation = 'pulse .35s ease';
   }
 
+  // --- Surfaces & edge lengths ---
+  // Visible faces, both ends and every edge profile, per piece and for the quantity
+  function renderSurfaces(result) {
+    if (!result.valid) {
+      $surfacesBody.innerHTML = '<tr><td colspan="4">—</td></tr>';
+      return;
+    }
+    const qty = result.params.qty;
+    const s = Geometry.surfaces(result.params);
+    const rows = [];
+    s.faces.filter(face => face.visible && face.area > 0).forEach(face => {
+      rows.push([capitalize(face.label), face.area / 1e6, 'm²']);
+    });
+    s.ends.list.forEach(end => {
+      const how = end.type === 'mitre' ? t('surfaces.mitre', { angle: I18n.number(end.angle, 2) })
+        : end.type === 'return' ? t('surfaces.returned') : t('surfaces.square');
+      rows.push([`${capitalize(end.label)} (${how})`, end.area / 1e6, 'm²']);
+    });
+    s.edges.forEach(e => {
+      rows.push([t('surfaces.profileSurface', { edge: e.label }), e.area / 1e6, 'm²']);
+      rows.push([t('surfaces.edgeLength', { edge: e.label }), e.metres, 'lm']);
+    });
+    const finished = rows.filter(row => row[2] === 'm²').reduce((sum, row) => sum + row[1], 0);
+
+    $surfacesBody.innerHTML = rows.map(([label, one, unit]) => `
+      <tr>
+        <td>${escapeHtml(label)}</td>
+        <td class="num">${formatQuantity(one, unit)}</td>
+        <td class="num">${formatQuantity(one * qty, unit)}</td>
+        <td>${unitName(unit)}</td>
+      </tr>`).join('') + `
+      <tr class="total">
+        <td>${t('surfaces.finished')}</td>
+        <td class="num">${formatQuantity(finished, 'm²')}</td>
+        <td class="num">${formatQuantity(finished * qty, 'm²')}</td>
+        <td>m²</td>
+      </tr>`;
+  }
+
+  // Builds an SVG path from an engine outline; toScreen maps mm → SVG coordinates.
+  // An open path (a single edge curve) is not closed back to its start.
+  function outlinePath(pts, toScreen, scale, open) {
+    const parts = pts.map((pt, i) => {
+      const [x, y] = toScreen(pt.x, pt.y);
+      const prev = pts[i - 1];
+      if (i === 0) return `M ${x} ${y}`;
+      if (!prev.bulge) return `L ${x} ${y}`;
+      // y is flipped on screen, so a clockwise (negative) bulge sweeps positively
+      const r = Geometry.arc(prev, pt, prev.bulge).r * scale;
+      return `A ${r} ${r} 0 0 ${prev.bulge < 0 ? 1 : 0} ${x} ${y}`;
+    });
+    return parts.join(' ') + (open ? '' : ' Z');
+  }
+
+  // --- Order (bill of quantities) ---
+  // Values the page was loaded with (in mm), used for newly added rows
+  function getDefaults() {
+    return Geometry.normalize({
+      L: $length.defaultValue,
+      W: $width.defaultValue,
+      T: $flatThickness.defaultValue,
+      Lw: $lipWidth.defaultValue,
+      Lh: $lipHeight.defaultValue,
+      Tr: $chamfer.defaultValue,
+      qty: $quantity.defaultValue,
+      edge: 'chamfer',
+      angle: $chamferAngle.defaultValue,
+      corners: {},
+      ends: {},
+    });
+  }
+
+  function setValues(v) {
+    writeLength($length, v.L);
+    writeLength($width, v.W);
+    writeLength($flatThickness, v.T);
+    writeLength($lipWidth, v.Lw);
+    writeLength($lipHeight, v.Lh);
+    writeLength($chamfer, v.Tr);
+    $quantity.value = v.qty;
+    $edgeType.value = Profiles.PROFILES[v.edge] ? v.edge : 'chamfer';
+    $chamferAngle.value = v.angle;
+    setCorners(v.corners);
+    setEnds(v.ends);
+  }
+
+  function selectRow(i) {
+    order.selected = i;
+    setValues(order.rows[i]);
+    updateEdgeUI();
+    calculate();
+    draw();
+  }
+
+  // Keeps the selected row in step with the input panel
+  function syncOrder() {
+    const row = order.rows[order.selected];
+    if (row) Object.assign(row, getValues());
+    renderOrder();
+  }
+
+  function renderOrder() {
+    const summary = Order.summarize(order.rows);
+    const last = order.rows.length - 1;
+
+    $orderBody.innerHTML = order.rows.map((row, i) => {
+      const result = summary.results[i];
+      const p = result.params;
+      const cls = [i === order.selected ? 'selected' : '', result.valid ? '' : 'invalid'].join(' ').trim();
+      return `
+        <tr data-index="${i}" class="${cls}" title="${escapeHtml(result.errors.map(err => err.message).join('\n'))}">
+          <td>${i + 1}</td>
+          <td><input class="row-name" type="text" value="${escapeHtml(row.name)}" aria-label="${t('order.rowName')}"></td>
+          <td class="num">${dim(p.L)}</td>
+          <td class="num">${dim(p.W)}</td>
+          <td class="num">${dim(p.T)}</td>
+          <td class="num">${dim(p.Lw)}</td>
+          <td class="num">${dim(p.Lh)}</td>
+          <td class="num">${dim(p.Tr)}</td>
+          <td>${escapeHtml([Geometry.edgeSummary(p), Geometry.endSummary(p)].filter(Boolean).join('; '))}</td>
+          <td class="num">${p.qty}</td>
+          <td class="num">${result.valid ? formatVolume(result.volumeOne) : '⚠ ' + t('order.invalid')}</td>
+          <td class="num">${result.valid ? formatVolume(result.volumeTotal) : '—'}</td>
+          <td class="row-actions">
+            <button class="row-btn" data-action="up" title="${t('action.moveUp')}" ${i === 0 ? 'disabled' : ''}>↑</button>
+            <button class="row-btn" data-action="down" title="${t('action.moveDown')}" ${i === last ? 'disabled' : ''}>↓</button>
+            <button class="row-btn" data-action="duplicate" title="${t('action.duplicate')}">⧉</button>
+            <button class="row-btn" data-action="delete" title="${t('action.delete')}" ${last === 0 ? 'disabled' : ''}>✕</button>
+          </td>
+        </tr>`;
+    }).join('');
+
+    const groupRows = (groups, label) => groups.map(g => `
+      <div class="result-row">
+        <span class="result-label">${label(g.key)}</span>
+        <span class="result-value">${t('order.pieces', { count: g.pieces })} · ${formatVolume(g.volume)}</span>
+      </div>`).join('');
+
+    $orderSummary.innerHTML = `
+      <div class="summary-card">
+        <h3>${t('order.grandTotal')}</h3>
+        <div class="result-row">
+          <span class="result-label">${t('order.rows', { count: summary.total.rows })} · ${t('order.pieces', { count: summary.total.pieces })}</span>
+          <span class="result-value">${formatVolume(summary.total.volume)}</span>
+        </div>
+        ${summary.invalid > 0 ? `<p class="input-hint">⚠ ${t('order.invalidRows', { count: summary.invalid })}</p>` : ''}
+      </div>
+      <div class="summary-card">
+        <h3>${t('order.byEdge')}</h3>
+        ${groupRows(summary.byEdge, key => Pricing.EDGE_LABELS[key])}
+      </div>
+      <div class="summary-card">
+        <h3>${t('order.byThickness')}</h3>
+        ${groupRows(summary.byThickness, key => `T = ${dim(key)}`)}
+      </div>`;
+  }
+
+  function addRow(row, at) {
+    order.rows.splice(at, 0, row);
+    selectRow(at);
+  }
+
+  function moveRow(from, to) {
+    const [row] = order.rows.splice(from, 1);
+    order.rows.splice(to, 0, row);
+    if (order.selected === from) order.selected = to;
+    else if (order.selected === to) order.selected = from;
+    renderOrder();
+  }
+
+  function deleteRow(i) {
+    if (order.rows.length <= 1) return;
+    order.rows.splice(i, 1);
+    selectRow(Math.min(order.selected > i ? order.selected - 1 : order.selected, order.rows.length - 1));
+  }
+
+  // --- Spreadsheet import / export ---
+  // → { table, delimiter }; a workbook has no delimiter
+  function readSpreadsheet(file) {
+    if (/\.xlsx$/i.test(file.name)) return file.arrayBuffer().then(Xlsx.read).then(table => ({ table, delimiter: null }));
+    return file.text().then(text => ({ table: Csv.parse(text), delimiter: Csv.detectDelimiter(text) }));
+  }
+
+  // Imported stones with their engine results under the current column mapping
+  function mappedImport() {
+    const stones = Order.fromTable(pendingImport.table.slice(1), pendingImport.mapping, pendingImport.delimiter);
+    return { stones, results: Order.summarize(stones).results };
+  }
+
+  // Spreadsheet columns keep their English headings in files; the mapping
+  // names them in the current language
+  function columnLabel(col) {
+    return I18n.has(`import.column.${col.key}`) ? t(`import.column.${col.key}`) : col.label;
+  }
+
+  function renderMapping() {
+    const header = pendingImport.table[0];
+    $mappingFields.innerHTML = Order.COLUMNS.map(col => `
+      <div class="input-group">
+        <label for="map-${col.key}"><span class="label-text">${escapeHtml(columnLabel(col))}</span></label>
+        <select id="map-${col.key}" data-key="${col.key}">
+          <option value="-1">${t('import.notMapped')}</option>
+          ${header.map((cell, i) => `<option value="${i}" ${pendingImport.mapping[col.key] === i ? 'selected' : ''}>${escapeHtml(cell || t('import.columnN', { n: i + 1 }))}</option>`).join('')}
+        </select>
+      </div>`).join('');
+    renderImportReport();
+  }
+
+  // Row-by-row validation report; spreadsheet row numbers count the header as row 1
+  function renderImportReport() {
+    const { results } = mappedImport();
+    const bad = results.map((result, i) => ({ result, row: i + 2 })).filter(item => !item.result.valid);
+    const valid = results.length - bad.length;
+
+    $importReport.innerHTML = `<strong>${escapeHtml(t('import.report', { count: results.length, valid, bad: bad.length }))}</strong>` +
+      (bad.length > 0 ? `<ul>${bad.map(item => `<li>${t('import.row', { row: item.row })}: ${item.result.errors.map(err => escapeHtml(err.message)).join(' ')}</li>`).join('')}</ul>` : '');
+    $importValidBtn.textContent = t(valid === 1 ? 'import.validOne' : 'import.valid', { count: valid });
+    $importValidBtn.disabled = valid === 0;
+    $importAllBtn.textContent = t('import.all', { count: results.length });
+    $importAllBtn.disabled = bad.length === 0;
+  }
+
+  function closeImport() {
+    pendingImport.table = null;
+    $importMapping.hidden = true;
+    $importFile.value = '';
+  }
+
+  function applyImport(validOnly) {
+    const { stones, results } = mappedImport();
+    const rows = results
+      .map((result, i) => Object.assign({ name: stones[i].name || t('import.row', { row: i + 2 }) }, result.params, { valid: result.valid }))
+      .filter(row => !validOnly || row.valid)
+      .map(row => { delete row.valid; return row; });
+    if (rows.length === 0) return;
+
+    const at = $importReplace.checked ? 0 : order.rows.length;
+    if ($importReplace.checked) order.rows = [];
+    order.rows.push(...rows);
+    closeImport();
+    selectRow(at);
+  }
+
+  // File name from the selected order row, e.g. "Tread A" → "tread-a",
+  // "Bậc đá" → "bac-da"
+  function fileStem() {
+    const row = order.rows[order.selected];
+    const stem = String(row ? row.name : '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return stem || 'stone-profile';
+  }
+
+  function download(filename, data, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // --- Shop drawing ---
+  // The sheet stays in English: the PDF's standard fonts only have WinAnsi
+  // characters, which Vietnamese needs more than
+  function buildDrawing() {
+    return I18n.within(I18n.FALLBACK, () => {
+      const row = order.rows[order.selected];
+      return Drawing.sheet(getValues(), {
+        sheet: $drawingSheet.value,
+        scale: $drawingScale.value,
+        job: $jobName.value.trim(),
+        name: row && row.name ? row.name : 'Stone',
+        material: capitalize(materialName()),
+        date: new Date().toISOString().slice(0, 10),
+      });
+    });
+  }
+
+  // Enables the drawing exports and warns when the views overflow the sheet
+  function updateDrawingUI(result) {
+    $exportDrawingSvgBtn.disabled = !result.valid;
+    $exportDrawingPdfBtn.disabled = !result.valid;
+    let warning = '';
+    if (result.valid) {
+      const sheet = $drawingSheet.value;
+      const best = Drawing.bestScale(result.params, sheet);
+      const scale = $drawingScale.value;
+      if (!best) {
+        warning = t('drawing.noFit', { sheet, scale: Drawing.SCALES[Drawing.SCALES.length - 1] });
+      } else if (scale !== 'auto' && Number(scale) < best) {
+        warning = t('drawing.tooSmall', { sheet, scale, best });
+      }
+    }
+    $drawingMsg.textContent = warning ? '⚠ ' + warning : '';
+    $drawingMsg.classList.toggle('visible', warning !== '');
+  }
+
+  // --- Pricing & Quotation ---
+  function getPrices() {
+    return {
+      currency: $currency.value.trim(),
+      stoneBasis: $stoneBasis.value,
+      stonePrice: parseFloat($stonePrice.value),
+      edgePrices: Object.keys($priceEdge).reduce((prices, key) => {
+        prices[key] = parseFloat($priceEdge[key].value);
+        return prices;
+      }, {}),
+      wastePct: parseFloat($wastePct.value) || 0,
+      marginPct: parseFloat($marginPct.value) || 0,
+      taxPct: parseFloat($taxPct.value) || 0,
+    };
+  }
+
+  function formatMoney(n, currency) {
+    const amount = I18n.number(n, 2, 2);
+    return currency ? `${amount} ${currency}` : amount;
+  }
+
+  function formatQuantity(q, unit) {
+    const decimals = unit === 'lm' ? 2 : 3;
+    return I18n.number(q, decimals, decimals);
+  }
+
+  // Quote for the current stone, or { errors } when it cannot be priced
+  function buildQuote(result) {
+    if (!result.valid) return { errors: [t('pricing.fixStone')] };
+    const stone = {
+      params: result.params,
+      volumeOne: result.volumeOne,
+      density: getDensity(),
+      materialName: materialName(),
+    };
+    const prices = getPrices();
+    const errors = Pricing.validate(prices, stone);
+    if (errors.length > 0) return { errors };
+    return { stone, prices, quote: Pricing.quote(stone, prices), errors };
+  }
+
+  function renderQuote(result) {
+    const q = buildQuote(result);
+    const $body = $quoteTable.tBodies[0];
+    const $foot = $quoteTable.tFoot;
+
+    if (!q.quote) {
+      $pricingMsg.innerHTML = '⚠ ' + q.errors.join('<br>⚠ ');
+      $pricingMsg.classList.add('visible');
+      $body.innerHTML = '';
+      $foot.innerHTML = '';
+      $printQuoteBtn.disabled = true;
+      return;
+    }
+    $pricingMsg.classList.remove('visible');
+    $printQuoteBtn.disabled = false;
+
+    const cur = q.prices.currency;
+    $body.innerHTML = q.quote.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="num">${formatQuantity(line.quantity, line.unit)}</td>
+        <td>${unitName(line.unit)}</td>
+        <td class="num">${formatMoney(line.costRate)}</td>
+        <td class="num">${formatMoney(line.rate)}</td>
+        <td class="num">${formatMoney(line.amount, cur)}</td>
+      </tr>`).join('');
+    $foot.innerHTML = `
+      <tr><td colspan="5">${t('quote.cost')}</td><td class="num">${formatMoney(q.quote.cost, cur)}</td></tr>
+      <tr><td colspan="5">${t('quote.margin', { pct: I18n.number(q.prices.marginPct, 2) })}</td><td class="num">${formatMoney(q.quote.margin, cur)}</td></tr>
+      <tr><td colspan="5">${t('quote.subtotal')}</td><td class="num">${formatMoney(q.quote.subtotal, cur)}</td></tr>
+      <tr><td colspan="5">${t('quote.tax', { pct: I18n.number(q.prices.taxPct, 2) })}</td><td class="num">${formatMoney(q.quote.tax, cur)}</td></tr>
+      <tr class="grand"><td colspan="5">${t('quote.total')}</td><td class="num">${formatMoney(q.quote.total, cur)}</td></tr>`;
+  }
+
+  // --- Block yield planner ---
+  function renderYield() {
+    const block = {};
+    Object.keys($block).forEach(key => { block[key] = readLength($block[key]); });
+    const plan = Yield.plan(getValues(), block);
+
+    Object.values($block).forEach(el => el.classList.remove('input-error'));
+    plan.errors.forEach(err => { if ($block[err.field]) $block[err.field].classList.add('input-error'); });
+    let message = plan.errors.map(err => err.message).join('<br>⚠ ');
+    if (!message && !plan.valid) message = t('yield.fixStone');
+    else if (plan.valid && plan.perBlock === 0) message = t('yield.noFit');
+    $yieldMsg.innerHTML = message ? '⚠ ' + message : '';
+    $yieldMsg.classList.toggle('visible', message !== '');
+
+    if (!plan.valid || plan.perBlock === 0) {
+      $yieldResults.innerHTML = '';
+      $yieldDiagram.innerHTML = '';
+      return;
+    }
+
+    const rows = [
+      [t('yield.perBlock'), `${plan.perBlock} (${plan.lengths} × ${plan.columns} × ${plan.rows})`],
+      [t('yield.blocksNeeded'), t('yield.blocksFor', { blocks: plan.blocksNeeded, pieces: t('order.pieces', { count: plan.params.qty }) })],
+      [t('yield.waste'), `${I18n.number(plan.waste, 1, 1)}%`],
+      [t('yield.lengthAlong'), plan.axes.length.label],
+      [t('yield.sections'), plan.nested ? t('yield.nested') : t('yield.stacked')],
+    ];
+    $yieldResults.innerHTML = rows.map(([label, value], i) => `
+      <div class="result-row${i === 1 ? ' total' : ''}">
+        <span class="result-label">${label}</span>
+        <span class="result-value">${value}</span>
+      </div>`).join('');
+    $yieldDiagram.innerHTML = yieldSvg(plan);
+  }
+
+  // Cutting plan: the block's section with the pieces, and the lengths below it
+  function yieldSvg(plan) {
+    const p = plan.params;
+    const trim = plan.block.trim;
+    const kerf = plan.block.kerf;
+    const svgW = 700, pad = 30;
+    const scale = Math.min((svgW - pad * 2) / Math.max(plan.section.width, plan.length), 360 / plan.section.height);
+    const secH = plan.section.height * scale;
+    const stripY = pad + secH + 50;
+    const svgH = stripY + 30 + pad;
+    const toScreen = (x, y) => [pad + (trim + x) * scale, pad + secH - (trim + y) * scale];
+
+    let svg = `<svg viewBox="0 0 ${svgW} ${svgH}" xmlns="http://www.w3.org/2000/svg">`;
+    svg += `<text x="${pad}" y="${pad - 10}" class="dim-text">${t('yield.svg.section', { across: plan.axes.across.label, up: plan.axes.up.label, width: dim(plan.section.width), height: dim(plan.section.height) })}</text>`;
+    svg += `<rect x="${pad}" y="${pad}" width="${plan.section.width * scale}" height="${secH}" fill="rgba(255,255,255,0.04)" stroke="#8e9baa" stroke-width="1.5"/>`;
+    svg += `<rect x="${pad + trim * scale}" y="${pad + trim * scale}" width="${(plan.section.width - 2 * trim) * scale}" height="${secH - 2 * trim * scale}" fill="none" stroke="#8e9baa" stroke-width="0.8" stroke-dasharray="4 3"/>`;
+    plan.pieces.forEach(piece => {
+      const d = outlinePath(Yield.pieceOutline(p, piece), toScreen, scale);
+      svg += `<path d="${d}" fill="${piece.turned ? 'rgba(72,224,228,0.35)' : 'rgba(108,99,255,0.45)'}" stroke="#e0e6ed" stroke-width="0.8"/>`;
+    });
+
+    // Lengths along the block
+    svg += `<text x="${pad}" y="${stripY - 10}" class="dim-text">${t('yield.svg.along', { axis: plan.axes.length.label, length: dim(plan.length) })}</text>`;
+    svg += `<rect x="${pad}" y="${stripY}" width="${plan.length * scale}" height="30" fill="rgba(255,255,255,0.04)" stroke="#8e9baa" stroke-width="1.5"/>`;
+    for (let i = 0; i < plan.lengths; i++) {
+      const x = pad + (trim + i * (p.L + kerf)) * scale;
+      svg += `<rect x="${x}" y="${stripY + 4}" width="${p.L * scale}" height="22" fill="rgba(108,99,255,0.45)" stroke="#e0e6ed" stroke-width="0.8"/>`;
+      svg += `<text x="${x + p.L * scale / 2}" y="${stripY + 19}" text-anchor="middle" class="dim-text">L = ${dim(p.L)}</text>`;
+    }
+    return svg + '</svg>';
+  }
+
+  // --- Staircase flight ---
+  function getFlight() {
+    const flight = { mode: $stairMode.value, steps: $stairSteps.value };
+    Object.keys($flight).forEach(key => { flight[key] = readLength($flight[key]); });
+    return flight;
+  }
+
+  // Step count, or target riser and going, depending on the layout mode
+  function updateStairMode() {
+    const byCount = $stairMode.value === 'count';
+    document.getElementById('stairStepsGroup').hidden = !byCount;
+    document.getElementById('stairRiserGroup').hidden = byCount;
+    document.getElementById('stairTreadGroup').hidden = byCount;
+  }
+
+  function renderStairs() {
+    const plan = Stairs.plan(getValues(), getFlight());
+    const fields = Object.assign({ steps: $stairSteps }, $flight);
+
+    Object.values(fields).forEach(el => el.classList.remove('input-error'));
+    plan.errors.forEach(err => { if (fields[err.field]) fields[err.field].classList.add('input-error'); });
+    const messages = plan.errors.concat(plan.warnings).map(err => err.message);
+    $stairsMsg.innerHTML = messages.length > 0 ? '⚠ ' + messages.join('<br>⚠ ') : '';
+    $stairsMsg.classList.toggle('visible', messages.length > 0);
+    $useTreadBtn.disabled = !plan.valid;
+
+    if (!plan.valid) {
+      $stairsResults.innerHTML = '';
+      $stairsDiagram.innerHTML = '';
+      return;
+    }
+
+    const p = plan.params;
+    const rows = [
+      [t('stairs.steps'), t('stairs.stepsValue', { risers: plan.steps, goings: plan.steps - 1 })],
+      [t('stairs.riser'), dim(plan.riser)],
+      [t('stairs.going'), dim(plan.going)],
+      ['2R + G', dim(plan.pace)],
+      [t('stairs.tread'), `${dim(p.W)} × ${dim(p.Lh)}`],
+      [t('stairs.volumeOne'), formatVolume(plan.volumeOne)],
+      [t('results.totalVolume'), `${formatVolume(plan.volumeTotal)} (${t('order.pieces', { count: plan.steps })})`],
+      [t('results.totalWeight'), formatWeight(Geometry.mass(plan.volumeTotal, getDensity()))],
+    ];
+    $stairsResults.innerHTML = rows.map(([label, value]) => `
+      <div class="result-row${label === t('results.totalVolume') ? ' total' : ''}">
+        <span class="result-label">${label}</span>
+        <span class="result-value">${value}</span>
+      </div>`).join('');
+    $stairsDiagram.innerHTML = stairsSvg(plan);
+  }
+
+  // Side elevation: the treads on their stepped base, front to the right and
+  // the flight rising to the left, with the total rise and going dimensioned
+  function stairsSvg(plan) {
+    const p = plan.params;
+    const n = plan.steps;
+    const rise = plan.flight.rise;
+    const bottom = (n - 1) * plan.going; // nosing of the bottom step
+    const left = -p.W - plan.going / 2; // a little of the top landing
+    const right = bottom + plan.going / 2;
+    const svgW = 700, padL = 20, padR = 120, padT = 60, padB = 30;
+    const scale = Math.min((svgW - padL - padR) / (right - left), 380 / rise);
+    const svgH = padT + rise * scale + padB;
+    const toScreen = (x, y) => [padL + (x - left) * scale, padT + (rise - y) * scale];
+    const pt = (x, y) => toScreen(x, y).join(',');
+
+    // Base under the cladding: down each lip's back face, along each tread's underside
+    const base = [pt(bottom - p.Lw, 0)];
+    for (let i = 1; i <= n; i++) {
+      const x = (n - i) * plan.going;
+      const y = i * plan.riser - p.T;
+      base.push(pt(x - p.Lw, y), pt(x - p.W, y));
+    }
+    base.push(pt(left, n * plan.riser - p.T), pt(left, 0));
+
+    let svg = `<svg viewBox="0 0 ${svgW} ${svgH}" xmlns="http://www.w3.org/2000/svg">`;
+    svg += `<polygon points="${base.join(' ')}" fill="rgba(142,155,170,0.15)" stroke="#8e9baa" stroke-width="0.8"/>`;
+    for (let i = 1; i <= n; i++) {
+      const d = outlinePath(Stairs.stepOutline(plan, i), toScreen, scale);
+      svg += `<path d="${d}" fill="rgba(108,99,255,0.45)" stroke="#e0e6ed" stroke-width="0.8"/>`;
+    }
+    const [fx1, fy] = toScreen(left, 0);
+    const [fx2] = toScreen(right, 0);
+    svg += `<line x1="${fx1}" y1="${fy}" x2="${fx2}" y2="${fy}" stroke="#8e9baa" stroke-width="1.5"/>`;
+    const [lx1, ly] = toScreen(left, rise);
+    const [lx2] = toScreen(-p.W, rise);
+    svg += `<line x1="${lx1}" y1="${ly}" x2="${lx2}" y2="${ly}" stroke="#8e9baa" stroke-width="1.5"/>`;
+
+    // Total going over the nosings, total rise beside the bottom step
+    const [gx1, gTop] = toScreen(0, rise);
+    const [gx2] = toScreen(bottom, 0);
+    const gy = gTop - 30;
+    svg += `<line x1="${gx1}" y1="${gTop}" x2="${gx1}" y2="${gy - 5}" stroke="#48E0E4" stroke-width="0.8" opacity="0.4"/>`;
+    svg += `<line x1="${gx2}" y1="${toScreen(0, plan.riser)[1]}" x2="${gx2}" y2="${gy - 5}" stroke="#48E0E4" stroke-width="0.8" opacity="0.4"/>`;
+    svg += `<line x1="${gx1}" y1="${gy}" x2="${gx2}" y2="${gy}" class="dim-line"/>`;
+    svg += `<text x="${(gx1 + gx2) / 2}" y="${gy - 8}" text-anchor="middle" class="dim-text">${t('stairs.svg.going', { going: dim(plan.flight.going), count: n - 1, each: dim(plan.going) })}</text>`;
+    const rx = fx2 + 15;
+    svg += `<line x1="${gx1}" y1="${gTop}" x2="${rx + 5}" y2="${gTop}" stroke="#48E0E4" stroke-width="0.8" opacity="0.4"/>`;
+    svg += `<line x1="${rx}" y1="${fy}" x2="${rx}" y2="${gTop}" class="dim-line"/>`;
+    svg += `<text x="${rx + 8}" y="${(fy + gTop) / 2 - 4}" class="dim-text">${t('stairs.svg.rise', { rise: dim(rise) })}</text>`;
+    svg += `<text x="${rx + 8}" y="${(fy + gTop) / 2 + 12}" class="dim-text">= ${n} × ${dim(plan.riser)}</text>`;
+    return svg + '</svg>';
+  }
+
+  // --- Curved run ---
+  function getCurve() {
+    return {
+      radius: readLength($curveRadius),
+      at: $curveAt.value,
+      sweep: $curveSweep.value,
+      segments: $curveSegments.value,
+      front: $curveFront.value,
+    };
+  }
+
+  function renderCurve() {
+    const plan = Curve.plan(getValues(), getCurve());
+    const fields = { radius: $curveRadius, sweep: $curveSweep, segments: $curveSegments };
+
+    Object.values(fields).forEach(el => el.classList.remove('input-error'));
+    plan.errors.forEach(err => { if (fields[err.field]) fields[err.field].classList.add('input-error'); });
+    let message = plan.errors.map(err => err.message).join('<br>⚠ ');
+    if (!message && !plan.valid) message = t('curve.fixStone');
+    $curveMsg.innerHTML = message ? '⚠ ' + message : '';
+    $curveMsg.classList.toggle('visible', message !== '');
+
+    if (!plan.valid) {
+      $curveResults.innerHTML = '';
+      $curveDiagram.innerHTML = '';
+      return;
+    }
+
+    const pct = plan.straightTotal > 0 ? (100 * plan.difference) / plan.straightTotal : 0;
+    const sign = plan.difference < 0 ? '−' : '+';
+    const rows = [
+      [t('curve.radii'), `${dim(plan.inner)} – ${dim(plan.outer)}`],
+      [t('curve.segments'), `${plan.curve.segments} × ${I18n.number(plan.segmentAngle, 2)}°`],
+      [t('curve.outerChord'), dim(plan.chords.outer)],
+      [t('curve.innerChord'), dim(plan.chords.inner)],
+      [t('curve.centroid'), dim(plan.centroid)],
+      [t('curve.volumeOne'), formatVolume(plan.volumeOne)],
+      [t('results.totalVolume'), formatVolume(plan.volumeTotal)],
+      [t('curve.straight'), formatVolume(plan.straightTotal)],
+      [t('curve.difference'), `${sign}${formatVolume(Math.abs(plan.difference))} (${sign}${I18n.number(Math.abs(pct), 2, 2)}%)`],
+      [t('results.totalWeight'), formatWeight(Geometry.mass(plan.volumeTotal, getDensity()))],
+    ];
+    $curveResults.innerHTML = rows.map(([label, value]) => `
+      <div class="result-row${label === t('results.totalVolume') ? ' total' : ''}">
+        <span class="result-label">${label}</span>
+        <span class="result-value">${value}</span>
+      </div>`).join('');
+    $curveDiagram.innerHTML = curveSvg(plan);
+  }
+
+  // Plan view from above: the segments numbered from the left, their outer
+  // chords, and the back of the lip dashed
+  function curveSvg(plan) {
+    const n = plan.curve.segments;
+    const phi = (plan.segmentAngle * Math.PI) / 180;
+    const start = Math.PI / 2 + (n * phi) / 2; // left end; segments run clockwise from it
+    const at = (r, a) => ({ x: r * Math.cos(a), y: r * Math.sin(a) });
+
+    // Extent of the run, from both edges sampled at every degree or so
+    const steps = Math.max(2, Math.ceil(plan.curve.sweep));
+    const pts = [];
+    for (let i = 0; i <= steps; i++) {
+      const a = start - (n * phi * i) / steps;
+      pts.push(at(plan.inner, a), at(plan.outer, a));
+    }
+    const minX = Math.min(...pts.map(q => q.x)), maxX = Math.max(...pts.map(q => q.x));
+    const minY = Math.min(...pts.map(q => q.y)), maxY = Math.max(...pts.map(q => q.y));
+    const svgW = 700, pad = 40;
+    const scale = Math.min((svgW - pad * 2) / (maxX - minX), 380 / (maxY - minY));
+    const svgH = (maxY - minY) * scale + pad * 2;
+    const ox = (svgW - (maxX - minX) * scale) / 2;
+    const toScreen = q => [ox + (q.x - minX) * scale, pad + (maxY - q.y) * scale];
+    const xy = (r, a) => toScreen(at(r, a)).join(' ');
+    // An arc split at its middle, so no half is ever over 180°
+    const arc = (r, a1, a2) => {
+      const s = r * scale;
+      const flag = a2 < a1 ? 1 : 0;
+      return `A ${s} ${s} 0 0 ${flag} ${xy(r, (a1 + a2) / 2)} A ${s} ${s} 0 0 ${flag} ${xy(r, a2)}`;
+    };
+
+    let svg = `<svg viewBox="0 0 ${svgW} ${svgH}" xmlns="http://www.w3.org/2000/svg">`;
+    for (let i = 0; i < n; i++) {
+      const a1 = start - i * phi;
+      const a2 = a1 - phi;
+      const d = `M ${xy(plan.outer, a1)} ${arc(plan.outer, a1, a2)} L ${xy(plan.inner, a2)} ${arc(plan.inner, a2, a1)} Z`;
+      svg += `<path d="${d}" fill="rgba(108,99,255,0.45)" stroke="#e0e6ed" stroke-width="0.8"/>`;
+      const [x1, y1] = toScreen(at(plan.outer, a1));
+      const [x2, y2] = toScreen(at(plan.outer, a2));
+      svg += `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" class="dim-line"/>`;
+      const [tx, ty] = toScreen(at(plan.centroid, a1 - phi / 2));
+      svg += `<text x="${tx}" y="${ty + 4}" text-anchor="middle" class="dim-text">${i + 1}</text>`;
+    }
+    svg += `<path d="M ${xy(plan.lip, start)} ${arc(plan.lip, start, start - n * phi)}" fill="none" stroke="#48E0E4" stroke-width="0.8" stroke-dasharray="4 3" opacity="0.6"/>`;
+
+    // Chord of the first segment, just outside its outer edge
+    const [cx, cy] = toScreen(at(plan.outer + 18 / scale, start - phi / 2));
+    svg += `<text x="${cx}" y="${cy}" text-anchor="middle" class="dim-text">${t('curve.svg.chord', { chord: dim(plan.chords.outer) })}</text>`;
+    const [rx, ry] = toScreen(at(plan.inner, start));
+    svg += `<text x="${rx}" y="${ry + 16}" text-anchor="middle" class="dim-text">R<tspan baseline-shift="sub" font-size="9">i</tspan> ${dim(plan.inner)}</text>`;
+    return svg + '</svg>';
+  }
+
+  // --- Solve for ---
+  function solveKind() {
+    return Solver.TARGETS.find(target => target.id === $solveTarget.value).kind;
+  }
+
+  // Target value in engine units: mm³, kg or mm
+  function getSolveValue() {
+    const kind = solveKind();
+    if (kind === 'length') return readLength($solveLength);
+    const amount = parseFloat($solveAmount.value);
+    return kind === 'volume' ? amount * Units.VOLUME_UNITS[$volumeUnit.value].mm3 : amount;
+  }
+
+  // Amount box for volumes and weights, length box (in the length unit) for faces
+  function updateSolveTarget() {
+    const kind = solveKind();
+    document.getElementById('solveAmountGroup').hidden = kind === 'length';
+    document.getElementById('solveLengthGroup').hidden = kind !== 'length';
+    $solveAmountUnit.textContent = kind === 'volume' ? Units.VOLUME_UNITS[$volumeUnit.value].label : 'kg';
+  }
+
+  function formatTarget(value, kind) {
+    if (kind === 'volume') return formatVolume(value);
+    if (kind === 'weight') return formatWeight(value);
+    return dim(value);
+  }
+
+  // The solver samples the stone hundreds of times, so edits to the stone
+  // solve once typing pauses; its own inputs solve at once
+  function scheduleSolve() {
+    clearTimeout(solveTimer);
+    solveTimer = setTimeout(renderSolve, SOLVE_DELAY);
+  }
+
+  function renderSolve() {
+    clearTimeout(solveTimer);
+    const stone = getValues();
+    const request = {
+      unknown: $solveUnknown.value,
+      target: $solveTarget.value,
+      value: getSolveValue(),
+      density: getDensity(),
+    };
+    // Nothing it reads has changed (the text also depends on units and language)
+    const key = JSON.stringify([stone, request, lengthUnit, $volumeUnit.value, I18n.locale()]);
+    if (key === solvedFor) return;
+    solvedFor = key;
+
+    const res = Solver.solve(stone, request);
+    solution = res.found ? res : null;
+    $solveApplyBtn.disabled = !res.found;
+    [$solveAmount, $solveLength].forEach(el => el.classList.toggle('input-error', res.errors.some(err => err.field === 'value')));
+
+    let message = res.errors.map(err => err.message).join('<br>⚠ ');
+    if (res.reason === 'invalid') {
+      message = res.checks.length > 0
+        ? t('solve.noValid', { unknown: res.unknown.label }) + ':<br>⚠ ' + res.checks.map(err => err.message).join('<br>⚠ ')
+        : t('solve.noValid', { unknown: res.unknown.label }) + '.';
+    } else if (res.reason === 'unreachable') {
+      const r = res.range;
+      message = t(r.open ? 'solve.unreachableOpen' : 'solve.unreachable', {
+        target: res.target.label,
+        min: formatTarget(r.min, res.target.kind),
+        max: formatTarget(r.max, res.target.kind),
+        unknown: res.unknown.label,
+        from: dim(r.from),
+        to: dim(r.to),
+        value: formatTarget(res.value, res.target.kind),
+      });
+    }
+    $solveMsg.innerHTML = message ? '⚠ ' + message : '';
+    $solveMsg.classList.toggle('visible', message !== '');
+
+    if (!res.found) {
+      $solveResults.innerHTML = '';
+      $solveResults.hidden = true;
+      return;
+    }
+    const rows = [
+      [res.unknown.label, dim(res.x)],
+      [res.target.label, formatTarget(res.achieved, res.target.kind)],
+    ];
+    if (res.roots.length > 1) rows.push([t('solve.alsoMet'), res.roots.slice(0, -1).map(dim).join('; ')]);
+    $solveResults.hidden = false;
+    $solveResults.innerHTML = rows.map(([label, value], i) => `
+      <div class="result-row${i === 0 ? ' total' : ''}">
+        <span class="result-label">${label}</span>
+        <span class="result-value">${value}</span>
+      </div>`).join('');
+  }
+
+  // --- Compare variants ---
+  // Header and one row of inputs per field, rebuilt only when a variant is
+  // added or removed so that typing in them keeps focus. Column 0 is A.
+  function buildCompare() {
+    const names = Compare.NAMES.slice(0, variants.length + 1);
+    const input = (field, col) => {
+      const attrs = `data-col="${col}" aria-label="${escapeHtml(t('compare.inputAria', { field: field.label, name: names[col] }))}"${col === 0 ? ' disabled' : ''}`;
+      if (field.id === 'edge') {
+        return `<select ${attrs}>${Profiles.TYPES.map(type => `<option value="${type}">${Profiles.PROFILES[type].label}</option>`).join('')}</select>`;
+      }
+      if (field.length) return `<input type="text" ${attrs} data-length spellcheck="false">`;
+      return `<input type="number" ${attrs} min="1" max="89" step="1">`;
+    };
+
+    $compareHead.innerHTML = `
+      <tr>
+        <th></th>
+        ${names.map((name, col) => `
+          <th>${name}${col === 0 ? ` <span class="input-hint">${t('compare.base')}</span>` : `
+            <button class="row-btn" data-col="${col}" title="${t('compare.remove')}" ${variants.length + 1 <= Compare.MIN_VARIANTS ? 'disabled' : ''}>✕</button>`}
+          </th>`).join('')}
+      </tr>`;
+    $compareFields.innerHTML = Compare.FIELDS.map(field => `
+      <tr data-field="${field.id}">
+        <td>${escapeHtml(field.label)}${field.length ? ` <span class="label-unit" data-unit="length">${Units.LENGTH_UNITS[lengthUnit].label}</span>` : ''}</td>
+        ${names.map((name, col) => `<td>${input(field, col)}</td>`).join('')}
+      </tr>`).join('');
+    $addVariantBtn.disabled = variants.length + 1 >= Compare.MAX_VARIANTS;
+    comparedFor = '';
+  }
+
+  // Every variant follows A, so any edit to the stone redraws them all: that
+  // waits while the panel is off screen, and is skipped when nothing shown
+  // has changed (the focused field is kept as typed, so it counts too)
+  function renderCompare() {
+    if (!compareVisible) return;
+    const stone = getValues();
+    const focused = Array.from($compareFields.querySelectorAll('input, select')).indexOf(document.activeElement);
+    const key = JSON.stringify([stone, variants, getDensity(), lengthUnit, $volumeUnit.value, I18n.locale(), focused]);
+    if (key === comparedFor) return;
+    comparedFor = key;
+
+    const cmp = Compare.compare(stone, variants);
+
+    // Every input shows the value its variant uses; its own changes are highlighted
+    cmp.variants.forEach((v, col) => {
+      const own = col === 0 ? {} : variants[col - 1];
+      const p = v.result.params;
+      const profile = Profiles.PROFILES[p.edge];
+      const wrong = v.result.errors.map(err => err.field);
+      Compare.FIELDS.forEach(field => {
+        const el = $compareFields.querySelector(`[data-field="${field.id}"] [data-col="${col}"]`);
+        if (el !== document.activeElement) {
+          if (field.length) writeLength(el, p[field.id]);
+          else el.value = p[field.id];
+        }
+        el.classList.toggle('changed', own[field.id] !== undefined);
+        el.classList.toggle('input-error', wrong.includes(field.id));
+        if (col > 0 && field.id === 'Tr') el.disabled = !profile || !profile.sized;
+        if (col > 0 && field.id === 'angle') el.disabled = p.edge !== 'chamfer';
+      });
+    });
+
+    // One scale for every section, so their sizes compare at a glance
+    const valid = cmp.variants.filter(v => v.result.valid).map(v => v.result.params);
+    const tallest = Math.max(0, ...valid.map(p => p.T + p.Lh));
+    const scale = valid.length === 0 ? 0 : Math.min(180 / Math.max(...valid.map(p => p.W)), 110 / tallest);
+    const signed = (mm3, pct) => {
+      const sign = mm3 < 0 ? '−' : '+';
+      return `${sign}${formatVolume(Math.abs(mm3))}` + (pct === undefined ? '' : ` (${sign}${I18n.number(Math.abs(pct), 2, 2)}%)`);
+    };
+    const diff = (v, text) => {
+      if (v.difference === null) return '—';
+      const cls = v.difference > 0 ? 'more' : v.difference < 0 ? 'less' : '';
+      return `<span class="compare-diff ${cls}">${text}</span>`;
+    };
+    const density = getDensity();
+    const rows = [
+      [t('compare.section'), v => v.result.valid ? compareSvg(v.result.params, scale, tallest * scale) : ''],
+      [t('results.volumeOne'), v => v.result.valid
+        ? formatVolume(v.result.volumeOne)
+        : `<span class="compare-invalid" title="${escapeHtml(v.result.errors.map(err => err.message).join('\n'))}">⚠ ${t('order.invalid')}</span>`],
+      [t('results.totalVolume'), v => v.result.valid ? `${formatVolume(v.result.volumeTotal)} (${t('order.pieces', { count: v.result.params.qty })})` : '—'],
+      [t('results.weightOne'), v => v.result.valid ? formatWeight(Geometry.mass(v.result.volumeOne, density)) : '—'],
+      [t('compare.removed'), v => v.result.valid ? formatVolume(v.removed) : '—'],
+      [t('compare.differenceOne'), (v, col) => col === 0 ? '—' : diff(v, signed(v.difference, v.percent))],
+      [t('compare.differenceTotal'), (v, col) => col === 0 ? '—' : diff(v, signed(v.difference * v.result.params.qty))],
+    ];
+    $compareResults.innerHTML = rows.map(([label, cell], i) => `
+      <tr class="${i === 0 ? 'compare-section' : ''}">
+        <td>${label}</td>
+        ${cmp.variants.map((v, col) => `<td class="num">${cell(v, col)}</td>`).join('')}
+      </tr>`).join('');
+  }
+
+  // Small cross-section at a shared scale, with its edge profiles highlighted
+  function compareSvg(p, scale, height) {
+    const svgW = 200, pad = 10;
+    const svgH = height + pad * 2;
+    const toScreen = (x, y) => [svgW - pad - (p.W - x) * scale, pad + (p.T - y) * scale];
+    let svg = `<svg viewBox="0 0 ${svgW} ${svgH}" xmlns="http://www.w3.org/2000/svg">`;
+    svg += `<path d="${outlinePath(Geometry.outline(p), toScreen, scale)}" fill="rgba(108,99,255,0.45)" stroke="#e0e6ed" stroke-width="0.8"/>`;
+    Geometry.edges(p).forEach(e => {
+      svg += `<path d="${outlinePath(Geometry.placeEdge(p, e), toScreen, scale, true)}" fill="none" stroke="#f0a040" stroke-width="1.5"/>`;
+    });
+    return svg + '</svg>';
+  }
+
+  // Copy of an SVG with its ids prefixed, so gradients and filters resolve to its own defs
+  function cloneSvg(svg, prefix) {
+    const copy = svg.cloneNode(true);
+    copy.removeAttribute('id');
+    copy.querySelectorAll('.drag-handle').forEach(el => el.remove());
+    copy.querySelectorAll('[id]').forEach(el => { el.id = prefix + el.id; });
+    copy.querySelectorAll('[fill], [filter]').forEach(el => {
+      ['fill', 'filter'].forEach(attr => {
+        const val = el.getAttribute(attr);
+        if (val && val.startsWith('url(#')) el.setAttribute(attr, val.replace('url(#', `url(#${prefix}`));
+      });
+    });
+    return copy;
+  }
+
+  function printQuote() {
+    const result = Geometry.compute(getValues());
+    const q = buildQuote(result);
+    if (!q.quote) return;
+
+    // The quotation always shows the cross-section, whichever view is on screen
+    if (currentView !== 'cross') drawCrossSection();
+    const drawing = cloneSvg($svg, 'quote-');
+    draw();
+
+    const p = result.params;
+    const cur = q.prices.currency;
+    const kgOne = Geometry.mass(result.volumeOne, q.stone.density);
+    const spec = [
+      [t('quote.material'), q.stone.materialName],
+      [t('quote.edge'), Geometry.edgeSummary(p)],
+      [t('quote.ends'), Geometry.endSummary(p) || t('surfaces.square')],
+      [t('quote.lengthWidth'), `${Units.formatLength(p.L, lengthUnit)} × ${Units.formatLength(p.W, lengthUnit)} ${lengthUnit}`],
+      [t('quote.thickness'), `${Units.formatLength(p.T, lengthUnit)} ${lengthUnit}`],
+      [t('quote.lip'), `${Units.formatLength(p.Lw, lengthUnit)} × ${Units.formatLength(p.Lh, lengthUnit)} ${lengthUnit}`],
+      [t('quote.quantity'), t('order.pieces', { count: p.qty })],
+      [t('quote.volume'), `${formatVolume(result.volumeOne)} / ${formatVolume(result.volumeTotal)}`],
+      [t('quote.weight'), `${formatWeight(kgOne)} / ${formatWeight(kgOne * p.qty)}`],
+    ];
+
+    $quoteSheet.innerHTML = `
+      <header>
+        <div>
+          <h1>${t('quote.title')}</h1>
+          <p>A PLUS MINERAL MATERIAL CORPORATION</p>
+        </div>
+        <div class="quote-meta">
+          <p><strong>${t('quote.ref')}:</strong> ${escapeHtml($quoteRef.value || '—')}</p>
+          <p><strong>${t('quote.date')}:</strong> ${I18n.date(Date.now())}</p>
+          <p><strong>${t('quote.customer')}:</strong> ${escapeHtml($customerName.value || '—')}</p>
+        </div>
+      </header>
+      <h2>${t('quote.specification')}</h2>
+      <table>
+        <tbody>${spec.map(([k, val]) => `<tr><td>${k}</td><td>${escapeHtml(val)}</td></tr>`).join('')}</tbody>
+      </table>
+      <h2>${t('compare.section')}</h2>
+      <div class="quote-drawing"></div>
+      <h2>${t('quote.price')}</h2>
+      <table>
+        <thead>
+          <tr><th>${t('quote.item')}</th><th class="num">${t('quote.qty')}</th><th>${t('quote.unit')}</th><th class="num">${t('quote.rate')}</th><th class="num">${t('quote.amount')}</th></tr>
+        </thead>
+        <tbody>${q.quote.lines.map(line => `
+          <tr>
+            <td>${escapeHtml(line.description)}</td>
+            <td class="num">${formatQuantity(line.quantity, line.unit)}</td>
+            <td>${unitName(line.unit)}</td>
+            <td class="num">${formatMoney(line.rate)}</td>
+            <td class="num">${formatMoney(line.amount, cur)}</td>
+          </tr>`).join('')}
+        </tbody>
+        <tfoot>
+          <tr><td colspan="4">${t('quote.subtotal')}</td><td class="num">${formatMoney(q.quote.subtotal, cur)}</td></tr>
+          <tr><td colspan="4">${t('quote.tax', { pct: I18n.number(q.prices.taxPct, 2) })}</td><td class="num">${formatMoney(q.quote.tax, cur)}</td></tr>
+          <tr class="grand"><td colspan="4">${t('quote.total')}</td><td class="num">${formatMoney(q.quote.total, cur)}</td></tr>
+        </tfoot>
+      </table>
+      <footer>${escapeHtml(t('quote.footer', { currency: cur || t('quote.currency') }))}</footer>`;
+    $quoteSheet.querySelector('.quote-drawing').appendChild(drawing);
+
+    window.print();
+  }
+
+  // --- Links & saved projects ---
+  function getState() {
+    return {
+      rows: order.rows.map(row => Object.assign({}, row)),
+      selected: order.selected,
+      view: currentView,
+      lengthUnit,
+      volumeUnit: $volumeUnit.value,
+      material: $material.value,
+      customDensity: $customDensity.value,
+    };
+  }
+
+  function applyState(state) {
+    setLengthUnit(state.lengthUnit || 'mm');
+    if (Units.VOLUME_UNITS[state.volumeUnit]) $volumeUnit.value = state.volumeUnit;
+    if (state.material && Array.from($material.options).some(opt => opt.value === state.material)) {
+      $material.value = state.material;
+      if (state.customDensity !== undefined) $customDensity.value = state.customDensity;
+      $customDensity.style.display = $material.value === 'custom' ? 'block' : 'none';
+    }
+    order.rows = state.rows.map((row, i) => Object.assign({ name: row.name || t('order.stone', { n: i + 1 }) }, Geometry.normalize(row)));
+    if (order.rows.length === 0) order.rows.push(Object.assign({ name: t('order.stone', { n: 1 }) }, getDefaults()));
+    setView(state.view === 'iso' ? 'iso' : 'cross');
+    selectRow(Math.min(Math.max(0, state.selected || 0), order.rows.length - 1));
+  }
+
+  // Keeps the address bar pointing at what is on screen
+  function updateUrl() {
+    if (order.rows.length === 0) return;
+    history.replaceState(null, '', `${location.pathname}?${Projects.toQuery(getState())}`);
+  }
+
+  function projectStatus(text) {
+    $projectStatus.textContent = text;
+  }
+
+  function storeProjects() {
+    try {
+      Projects.store(window.localStorage, projects);
+    } catch (err) {
+      projectStatus('⚠ ' + t('projects.cannotSave', { message: err.message }));
+    }
+    renderProjects();
+  }
+
+  function renderProjects() {
+    if (projects.length === 0) {
+      $projectBody.innerHTML = `<tr><td colspan="4" class="input-hint">${t('projects.none')}</td></tr>`;
+      return;
+    }
+    $projectBody.innerHTML = projects.map(item => `
+      <tr data-id="${escapeHtml(item.id)}" class="${item.id === currentProject ? 'current' : ''}">
+        <td><input class="row-name" type="text" value="${escapeHtml(item.name)}" aria-label="${t('projects.projectName.aria')}"></td>
+        <td class="num">${item.state.rows.length}</td>
+        <td>${escapeHtml(I18n.dateTime(item.savedAt))}</td>
+        <td class="row-actions">
+          <button class="row-btn" data-action="open" title="${t('action.open')}">↗</button>
+          <button class="row-btn" data-action="duplicate" title="${t('action.duplicate')}">⧉</button>
+          <button class="row-btn" data-action="delete" title="${t('action.delete')}">✕</button>
+        </td>
+      </tr>`).join('');
+  }
+
   // --- Cross-Section Drawing ---
   function drawCrossSection() {
     const v = getValues();
@@ -171,63 +1523,26 @@
     const drawW = svgW - pad * 2;
     const drawH = svgH - pad * 2;
 
-    // Total cross-section bounding: width = W, height = T + Lh
+    // Total cross-section bounding: width = W, height = T + Lh, centred in
+    // the SVG. While a handle is dragged the view keeps its scale and origin,
+    // so the edge follows the pointer instead of the shape re-fitting under it.
     const totalH = v.T + v.Lh;
-    const scale = Math.min(drawW / v.W, drawH / totalH) * 0.75;
+    const fitScale = Math.min(drawW / v.W, drawH / totalH) * 0.75;
+    const { scale, ox, oy } = drag ? drag.view : {
+      scale: fitScale,
+      ox: (svgW - v.W * fitScale) / 2,
+      oy: (svgH - totalH * fitScale) / 2,
+    };
+    crossView = { scale, ox, oy };
 
     const sW = v.W * scale;
     const sT = v.T * scale;
     const sLw = v.Lw * scale;
     const sLh = v.Lh * scale;
-    const sTr = v.Tr * scale;
-
-    // Centre in SVG
-    const totalShapeH = sT + sLh;
-    const ox = (svgW - sW) / 2;
-    const oy = (svgH - totalShapeH) / 2;
 
     // Build the L-shape path
     const lipLeftX = ox + sW - sLw;
-
-    let path;
-    if (sTr > 0.5) {
-      if (v.edge === 'bullnose') {
-        // Bullnose: quarter-circle arc at the top-right corner
-        path = [
-          `M ${ox} ${oy}`,
-          `L ${ox + sW - sTr} ${oy}`,
-          `A ${sTr} ${sTr} 0 0 1 ${ox + sW} ${oy + sTr}`,  // quarter-circle arc
-          `L ${ox + sW} ${oy + sT + sLh}`,
-          `L ${lipLeftX} ${oy + sT + sLh}`,
-          `L ${lipLeftX} ${oy + sT}`,
-          `L ${ox} ${oy + sT}`,
-          `Z`
-        ].join(' ');
-      } else {
-        // Chamfer: diagonal cut
-        path = [
-          `M ${ox} ${oy}`,
-          `L ${ox + sW - sTr} ${oy}`,
-          `L ${ox + sW} ${oy + sTr}`,
-          `L ${ox + sW} ${oy + sT + sLh}`,
-          `L ${lipLeftX} ${oy + sT + sLh}`,
-          `L ${lipLeftX} ${oy + sT}`,
-          `L ${ox} ${oy + sT}`,
-          `Z`
-        ].join(' ');
-      }
-    } else {
-      // No edge treatment — sharp corners
-      path = [
-        `M ${ox} ${oy}`,
-        `L ${ox + sW} ${oy}`,
-        `L ${ox + sW} ${oy + sT + sLh}`,
-        `L ${lipLeftX} ${oy + sT + sLh}`,
-        `L ${lipLeftX} ${oy + sT}`,
-        `L ${ox} ${oy + sT}`,
-        `Z`
-      ].join(' ');
-    }
+    const path = outlinePath(Geometry.outline(v), (x, y) => [ox + x * scale, oy + (v.T - y) * scale], scale);
 
     $lShape.setAttribute('d', path);
     $lShapeHatch.setAttribute('d', path);
@@ -273,259 +1588,514 @@
     }
 
     // W (total width) — top
-    dimLine(ox, oy, ox + sW, oy, `W = ${v.W}`, 'top');
+    dimLine(ox, oy, ox + sW, oy, `W = ${dim(v.W)}`, 'top');
 
     // T (flat thickness) — left
-    dimLine(ox, oy, ox, oy + sT, `T = ${v.T}`, 'left');
+    dimLine(ox, oy, ox, oy + sT, `T = ${dim(v.T)}`, 'left');
 
     // Lw (lip width) — bottom
-    dimLine(lipLeftX, oy + sT + sLh, ox + sW, oy + sT + sLh, `Lw = ${v.Lw}`, 'bottom');
+    dimLine(lipLeftX, oy + sT + sLh, ox + sW, oy + sT + sLh, `Lw = ${dim(v.Lw)}`, 'bottom');
 
     // Lh (lip drop) — right
-    dimLine(ox + sW, oy + sT, ox + sW, oy + sT + sLh, `Lh = ${v.Lh}`, 'right');
+    dimLine(ox + sW, oy + sT, ox + sW, oy + sT + sLh, `Lh = ${dim(v.Lh)}`, 'right');
+
+    // Edge annotations, drawn from the same curves as the outline
+    const toScreen = (x, y) => [ox + x * scale, oy + (v.T - y) * scale];
+    Geometry.edges(v).forEach(e => {
+      if (Math.max(e.a, e.b) * scale < 0.5) return;
+      const pts = Geometry.placeEdge(v, e);
+      const at = e.corner.at(v);
+      const [bx, by] = toScreen(at.x, at.y);
+      const [ax, ay] = toScreen(at.x + e.a * e.corner.h.x, at.y + e.a * e.corner.h.y);
+      const [cx, cy] = toScreen(at.x + e.b * e.corner.v.x, at.y + e.b * e.corner.v.y);
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
 
-    // Edge annotation
-    if (sTr > 0.5) {
-      // Corner points of the edge region
-      const ax = ox + sW - sTr, ay2 = oy;   // top of horizontal leg
-      const bx = ox + sW, by = oy;      // corner (removed)
-      const ccx = ox + sW, ccy = oy + sTr; // bottom of vertical leg
+      // Full dashed circle and centre of every arc, so the radius reads at a glance
+      pts.slice(0, -1).forEach((pt, i) => {
+        if (!pt.bulge) return;
+        const arc = Geometry.arc(pt, pts[i + 1], pt.bulge);
+        const [acx, acy] = toScreen(arc.cx, arc.cy);
+        g.innerHTML += `<circle cx="${acx}" cy="${acy}" r="${arc.r * scale}" fill="none" stroke="#f0a040" stroke-width="1.5" stroke-dasharray="4 3" opacity="0.6"/>`;
+        g.innerHTML += `<circle cx="${acx}" cy="${acy}" r="2.5" fill="#f0a040" opacity="0.7"/>`;
+      });
 
-      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      // Profile curve highlight
+      g.innerHTML += `<path d="${outlinePath(pts, toScreen, scale, true)}" fill="none" stroke="#f0a040" stroke-width="2.5"/>`;
 
-      if (v.edge === 'bullnose') {
-        // Full dashed circle to show the complete circle the quarter-arc belongs to
-        const circleCx = ox + sW - sTr;
-        const circleCy = oy + sTr;
-        g.innerHTML += `<circle cx="${circleCx}" cy="${circleCy}" r="${sTr}" fill="none" stroke="#f0a040" stroke-width="1.5" stroke-dasharray="4 3" opacity="0.6"/>`;
-        // Center dot
-        g.innerHTML += `<circle cx="${circleCx}" cy="${circleCy}" r="2.5" fill="#f0a040" opacity="0.7"/>`;
-        // Quarter-circle arc highlight (stronger)
-        g.innerHTML += `<path d="M ${ax} ${ay2} A ${sTr} ${sTr} 0 0 1 ${ccx} ${ccy}" fill="none" stroke="#f0a040" stroke-width="2.5"/>`;
-      } else {
-        // Dashed hypotenuse
-        g.innerHTML += `<line x1="${ax}" y1="${ay2}" x2="${ccx}" y2="${ccy}" stroke="#f0a040" stroke-width="2" stroke-dasharray="4 3"/>`;
+      // Dashed legs to the sharp corner that was removed
+      g.innerHTML += `<line x1="${ax}" y1="${ay}" x2="${bx}" y2="${by}" stroke="#f0a040" stroke-width="1" stroke-dasharray="2 2" opacity="0.5"/>`;
+      g.innerHTML += `<line x1="${bx}" y1="${by}" x2="${cx}" y2="${cy}" stroke="#f0a040" stroke-width="1" stroke-dasharray="2 2" opacity="0.5"/>`;
+
+      // Right-angle square marker
+      const sq = Math.min(8, Math.min(e.a, e.b) * scale * 0.25);
+      const hx = (ax - bx) / (e.a * scale || 1), hy = (ay - by) / (e.a * scale || 1);
+      const vx = (cx - bx) / (e.b * scale || 1), vy = (cy - by) / (e.b * scale || 1);
+      g.innerHTML += `<path d="M ${bx + hx * sq} ${by + hy * sq} L ${bx + (hx + vx) * sq} ${by + (hy + vy) * sq} L ${bx + vx * sq} ${by + vy * sq}" fill="none" stroke="#f0a040" stroke-width="1" opacity="0.6"/>`;
+
+      // Leg labels outside the horizontal leg and beside the vertical one; the
+      // top front edge always gets them, the others only when there is room
+      const r = e.profile.round ? 'R' : '';
+      if (e.corner.id === 'topRight' || Math.min(e.a, e.b) * scale >= 24) {
+        const legLabel = n => e.corner.id === 'topRight' ? `T\u1d63 = ${r}${dim(n)}` : `${r}${dim(n)}`;
+        const above = by < oy + 1 ? -8 : 16;
+        const side = hx < 0 ? 10 : -10;
+        g.innerHTML += `<text x="${(ax + bx) / 2}" y="${by + above}" text-anchor="middle" class="dim-text" fill="#f0a040" font-size="11">${legLabel(e.a)}</text>`;
+        g.innerHTML += `<text x="${bx + side}" y="${(by + cy) / 2 + 4}" text-anchor="${side > 0 ? 'start' : 'end'}" class="dim-text" fill="#f0a040" font-size="11">${legLabel(e.b)}</text>`;
       }
 
-      // Dashed horizontal and vertical legs
-      g.innerHTML += `<line x1="${ax}" y1="${ay2}" x2="${bx}" y2="${by}" stroke="#f0a040" stroke-width="1" stroke-dasharray="2 2" opacity="0.5"/>`;
-      g.innerHTML += `<line x1="${bx}" y1="${by}" x2="${ccx}" y2="${ccy}" stroke="#f0a040" stroke-width="1" stroke-dasharray="2 2" opacity="0.5"/>`;
+      // Profile name diagonally off the corner (the top front one is named in the inputs)
+      if (e.corner.id !== 'topRight' && !e.pairedWith) {
+        const nx = -(hx + vx), ny = -(hy + vy);
+        const name = Profiles.label(e.edge, e.angle) + (e.profile.sized ? ` ${r}${dim(e.size)}` : '');
+        g.innerHTML += `<text x="${bx + nx * 10}" y="${by + ny * 10 + (ny > 0 ? 8 : 0)}" text-anchor="${nx < 0 ? 'end' : 'start'}" class="dim-text" fill="#f0a040" font-size="10">${escapeHtml(name)}</text>`;
+      }
 
-      // Right-angle square marker
-      const sq = Math.min(8, sTr * 0.25);
-      g.innerHTML += `<path d="M ${bx - sq} ${by} L ${bx - sq} ${by + sq} L ${bx} ${by + sq}" fill="none" stroke="#f0a040" stroke-width="1" opacity="0.6"/>`;
+      $dims.appendChild(g);
+    });
 
-      // Horizontal leg label
-      const hLabelX = (ax + bx) / 2;
-      const hLabelY = ay2 - 8;
-      g.innerHTML += `<text x="${hLabelX}" y="${hLabelY}" text-anchor="middle" class="dim-text" fill="#f0a040" font-size="11">T\u1d63 = ${v.Tr}</text>`;
+    // End treatments. The view looks at the left end: a return there shows
+    // as the arris under it, one on the far (right) end as a hidden line.
+    const front = Geometry.edges(v).find(e => e.corner.id === 'topRight');
+    Geometry.ENDS.forEach(end => {
+      if (v.ends[end.id].type !== 'return' || !front) return;
+      const [x1, y1] = toScreen(0, v.T - front.b);
+      const [x2, y2] = toScreen(v.W, v.T - front.b);
+      const dash = end.id === 'left' ? '' : ' stroke-dasharray="6 4"';
+      $dims.innerHTML += `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#f0a040" stroke-width="1.2"${dash} opacity="0.8"/>`;
+    });
+    const ends = Geometry.endSummary(v);
+    if (ends) {
+      $dims.innerHTML += `<text x="${svgW - 16}" y="${svgH - 16}" text-anchor="end" class="dim-text" fill="#f0a040" font-size="11">${escapeHtml(t('diagram.ends', { ends }))}</text>`;
+    }
 
-      // Vertical leg label
-      const vLabelX = ccx + 10;
-      const vLabelY = (by + ccy) / 2 + 4;
-      g.innerHTML += `<text x="${vLabelX}" y="${vLabelY}" text-anchor="start" class="dim-text" fill="#f0a040" font-size="11">T\u1d63 = ${v.Tr}</text>`;
+    if (Geometry.validate(v).length === 0) drawHandles(v, toScreen);
+  }
 
-      $dims.appendChild(g);
+  // --- Drag handles on the cross-section ---
+  // Each handle moves one edge of the outline: `at` is its position in mm,
+  // `axis` the screen axis it slides along and `dir` whether the value grows
+  // (+1) or shrinks (−1) as the pointer moves right / down. Tr is the leg
+  // along the top face, so it only has a handle for sized profiles.
+  const HANDLES = [
+    { field: 'W', input: () => $width, axis: 'x', dir: 1, at: v => ({ x: v.W, y: -v.Lh / 2 }) },
+    { field: 'T', input: () => $flatThickness, axis: 'y', dir: 1, at: v => ({ x: (v.W - v.Lw) / 2, y: 0 }) },
+    { field: 'Lw', input: () => $lipWidth, axis: 'x', dir: -1, at: v => ({ x: v.W - v.Lw, y: -v.Lh / 2 }) },
+    { field: 'Lh', input: () => $lipHeight, axis: 'y', dir: 1, at: v => ({ x: v.W - v.Lw / 2, y: -v.Lh }) },
+    { field: 'Tr', input: () => $chamfer, axis: 'x', dir: -1, at: v => ({ x: v.W - v.Tr, y: v.T }),
+      show: v => Boolean(Profiles.PROFILES[v.edge] && Profiles.PROFILES[v.edge].sized && v.Tr > 0) },
+  ];
+
+  function drawHandles(v, toScreen) {
+    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    g.innerHTML = HANDLES.filter(h => !h.show || h.show(v)).map(h => {
+      const at = h.at(v);
+      const [x, y] = toScreen(at.x, at.y);
+      return `<circle cx="${x}" cy="${y}" r="6" class="drag-handle ${h.axis}${drag && drag.handle === h ? ' active' : ''}" data-field="${h.field}"><title>${t('diagram.dragHandle', { field: h.field })}</title></circle>`;
+    }).join('');
+    $dims.appendChild(g);
+  }
+
+  // Pointer position in SVG user units
+  function svgPoint(e) {
+    const pt = $svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    return pt.matrixTransform($svg.getScreenCTM().inverse());
+  }
+
+  // Nearest whole-mm value from `to` back towards `from` that passes
+  // validation. The valid values around `from` run up to a limit, so a target
+  // past it is bisected back to the limit in a few validate() calls.
+  function validValue(v, field, from, to) {
+    const valid = value => Geometry.validate(Object.assign({}, v, { [field]: value })).length === 0;
+    let bad = Math.round(to);
+    if (valid(bad)) return bad;
+    let good = from;
+    while (Math.abs(bad - good) > 1) {
+      const mid = Math.round((good + bad) / 2);
+      if (valid(mid)) good = mid;
+      else bad = mid;
     }
+    return good;
   }
 
-  // --- 3D Isometric Drawing ---
-  function drawIsometric() {
+  $svg.addEventListener('pointerdown', e => {
+    const el = e.target.closest('.drag-handle');
+    if (!el || currentView !== 'cross') return;
+    const handle = HANDLES.find(h => h.field === el.dataset.field);
+    drag = { handle, view: crossView, start: svgPoint(e), value: getValues()[handle.field] };
+    $svg.setPointerCapture(e.pointerId);
+    e.preventDefault();
+    drawCrossSection();
+  });
+
+  // Value follows the pointer's travel since pointerdown, snapped to whole mm
+  $svg.addEventListener('pointermove', e => {
+    if (!drag) return;
+    const p = svgPoint(e);
+    const { handle } = drag;
     const v = getValues();
-    if (v.W <= 0 || v.T <= 0 || v.L <= 0) return;
+    const target = drag.value + handle.dir * (p[handle.axis] - drag.start[handle.axis]) / drag.view.scale;
+    const value = validValue(v, handle.field, v[handle.field], target);
+    if (value === v[handle.field]) return;
+    writeLength(handle.input(), value);
+    calculate();
+    drawCrossSection();
+  });
 
-    const svgW = 700, svgH = 500;
-    const totalH = v.T + v.Lh;
-    const maxDim = Math.max(v.W, v.L, totalH);
-    const baseScale = 180 / maxDim;
-
-    const ax = Math.cos(Math.PI / 6) * baseScale;
-    const ay = Math.sin(Math.PI / 6) * baseScale;
-    const cx = svgW / 2;
-    const cy = svgH / 2 + 20;
-
-    function iso(x3, y3, z3) {
-      return [
-        cx + x3 * ax - z3 * ax,
-        cy - y3 * baseScale + x3 * ay + z3 * ay
-      ];
-    }
+  function endDrag() {
+    if (!drag) return;
+    drag = null;
+    drawCrossSection();
+  }
 
-    const W = v.W, T = v.T, Lw = v.Lw, Lh = v.Lh, L = v.L, Tr = v.Tr;
-
-    // Cross-section points in x-y
-    // For bullnose, we approximate the curve with segments for the 3D view
-    let csTop;
-    if (Tr > 0) {
-      if (v.edge === 'bullnose') {
-        // Approximate quarter-circle with line segments
-        const segments = 12;
-        csTop = [[0, T]]; // top-left
-        for (let i = 0; i <= segments; i++) {
-          const angle = (Math.PI / 2) * (i / segments); // 0 to π/2
-          const px = W - Tr + Tr * Math.sin(angle);
-          const py = T - Tr + Tr * Math.cos(angle);
-          csTop.push([px, py]);
-        }
-        csTop.push(
-          [W, -(Lh)],
-          [W - Lw, -(Lh)],
-          [W - Lw, 0],
-          [0, 0],
-        );
-      } else {
-        csTop = [
-          [0, T],
-          [W - Tr, T],
-          [W, T - Tr],
-          [W, -(Lh)],
-          [W - Lw, -(Lh)],
-          [W - Lw, 0],
-          [0, 0],
-        ];
-      }
-    } else {
-      csTop = [
-        [0, T],
-        [W, T],
-        [W, -(Lh)],
-        [W - Lw, -(Lh)],
-        [W - Lw, 0],
-        [0, 0],
-      ];
-    }
+  $svg.addEventListener('pointerup', endDrag);
+  $svg.addEventListener('pointercancel', endDrag);
 
-    const frontPts = csTop.map(([x, y]) => iso(x, y, 0));
-    const backPts = csTop.map(([x, y]) => iso(x, y, L));
+  // --- 3D View ---
+  function drawModel() {
+    const v = getValues();
+    if (v.W <= 0 || v.T <= 0 || v.L <= 0) return;
 
-    function polyStr(pts) {
-      return pts.map(p => p.join(',')).join(' ');
-    }
+    const svgW = 700, svgH = 500;
+    const scene = Viewer.render(v, camera, svgW, svgH);
+    const polyStr = pts => pts.map(p => p.join(',')).join(' ');
 
+    let defs = '';
     let svg = '';
-    const cTop = 'rgba(158,170,185,0.75)';
-    const cFront = 'rgba(120,135,150,0.8)';
-    const cSide = 'rgba(100,115,130,0.80)';
-    const cStroke = '#556';
-
-    // For the 3D view, we draw the visible side faces between consecutive points
-    // We need to identify which faces are top-like, side-like, etc.
-    const n = csTop.length;
-
-    // Draw side faces (each quad from front[i] → front[i+1] → back[i+1] → back[i])
-    for (let i = 0; i < n - 1; i++) {
-      const face = [frontPts[i], frontPts[i + 1], backPts[i + 1], backPts[i]];
-      // Determine face color based on the edge direction
-      const dx = csTop[i + 1][0] - csTop[i][0];
-      const dy = csTop[i + 1][1] - csTop[i][1];
-
-      let fill, opacity = '1';
-      if (Math.abs(dy) < 0.01 && dx > 0) {
-        // Horizontal top face
-        fill = cTop;
-      } else if (Math.abs(dx) < 0.01 && dy < 0) {
-        // Vertical right face going down
-        fill = cSide;
-      } else if (Math.abs(dx) < 0.01 && dy > 0) {
-        // Vertical face going up (inner lip)
-        fill = cFront;
-        opacity = '0.5';
-      } else if (Math.abs(dy) < 0.01 && dx < 0) {
-        // Horizontal bottom face
-        fill = cTop;
-        opacity = '0.4';
-      } else if (dx > 0 && dy < 0) {
-        // Chamfer/bullnose face (going right and down)
-        fill = 'rgba(180,140,170,0.7)';
-      } else {
-        fill = cFront;
-        opacity = '0.6';
+    scene.faces.forEach((face, i) => {
+      let fill = face.fill;
+      if (face.gradient) {
+        const g = face.gradient;
+        defs += `<linearGradient id="shade-${i}" gradientUnits="userSpaceOnUse" x1="${g.x1}" y1="${g.y1}" x2="${g.x2}" y2="${g.y2}"><stop offset="0" stop-color="${g.from}"/><stop offset="1" stop-color="${g.to}"/></linearGradient>`;
+        fill = `url(#shade-${i})`;
       }
+      // Round strips are stroked in their own colour so the arc reads as one surface
+      const stroke = face.gradient ? fill : '#556';
+      const width = face.kind === 'end' ? 1.5 : face.gradient ? 0.6 : 1;
+      svg += `<polygon points="${polyStr(face.points)}" fill="${fill}" stroke="${stroke}" stroke-width="${width}" stroke-linejoin="round"/>`;
+    });
 
-      svg += `<polygon points="${polyStr(face)}" fill="${fill}" stroke="${cStroke}" stroke-width="1" opacity="${opacity}"/>`;
+    $lShape.setAttribute('d', '');
+    $lShapeHatch.setAttribute('d', '');
+    $dims.innerHTML = `<defs>${defs}</defs>${svg}`;
+
+    // Dimension labels on the end face in view; a label is left out when
+    // what it measures is seen end-on
+    const seen = (x, y, dz) => {
+      const [ax, ay] = scene.project(0, 0, 0);
+      const [bx, by] = scene.project(x, y, dz);
+      return Math.hypot(bx - ax, by - ay) >= 24;
+    };
+    const onEnd = (x, y) => scene.project(x, y, scene.endZ(x, y));
+    const label = ([sx, sy], text, dx, dy, anchor, extra) =>
+      `<text x="${sx + dx}" y="${sy + dy}" class="dim-text" text-anchor="${anchor}"${extra || ''}>${escapeHtml(text)}</text>`;
+    const W = v.W, T = v.T, Lw = v.Lw, Lh = v.Lh, L = v.L;
+    let labels = '';
+    if (seen(0, 0, L)) labels += label(scene.project(W, T, L / 2), `L = ${dim(L)}`, 12, 0, 'start');
+    if (seen(W, 0, 0)) labels += label(onEnd(W / 2, T), `W = ${dim(W)}`, 0, -10, 'middle');
+    if (seen(0, T, 0)) labels += label(onEnd(0, T / 2), `T = ${dim(T)}`, -10, 0, 'end');
+    if (seen(0, Lh, 0)) labels += label(onEnd(W, -Lh / 2), `Lh = ${dim(Lh)}`, 10, 0, 'start');
+    if (seen(Lw, 0, 0)) labels += label(onEnd(W - Lw / 2, -Lh), `Lw = ${dim(Lw)}`, 0, 16, 'middle');
+
+    // Edge labels at the middle of each profile, when the section is in view
+    if (seen(W, 0, 0) && seen(0, T, 0)) {
+      Geometry.edges(v).filter(e => !e.pairedWith).forEach(e => {
+        const pts = Geometry.placeEdge(v, e);
+        const first = pts[0], last = pts[pts.length - 1];
+        const text = e.corner.id === 'topRight' ? `T\u1d63 = ${dim(v.Tr)}` : Profiles.label(e.edge, e.angle);
+        const right = e.corner.h.x < 0;
+        const top = e.corner.v.y < 0;
+        labels += label(onEnd((first.x + last.x) / 2, (first.y + last.y) / 2), text,
+          right ? 16 : -16, top ? -8 : 16, right ? 'start' : 'end', ' fill="#f0a040" font-size="12"');
+      });
     }
+    $dims.innerHTML += labels;
+  }
 
-    // Front face
-    svg += `<polygon points="${polyStr(frontPts)}" fill="${cFront}" stroke="${cStroke}" stroke-width="1.5"/>`;
+  function setCamera(next) {
+    camera = next;
+    $cameraPresets.querySelectorAll('[data-preset]').forEach(btn => {
+      const p = Viewer.PRESETS[btn.dataset.preset];
+      btn.classList.toggle('active', p.yaw === camera.yaw && p.pitch === camera.pitch);
+    });
+    drawModel();
+  }
 
-    $lShape.setAttribute('d', '');
-    $lShapeHatch.setAttribute('d', '');
-    $dims.innerHTML = svg;
+  // Drag to orbit; shift-drag or the middle / right button pans; wheel zooms
+  $svg.addEventListener('pointerdown', e => {
+    if (currentView !== 'iso') return;
+    orbit = { from: svgPoint(e), pan: e.shiftKey || e.button === 1 || e.button === 2 };
+    $svg.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
 
-    // Dimension labels
-    const lenMid = iso(W + 15 / baseScale, T, L / 2);
-    $dims.innerHTML += `<text x="${lenMid[0] + 15}" y="${lenMid[1]}" class="dim-text" text-anchor="start">L = ${v.L}</text>`;
+  $svg.addEventListener('pointermove', e => {
+    if (!orbit) return;
+    const p = svgPoint(e);
+    const dx = p.x - orbit.from.x, dy = p.y - orbit.from.y;
+    orbit.from = p;
+    setCamera(orbit.pan ? Viewer.pan(camera, dx, dy) : Viewer.orbit(camera, dx, dy));
+  });
 
-    const wMid = iso(W / 2, T + 15 / baseScale, 0);
-    $dims.innerHTML += `<text x="${wMid[0]}" y="${wMid[1] - 10}" class="dim-text" text-anchor="middle">W = ${v.W}</text>`;
+  function endOrbit() {
+    orbit = null;
+  }
 
-    const tMid = iso(-10 / baseScale, T / 2, 0);
-    $dims.innerHTML += `<text x="${tMid[0] - 10}" y="${tMid[1]}" class="dim-text" text-anchor="end">T = ${v.T}</text>`;
+  $svg.addEventListener('pointerup', endOrbit);
+  $svg.addEventListener('pointercancel', endOrbit);
 
-    const lhMid = iso(W + 10 / baseScale, T - Lh / 2, 0);
-    $dims.innerHTML += `<text x="${lhMid[0] + 10}" y="${lhMid[1]}" class="dim-text" text-anchor="start">Lh = ${v.Lh}</text>`;
+  $svg.addEventListener('wheel', e => {
+    if (currentView !== 'iso') return;
+    e.preventDefault();
+    setCamera(Viewer.zoom(camera, Math.exp(-e.deltaY * 0.0015)));
+  }, { passive: false });
 
-    const lwMid = iso(W - Lw / 2, T - Lh - 12 / baseScale, 0);
-    $dims.innerHTML += `<text x="${lwMid[0]}" y="${lwMid[1] + 16}" class="dim-text" text-anchor="middle">Lw = ${v.Lw}</text>`;
+  $svg.addEventListener('contextmenu', e => {
+    if (currentView === 'iso') e.preventDefault();
+  });
 
-    // Edge label
-    if (Tr > 0) {
-      const cMid = iso(W - Tr / 2, T - Tr / 2, 0);
-      $dims.innerHTML += `<text x="${cMid[0] + 16}" y="${cMid[1] - 8}" class="dim-text" fill="#f0a040" font-size="12" text-anchor="start">T\u1d63 = ${v.Tr}</text>`;
-    }
-  }
+  $cameraPresets.addEventListener('click', e => {
+    const btn = e.target.closest('[data-preset]');
+    if (btn) setCamera(Viewer.camera(btn.dataset.preset));
+  });
 
   // --- Unified draw ---
   function draw() {
     if (currentView === 'cross') {
       drawCrossSection();
     } else {
-      drawIsometric();
+      drawModel();
     }
   }
 
   // --- View toggle ---
+  function setView(view) {
+    currentView = view;
+    $btnCross.classList.toggle('active', view === 'cross');
+    $btnIso.classList.toggle('active', view === 'iso');
+    $cameraPresets.hidden = view !== 'iso';
+  }
+
   $btnCross.addEventListener('click', () => {
-    currentView = 'cross';
-    $btnCross.classList.add('active');
-    $btnIso.classList.remove('active');
+    setView('cross');
+    updateUrl();
     draw();
   });
 
   $btnIso.addEventListener('click', () => {
-    currentView = 'iso';
-    $btnIso.classList.add('active');
-    $btnCross.classList.remove('active');
+    setView('iso');
+    updateUrl();
     draw();
   });
 
-  // --- Edge type toggle ---
-  $edgeChamfer.addEventListener('change', () => {
+  // --- Edge profiles ---
+  $edgeType.addEventListener('change', () => {
     updateEdgeUI();
     calculate();
     draw();
   });
-  $edgeBullnose.addEventListener('change', () => {
-    updateEdgeUI();
+
+  // Sizes and angles recalculate as they are typed, a profile or treatment
+  // once it is chosen (a select fires both events)
+  [$cornerEdges, $endTreatments].forEach(el => el.addEventListener('input', e => {
+    if (e.target.tagName === 'SELECT') return;
+    calculate();
+    draw();
+  }));
+
+  $cornerEdges.addEventListener('change', e => {
+    if (e.target.tagName !== 'SELECT') return;
+    updateCornerRow(e.target.closest('.corner-row'));
+    calculate();
+    draw();
+  });
+
+  $endTreatments.addEventListener('change', e => {
+    if (e.target.tagName !== 'SELECT') return;
+    updateEndRow(e.target.closest('.end-row'));
     calculate();
     draw();
   });
 
   // --- Auto-fit radius ---
   $autoFitBtn.addEventListener('click', () => {
-    const Lw = parseFloat($lipWidth.value) || 0;
-    const T = parseFloat($flatThickness.value) || 0;
+    const Lw = readLength($lipWidth) || 0;
+    const T = readLength($flatThickness) || 0;
     if (Lw > 0 && T > 0) {
       // T_r = Lw + T − √(2·Lw·T)
       const Tr = Lw + T - Math.sqrt(2 * Lw * T);
-      $chamfer.value = Math.round(Tr);
+      writeLength($chamfer, Math.round(Tr));
       calculate();
       draw();
     }
   });
 
+  // --- Material selector ---
+  Materials.materials.forEach(mat => {
+    $material.add(new Option(`${materialLabel(mat)} (${I18n.number(mat.density)})`, mat.id));
+  });
+  $material.add(new Option(t('material.custom'), 'custom'));
+
+  function labelMaterials() {
+    Array.from($material.options).forEach(opt => {
+      const mat = Materials.materials.find(m => m.id === opt.value);
+      opt.text = mat ? `${materialLabel(mat)} (${I18n.number(mat.density)})` : t('material.custom');
+    });
+  }
+  $handlingLimit.value = Materials.manualHandlingLimit;
+
+  $material.addEventListener('change', () => {
+    $customDensity.style.display = $material.value === 'custom' ? 'block' : 'none';
+    calculate();
+  });
+
+  // --- Pricing inputs ---
+  const D = Pricing.DEFAULTS;
+  $currency.value = D.currency;
+  $stoneBasis.value = D.stoneBasis;
+  $stonePrice.value = D.stonePrice;
+  Object.keys($priceEdge).forEach(edge => { $priceEdge[edge].value = D.edgePrices[edge]; });
+  $wastePct.value = D.wastePct;
+  $marginPct.value = D.marginPct;
+  $taxPct.value = D.taxPct;
+
+  $stoneBasis.addEventListener('change', calculate);
+  $printQuoteBtn.addEventListener('click', printQuote);
+
+  // --- Units ---
+  // Rewrites every length input in the new unit, so the stone stays the same
+  function setLengthUnit(unit) {
+    if (!Units.LENGTH_UNITS[unit]) return;
+    const inputs = Array.from(document.querySelectorAll('input[data-length]'));
+    const values = inputs.map(readLength);
+    lengthUnit = unit;
+    Units.setLengthUnit(unit);
+    $lengthUnit.value = unit;
+    inputs.forEach((el, i) => writeLength(el, values[i]));
+    document.querySelectorAll('[data-unit="length"]').forEach(el => { el.textContent = Units.LENGTH_UNITS[unit].label; });
+  }
+
+  $lengthUnit.addEventListener('change', () => {
+    setLengthUnit($lengthUnit.value);
+    calculate();
+    draw();
+  });
+
+  $volumeUnit.addEventListener('change', () => {
+    updateSolveTarget();
+    calculate();
+  });
+
+  // --- Yield planner inputs ---
+  Object.keys($block).forEach(key => writeLength($block[key], Yield.DEFAULTS[key]));
+  Object.values($block).forEach(el => el.addEventListener('input', renderYield));
+
+  // --- Staircase flight inputs ---
+  Stairs.MODES.forEach(mode => $stairMode.add(new Option(mode.label, mode.id)));
+  $stairMode.value = Stairs.DEFAULTS.mode;
+  $stairSteps.value = Stairs.DEFAULTS.steps;
+  Object.keys($flight).forEach(key => writeLength($flight[key], Stairs.DEFAULTS[key]));
+  updateStairMode();
+  [$stairSteps, ...Object.values($flight)].forEach(el => el.addEventListener('input', renderStairs));
+  $stairMode.addEventListener('change', () => {
+    updateStairMode();
+    renderStairs();
+  });
+
+  // The flight's tread into the calculator, one piece per step
+  $useTreadBtn.addEventListener('click', () => {
+    const plan = Stairs.plan(getValues(), getFlight());
+    if (!plan.valid) return;
+    writeLength($width, plan.params.W);
+    writeLength($lipHeight, plan.params.Lh);
+    $quantity.value = plan.steps;
+    calculate();
+    draw();
+  });
+
+  // --- Curved run inputs ---
+  Curve.RADIUS_AT.forEach(at => $curveAt.add(new Option(at.label, at.id)));
+  Curve.FRONTS.forEach(front => $curveFront.add(new Option(front.label, front.id)));
+  writeLength($curveRadius, Curve.DEFAULTS.radius);
+  $curveAt.value = Curve.DEFAULTS.at;
+  $curveSweep.value = Curve.DEFAULTS.sweep;
+  $curveSegments.value = Curve.DEFAULTS.segments;
+  $curveFront.value = Curve.DEFAULTS.front;
+  [$curveRadius, $curveSweep, $curveSegments].forEach(el => el.addEventListener('input', renderCurve));
+  [$curveAt, $curveFront].forEach(el => el.addEventListener('change', renderCurve));
+
+  // --- Solve for inputs ---
+  Solver.UNKNOWNS.forEach(u => $solveUnknown.add(new Option(u.label, u.id)));
+  Solver.TARGETS.forEach(target => $solveTarget.add(new Option(target.label, target.id)));
+  $solveUnknown.value = 'L';
+  $solveTarget.value = 'weight';
+  $solveAmount.value = Materials.manualHandlingLimit;
+  writeLength($solveLength, 50);
+  updateSolveTarget();
+  [$solveAmount, $solveLength].forEach(el => el.addEventListener('input', renderSolve));
+  $solveUnknown.addEventListener('change', renderSolve);
+  $solveTarget.addEventListener('change', () => {
+    updateSolveTarget();
+    renderSolve();
+  });
+
+  // Writes the value found into its parameter
+  $solveApplyBtn.addEventListener('click', () => {
+    if (!solution) return;
+    writeLength(fieldInputs[solution.unknown.id], solution.x);
+    calculate();
+    draw();
+  });
+
+  // --- Compare variant inputs ---
+  buildCompare();
+
+  if ('IntersectionObserver' in window) {
+    new IntersectionObserver(entries => {
+      compareVisible = entries[entries.length - 1].isIntersecting;
+      renderCompare();
+    }).observe($comparePanel);
+  }
+
+  // An edited field becomes the variant's own; a cleared one follows A again
+  function updateVariant(e) {
+    const col = Number(e.target.dataset.col);
+    const field = Compare.FIELDS.find(f => f.id === e.target.closest('tr').dataset.field);
+    if (!(col > 0) || !field) return;
+    const own = variants[col - 1];
+    if (e.target.value.trim() === '') delete own[field.id];
+    else own[field.id] = field.length ? readLength(e.target) : e.target.value;
+    renderCompare();
+  }
+
+  $compareFields.addEventListener('input', e => { if (e.target.tagName === 'INPUT') updateVariant(e); });
+  $compareFields.addEventListener('change', e => { if (e.target.tagName === 'SELECT') updateVariant(e); });
+
+  // A cleared field shows A's value again once it is left
+  $compareFields.addEventListener('focusout', renderCompare);
+
+  $compareHead.addEventListener('click', e => {
+    const btn = e.target.closest('button');
+    if (!btn || variants.length + 1 <= Compare.MIN_VARIANTS) return;
+    variants.splice(Number(btn.dataset.col) - 1, 1);
+    buildCompare();
+    renderCompare();
+  });
+
+  // A new variant starts as a copy of the last one
+  $addVariantBtn.addEventListener('click', () => {
+    if (variants.length + 1 >= Compare.MAX_VARIANTS) return;
+    variants.push(Object.assign({}, variants[variants.length - 1]));
+    buildCompare();
+    renderCompare();
+  });
+
   // --- Event listeners ---
-  const inputs = [$length, $width, $flatThickness, $lipWidth, $lipHeight, $chamfer, $quantity];
+  [$customDensity, $handlingLimit, $stonePrice, $wastePct, $marginPct, $taxPct, $currency,
+    ...Object.values($priceEdge)].forEach(el => el.addEventListener('input', calculate));
+
+  const inputs = [$length, $width, $flatThickness, $lipWidth, $lipHeight, $chamfer, $chamferAngle, $quantity];
   inputs.forEach(el => {
     el.addEventListener('input', () => {
       calculate();
@@ -533,12 +2103,230 @@
     });
   });
 
+  // --- Order table ---
+  $addRowBtn.addEventListener('click', () => {
+    addRow(Object.assign({ name: t('order.stone', { n: order.rows.length + 1 }) }, getDefaults()), order.rows.length);
+  });
+
+  $orderBody.addEventListener('click', e => {
+    const tr = e.target.closest('tr');
+    if (!tr) return;
+    const i = Number(tr.dataset.index);
+    const btn = e.target.closest('button');
+    if (btn) {
+      const action = btn.dataset.action;
+      if (action === 'up') moveRow(i, i - 1);
+      else if (action === 'down') moveRow(i, i + 1);
+      else if (action === 'duplicate') addRow(Object.assign({}, order.rows[i], { name: t('order.copy', { name: order.rows[i].name }) }), i + 1);
+      else if (action === 'delete') deleteRow(i);
+      return;
+    }
+    if (i === order.selected) return;
+    // Selecting redraws the table: a clicked name keeps the focus and caret
+    const caret = e.target.classList.contains('row-name') ? e.target.selectionStart : null;
+    selectRow(i);
+    if (caret !== null) {
+      const name = $orderBody.querySelector(`tr[data-index="${i}"] .row-name`);
+      name.focus();
+      name.setSelectionRange(caret, caret);
+    }
+  });
+
+  $orderBody.addEventListener('input', e => {
+    if (!e.target.classList.contains('row-name')) return;
+    order.rows[Number(e.target.closest('tr').dataset.index)].name = e.target.value;
+  });
+
+  // --- Import / export ---
+  $importBtn.addEventListener('click', () => $importFile.click());
+
+  $importFile.addEventListener('change', () => {
+    const file = $importFile.files[0];
+    if (!file) return;
+    readSpreadsheet(file).then(({ table, delimiter }) => {
+      if (table.length < 2) throw new Error(t('import.tooShort'));
+      pendingImport.table = table;
+      pendingImport.delimiter = delimiter;
+      pendingImport.mapping = Order.guessMapping(table[0]);
+      $importFileName.textContent = file.name;
+      $importMapping.hidden = false;
+      renderMapping();
+    }).catch(err => {
+      pendingImport.table = null;
+      $importFileName.textContent = file.name;
+      $mappingFields.innerHTML = '';
+      $importReport.innerHTML = `<ul><li>⚠ ${escapeHtml(t('import.cannotRead', { message: err.message }))}</li></ul>`;
+      $importValidBtn.disabled = true;
+      $importAllBtn.disabled = true;
+      $importMapping.hidden = false;
+    });
+  });
+
+  $mappingFields.addEventListener('change', e => {
+    pendingImport.mapping[e.target.dataset.key] = Number(e.target.value);
+    renderImportReport();
+  });
+
+  $importValidBtn.addEventListener('click', () => applyImport(true));
+  $importAllBtn.addEventListener('click', () => applyImport(false));
+  $importCancelBtn.addEventListener('click', closeImport);
+
+  $exportCsvBtn.addEventListener('click', () => {
+    download('stone-schedule.csv', '\ufeff' + Csv.stringify(Order.toTable(order.rows)), 'text/csv;charset=utf-8');
+  });
+
+  $exportXlsxBtn.addEventListener('click', () => {
+    download('stone-schedule.xlsx', Xlsx.write(Order.toTable(order.rows), 'Stones'),
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  });
+
+  // --- DXF export ---
+  $exportDxfBtn.addEventListener('click', () => {
+    const v = getValues();
+    if (Geometry.validate(v).length > 0) return;
+    download(`${fileStem()}.dxf`, Dxf.profile(v), 'application/dxf');
+  });
+
+  // --- Shop drawing export ---
+  Drawing.SCALES.forEach(n => $drawingScale.add(new Option(`1:${n}`, String(n))));
+
+  [$drawingSheet, $drawingScale].forEach(el => {
+    el.addEventListener('change', () => updateDrawingUI(Geometry.compute(getValues())));
+  });
+
+  $exportDrawingSvgBtn.addEventListener('click', () => {
+    if (Geometry.validate(getValues()).length > 0) return;
+    download(`${fileStem()}-drawing.svg`, Drawing.toSvg(buildDrawing()), 'image/svg+xml');
+  });
+
+  $exportDrawingPdfBtn.addEventListener('click', () => {
+    if (Geometry.validate(getValues()).length > 0) return;
+    download(`${fileStem()}-drawing.pdf`, Pdf.render(buildDrawing()), 'application/pdf');
+  });
+
   // --- Pulse keyframe (injected once) ---
   const style = document.createElement('style');
   style.textContent = `@keyframes pulse{0%{transform:scale(1)}40%{transform:scale(1.015)}100%{transform:scale(1)}}`;
   document.head.appendChild(style);
 
+  // --- Projects ---
+  $saveProjectBtn.addEventListener('click', () => {
+    const name = $projectName.value.trim() || (order.rows[0] && order.rows[0].name) || t('projects.untitled');
+    projects = Projects.save(projects, name, getState());
+    currentProject = projects[0].id;
+    $projectName.value = name;
+    projectStatus(t('projects.saved', { name }));
+    storeProjects();
+  });
+
+  $copyLinkBtn.addEventListener('click', () => {
+    updateUrl();
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(location.href) : Promise.reject(new Error('no clipboard'));
+    copied
+      .then(() => projectStatus(t('projects.linkCopied')))
+      .catch(() => projectStatus(t('projects.copyLink')));
+  });
+
+  $projectBody.addEventListener('click', e => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const id = btn.closest('tr').dataset.id;
+    const item = projects.find(p => p.id === id);
+    if (!item) return;
+    const action = btn.dataset.action;
+    if (action === 'open') {
+      currentProject = id;
+      $projectName.value = item.name;
+      applyState(item.state);
+      projectStatus(t('projects.opened', { name: item.name }));
+      renderProjects();
+    } else if (action === 'duplicate') {
+      projects = Projects.duplicate(projects, id);
+      storeProjects();
+    } else if (action === 'delete' && window.confirm(t('projects.confirmDelete', { name: item.name }))) {
+      projects = Projects.remove(projects, id);
+      if (currentProject === id) currentProject = null;
+      storeProjects();
+    }
+  });
+
+  $projectBody.addEventListener('change', e => {
+    if (!e.target.classList.contains('row-name')) return;
+    const name = e.target.value.trim();
+    if (!name) return renderProjects();
+    projects = Projects.rename(projects, e.target.closest('tr').dataset.id, name);
+    storeProjects();
+  });
+
+  $exportProjectsBtn.addEventListener('click', () => {
+    download('stonecalc-projects.json', Projects.exportJson(projects), 'application/json');
+  });
+
+  $importProjectsBtn.addEventListener('click', () => $importProjectsFile.click());
+
+  $importProjectsFile.addEventListener('change', () => {
+    const file = $importProjectsFile.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      const result = Projects.importJson(text);
+      projects = result.projects.concat(projects);
+      projectStatus(result.skipped > 0
+        ? t('projects.importedSkipped', { count: result.projects.length, skipped: result.skipped })
+        : t('projects.imported', { count: result.projects.length }));
+      storeProjects();
+    }).catch(err => {
+      projectStatus('⚠ ' + t('projects.cannotImport', { file: file.name, message: err.message }));
+    }).then(() => { $importProjectsFile.value = ''; });
+  });
+
+  // --- Language switch ---
+  function translatePage() {
+    I18n.translate(document);
+    document.documentElement.lang = I18n.locale();
+  }
+
+  // Everything this script wrote is written again in the new language; the
+  // choice is remembered in this browser
+  $language.addEventListener('change', () => {
+    // Typed lengths are read with the old language's separators first
+    document.querySelectorAll('input[data-length]').forEach(el => writeLength(el, readLength(el)));
+    I18n.setLocale($language.value);
+    try {
+      I18n.store(window.localStorage, I18n.locale());
+    } catch (err) {
+      // storage blocked: the choice lasts until the page is closed
+    }
+    translatePage();
+    setLengthUnit(lengthUnit);
+    buildEdgeControls();
+    labelPriceFields();
+    labelMaterials();
+    [[$stairMode, Stairs.MODES], [$curveAt, Curve.RADIUS_AT], [$curveFront, Curve.FRONTS],
+      [$solveUnknown, Solver.UNKNOWNS], [$solveTarget, Solver.TARGETS]].forEach(([select, items]) => {
+      Array.from(select.options).forEach(opt => { opt.text = items.find(item => item.id === opt.value).label; });
+    });
+    buildCompare();
+    if (pendingImport.table) renderMapping();
+    projectStatus('');
+    renderProjects();
+    updateEdgeUI();
+    calculate();
+    draw();
+  });
+
   // --- Init ---
+  // A shared link opens its stone; otherwise the page defaults
+  const linked = Projects.fromQuery(location.search);
+  if (linked) {
+    setLengthUnit(linked.lengthUnit);
+    if (Units.VOLUME_UNITS[linked.volumeUnit]) $volumeUnit.value = linked.volumeUnit;
+    setView(linked.view);
+    order.rows.push(linked.row);
+    setValues(linked.row);
+  } else {
+    order.rows.push(Object.assign({ name: t('order.stone', { n: 1 }) }, getValues()));
+  }
+  renderProjects();
   updateEdgeUI();
   calculate();
   draw();
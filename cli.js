@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// ===== StoneCalc batch calculator (command line) =====
+//
+// Runs a job file of many stones through the same geometry engine as the
+// web UI and prints per-line and total volumes.
+//
+// Usage:
+//   node cli.js <job.json | job.csv | job.xlsx> [--json]
+//
+// JSON jobs are an array of stones, or { "stones": [...] }. CSV and XLSX jobs
+// need a header row; columns are matched by name the same way as the web
+// importer ("L", "Length (mm)", "Lip width", ...). Each stone has:
+//   name (optional), L, W, T, Lw, Lh, Tr, edge, angle, corners, ends, qty
+//
+// edge is a profile from profiles.js (chamfer, pencil, bullnose, cove, ...);
+// corners sets the other corners, e.g. "topLeft=cove 10; bottomLeft=pencil 4";
+// ends mitres or returns the ends, e.g. "left=mitre 45; right=return".
+//
+// Exits with status 1 if any line fails validation.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Csv = require('./csv.js');
+const Xlsx = require('./xlsx.js');
+const Order = require('./order.js');
+const Geometry = require('./geometry.js');
+
+// --- Job loading ---
+// Spreadsheet rows (first row = header) → stones; `delimiter` is the CSV's
+function tableToStones(table, delimiter) {
+  const [header, ...body] = table;
+  if (!header) return [];
+  return Order.fromTable(body, Order.guessMapping(header), delimiter);
+}
+
+async function readJob(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.xlsx') return tableToStones(await Xlsx.read(fs.readFileSync(file)));
+
+  const text = fs.readFileSync(file, 'utf8');
+  if (ext === '.csv') return tableToStones(Csv.parse(text), Csv.detectDelimiter(text));
+
+  const data = JSON.parse(text);
+  const stones = Array.isArray(data) ? data : data.stones;
+  if (!Array.isArray(stones)) throw new Error('JSON job must be an array of stones or { "stones": [...] }.');
+  return stones;
+}
+
+// --- Output ---
+function m3(mm3) {
+  return (mm3 / 1e9).toFixed(6);
+}
+
+function printTable(lines, total) {
+  const head = ['#', 'Name', 'Edge', 'Qty', 'Per piece (m³)', 'Total (m³)'];
+  const rows = lines.map(line => [
+    String(line.line),
+    line.name,
+    line.stone ? [Geometry.edgeSummary(line.result.params), Geometry.endSummary(line.result.params)].filter(Boolean).join('; ') : '—',
+    String(line.result.params.qty),
+    line.result.valid ? m3(line.result.volumeOne) : 'INVALID',
+    line.result.valid ? m3(line.result.volumeTotal) : '—',
+  ]);
+  rows.push(['', 'TOTAL', '', String(total.pieces), '', m3(total.volume)]);
+
+  const widths = head.map((h, c) => Math.max(h.length, ...rows.map(r => r[c].length)));
+  const fmt = r => r.map((cell, c) => (c >= 3 ? cell.padStart(widths[c]) : cell.padEnd(widths[c]))).join('  ');
+
+  console.log(fmt(head));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  rows.forEach((r, i) => {
+    if (i === rows.length - 1) console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    console.log(fmt(r));
+  });
+
+  lines.filter(line => !line.result.valid).forEach(line => {
+    console.error(`\nLine ${line.line} (${line.name}):`);
+    line.result.errors.forEach(err => console.error(`  ⚠ ${err.message}`));
+  });
+}
+
+// --- Main ---
+async function run(argv) {
+  const args = argv.filter(a => !a.startsWith('--'));
+  const asJson = argv.includes('--json');
+  if (args.length !== 1) {
+    console.error('Usage: node cli.js <job.json | job.csv | job.xlsx> [--json]');
+    return 2;
+  }
+
+  let stones;
+  try {
+    stones = await readJob(args[0]);
+  } catch (err) {
+    console.error(`Cannot read job file: ${err.message}`);
+    return 2;
+  }
+
+  // An entry that is not a stone object is an invalid line of its own; an
+  // empty stone stands in for it so the rest of the job still adds up
+  const isStone = stone => stone !== null && typeof stone === 'object' && !Array.isArray(stone);
+  const summary = Order.summarize(stones.map(stone => (isStone(stone) ? stone : {})));
+  const lines = summary.results.map((result, i) => ({
+    line: i + 1,
+    stone: isStone(stones[i]),
+    name: isStone(stones[i]) && stones[i].name ? String(stones[i].name) : `Stone ${i + 1}`,
+    result: isStone(stones[i]) ? result : Object.assign({}, result, {
+      errors: [{ field: null, message: `Not a stone: expected an object, got ${JSON.stringify(stones[i])}.` }],
+    }),
+  }));
+  const total = { volume: summary.total.volume, pieces: summary.total.pieces };
+
+  if (asJson) {
+    console.log(JSON.stringify({
+      lines: lines.map(line => ({
+        line: line.line,
+        name: line.name,
+        params: line.stone ? line.result.params : null,
+        valid: line.result.valid,
+        errors: line.result.errors,
+        area: line.result.area,
+        volumeOne: line.result.volumeOne,
+        volumeTotal: line.result.volumeTotal,
+      })),
+      total,
+    }, null, 2));
+  } else {
+    printTable(lines, total);
+  }
+
+  return summary.invalid === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { tableToStones, readJob, run };
@@ -0,0 +1,81 @@
+// ===== Variant Comparison =====
+//
+// Puts alternatives of the stone on screen side by side, to show what a
+// change costs in material: bullnose against chamfer, a 30 mm lip against a
+// 50 mm one. Variant A is the stone as it stands; each of the others keeps
+// only the fields it changes and takes the rest from A, so editing the stone
+// moves every variant with it:
+//
+//   A   { }                          the stone itself, the base
+//   B   { edge: 'bullnose' }
+//   C   { Lw: 50, Lh: 150 }
+//
+// Each variant has its own volume and the material its edges remove, and the
+// difference in volume from A, in mm³ per piece and as a percentage.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./i18n.js'));
+  } else {
+    root.StoneCompare = factory(root.StoneGeometry, root.StoneI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, I18n) {
+  'use strict';
+
+  // What a variant can change; length fields are in mm
+  const FIELDS = I18n.localize([
+    { id: 'edge', label: 'Top front edge' },
+    { id: 'Tr', label: 'Edge size (Tᵣ)', length: true },
+    { id: 'angle', label: 'Chamfer angle (°)' },
+    { id: 'W', label: 'Total Width (W)', length: true },
+    { id: 'T', label: 'Flat Thickness (T)', length: true },
+    { id: 'Lw', label: 'Lip Width (Lw)', length: true },
+    { id: 'Lh', label: 'Lip Drop Height (Lh)', length: true },
+  ], 'compare.field');
+
+  const NAMES = ['A', 'B', 'C', 'D'];
+  const MIN_VARIANTS = 2;
+  const MAX_VARIANTS = NAMES.length;
+
+  // The stone with a variant's changes applied
+  function variant(base, changes) {
+    const own = {};
+    FIELDS.forEach(field => { if (changes && changes[field.id] !== undefined) own[field.id] = changes[field.id]; });
+    return Geometry.normalize(Object.assign({}, base, own));
+  }
+
+  // changes: one object per variant after A. Returns A first, then each
+  // variant with its result and, when both are valid, its difference from A.
+  function compare(stoneInput, changes) {
+    const base = Geometry.normalize(stoneInput);
+    const variants = [{}].concat(changes || []).slice(0, MAX_VARIANTS).map((own, i) => {
+      const result = Geometry.compute(variant(base, own));
+      const p = result.params;
+      return {
+        name: NAMES[i],
+        changed: i === 0 ? [] : FIELDS.filter(field => own[field.id] !== undefined && p[field.id] !== base[field.id]).map(field => field.id),
+        result,
+        removed: result.valid ? Geometry.edgeArea(p) * p.L : null,
+        difference: null,
+        percent: null,
+      };
+    });
+
+    const ref = variants[0].result;
+    variants.forEach(v => {
+      if (!ref.valid || !v.result.valid) return;
+      v.difference = v.result.volumeOne - ref.volumeOne;
+      v.percent = ref.volumeOne > 0 ? (100 * v.difference) / ref.volumeOne : 0;
+    });
+    return { base, variants };
+  }
+
+  return {
+    FIELDS,
+    NAMES,
+    MIN_VARIANTS,
+    MAX_VARIANTS,
+    variant,
+    compare,
+  };
+});
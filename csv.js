@@ -0,0 +1,70 @@
+// ===== CSV Reader / Writer =====
+//
+// Minimal RFC 4180 support shared by the web UI and cli.js: quoted fields,
+// doubled quotes, CRLF line ends. The delimiter is detected from the first
+// line, so spreadsheets saved with ';' (common with decimal commas) also work.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StoneCsv = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = ch => firstLine.split(ch).length - 1;
+    if (count('\t') > count(',') && count('\t') > count(';')) return '\t';
+    return count(';') > count(',') ? ';' : ',';
+  }
+
+  // Returns rows of string cells; blank lines are dropped
+  function parse(text, delimiter) {
+    const sep = delimiter || detectDelimiter(text);
+    const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === sep) {
+        row.push(field); field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(field); field = '';
+        rows.push(row); row = [];
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+  }
+
+  function quote(cell) {
+    const str = cell === null || cell === undefined ? '' : String(cell);
+    return /[",;\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function stringify(rows, delimiter) {
+    const sep = delimiter || ',';
+    return rows.map(r => r.map(quote).join(sep)).join('\r\n') + '\r\n';
+  }
+
+  return {
+    detectDelimiter,
+    parse,
+    stringify,
+  };
+});
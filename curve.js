@@ -0,0 +1,123 @@
+// ===== Curved (Radiused) Runs =====
+//
+// Sweeps the cross-section round an arc instead of along a straight L, as for
+// curved steps and pond copings. Seen in plan from above, the width W runs
+// across the arc, between the inner and outer radius, and the run is cut
+// into equal segments by radial joints:
+//
+//              outer chord
+//          ╭──────┬──────╮          R_i  inner radius
+//         ╱   1   │   2   ╲         R_o = R_i + W
+//        ╱   ╭────┴────╮   ╲        φ   sweep, n segments of φ / n
+//            inner chord
+//
+// By Pappus' theorem a section swept round an axis has the volume of its
+// area times the path of its centroid: V = A × φ × R_c, with R_c the radius
+// of the centroid. R_c is R_i + x̄ when the front (lip side) faces outwards,
+// R_i + W − x̄ when it faces the centre, where x̄ is the centroid of the
+// outline from the back face. A straight piece would be A × the centreline
+// arc, so the two differ by A × φ × (R_c − R_m), R_m = R_i + W / 2.
+//
+// End treatments do not apply: every joint is radial.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./i18n.js'), require('./units.js'));
+  } else {
+    root.StoneCurve = factory(root.StoneGeometry, root.StoneI18n, root.StoneUnits);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, I18n, Units) {
+  'use strict';
+
+  const RADIUS_AT = I18n.localize([
+    { id: 'inner', label: 'Inner edge' },
+    { id: 'centre', label: 'Centreline' },
+  ], 'curve.at');
+
+  const FRONTS = I18n.localize([
+    { id: 'outside', label: 'Outside (convex)' },
+    { id: 'inside', label: 'Inside (concave)' },
+  ], 'curve.front');
+
+  const DEFAULTS = {
+    radius: 2000,
+    at: 'inner',
+    sweep: 90,
+    segments: 4,
+    front: 'outside',
+  };
+
+  function normalizeCurve(input) {
+    const src = input || {};
+    return {
+      radius: parseFloat(src.radius) || 0,
+      at: RADIUS_AT.some(r => r.id === src.at) ? src.at : 'inner',
+      sweep: parseFloat(src.sweep) || 0,
+      segments: parseInt(src.segments, 10) || 0,
+      front: FRONTS.some(f => f.id === src.front) ? src.front : 'outside',
+    };
+  }
+
+  // Returns a list of { field, message }; an empty list means the run can be swept
+  function validate(curve, p) {
+    const errors = [];
+    if (!(curve.radius > 0)) {
+      errors.push({ field: 'radius', message: I18n.t('curve.error.radius') });
+    } else if (curve.at === 'centre' && curve.radius <= p.W / 2) {
+      errors.push({ field: 'radius', message: I18n.t('curve.error.centreline', { half: Units.lengthText(p.W / 2) }) });
+    }
+    if (!(curve.sweep > 0 && curve.sweep <= 360)) {
+      errors.push({ field: 'sweep', message: I18n.t('curve.error.sweep') });
+    }
+    if (!(curve.segments >= 1)) errors.push({ field: 'segments', message: I18n.t('curve.error.segments') });
+    return errors;
+  }
+
+  // Chord of an arc of radius r and sweep φ (radians)
+  function chord(r, phi) {
+    return 2 * r * Math.sin(phi / 2);
+  }
+
+  // Volumes and set-out of the stone swept round the arc
+  function plan(stoneInput, curveInput) {
+    const p = Geometry.normalize(stoneInput);
+    const curve = normalizeCurve(curveInput);
+    const errors = validate(curve, p);
+    const result = { params: p, curve, errors, valid: false };
+    if (errors.length > 0 || Geometry.validate(p).length > 0) return result;
+
+    const section = Geometry.outlineCentroid(Geometry.outline(p));
+    const inner = curve.at === 'centre' ? curve.radius - p.W / 2 : curve.radius;
+    const outer = inner + p.W;
+    const centre = inner + p.W / 2;
+    const centroid = inner + (curve.front === 'outside' ? section.x : p.W - section.x);
+    const sweep = curve.sweep * Math.PI / 180;
+    const phi = sweep / curve.segments;
+
+    result.valid = true;
+    result.area = section.area;
+    result.inner = inner;
+    result.outer = outer;
+    result.centre = centre;
+    result.centroid = centroid;
+    // Radius at the back of the lip, where it meets the slab underside
+    result.lip = curve.front === 'outside' ? outer - p.Lw : inner + p.Lw;
+    result.segmentAngle = curve.sweep / curve.segments;
+    result.chords = { inner: chord(inner, phi), centre: chord(centre, phi), outer: chord(outer, phi) };
+    result.arcs = { inner: inner * phi, centre: centre * phi, outer: outer * phi };
+    result.volumeOne = section.area * phi * centroid;
+    result.volumeTotal = result.volumeOne * curve.segments;
+    result.straightTotal = section.area * sweep * centre;
+    result.difference = result.volumeTotal - result.straightTotal;
+    return result;
+  }
+
+  return {
+    RADIUS_AT,
+    FRONTS,
+    DEFAULTS,
+    normalizeCurve,
+    validate,
+    plan,
+  };
+});
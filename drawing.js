@@ -0,0 +1,533 @@
+// ===== Shop Drawing =====
+//
+// Lays out a printable drawing sheet for one stone: the cross-section and an
+// isometric view at a declared scale (1:n), print-style dimensions and a title
+// block, on a landscape A4 or A3 sheet.
+//
+// The sheet is a list of primitives in paper millimetres, y pointing down:
+//
+//   { type: 'path', pts: [{ x, y, bulge }], closed, stroke, fill, width, dash }
+//   { type: 'text', x, y, text, size, anchor, rotate, bold, fill }
+//   { type: 'group', clip: <path>, items: [...] }
+//
+// Bulges follow the geometry engine's convention in sheet coordinates, so a
+// positive bulge turns from +x towards +y. toSvg() writes standalone SVG;
+// pdf.js writes the same sheet as PDF.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./pdf.js'));
+  } else {
+    root.StoneDrawing = factory(root.StoneGeometry, root.StonePdf);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, Pdf) {
+  'use strict';
+
+  // Landscape sheet sizes (mm)
+  const SHEETS = {
+    A4: { width: 297, height: 210 },
+    A3: { width: 420, height: 297 },
+  };
+
+  // Standard reduction scales, 1:n
+  const SCALES = [1, 2, 5, 10, 20, 25, 50];
+
+  // Print styling (paper mm)
+  const STYLE = {
+    border: 10,          // frame inset from the paper edge
+    outline: 0.5,        // visible edges
+    thin: 0.18,          // dimension and hatch lines
+    text: 3.5,           // dimension text height
+    small: 2,            // title block labels
+    arrow: 3,            // arrowhead length
+    step: 8,             // spacing between the part and stacked dimension lines
+    gap: 1,              // extension line gap at the part
+    over: 2,             // extension line overshoot past the dimension line
+    hatch: 3,            // section hatch spacing
+    caption: 10,         // room for the view caption
+  };
+  const TITLE_W = 170;
+  const TITLE_H = 45;
+  const ISO = { c: Math.cos(Math.PI / 6), s: Math.sin(Math.PI / 6) };
+
+  function fmt(mm) {
+    return String(Math.round(mm * 10) / 10);
+  }
+
+  function line(x1, y1, x2, y2, width, dash) {
+    return { type: 'path', pts: [{ x: x1, y: y1 }, { x: x2, y: y2 }], stroke: '#000000', width: width || STYLE.thin, dash };
+  }
+
+  function text(x, y, value, opts) {
+    return Object.assign({ type: 'text', x, y, text: String(value), size: STYLE.text, anchor: 'middle' }, opts);
+  }
+
+  // Filled arrowhead with its tip at (x, y), pointing along the unit vector (ux, uy)
+  function arrow(x, y, ux, uy) {
+    const bx = x - ux * STYLE.arrow, by = y - uy * STYLE.arrow;
+    const px = -uy * STYLE.arrow / 6, py = ux * STYLE.arrow / 6;
+    return {
+      type: 'path', closed: true, fill: '#000000',
+      pts: [{ x, y }, { x: bx + px, y: by + py }, { x: bx - px, y: by - py }],
+    };
+  }
+
+  // Linear dimension between p1 and p2 with extension lines along the unit
+  // vector e, the dimension line `offset` mm away from the part. Text sits on
+  // the reading side of the line (opts.away: the side away from the part), or
+  // past one end when it does not fit (opts.start: the p1 end, else p2).
+  function dimension(items, p1, p2, e, offset, label, opts) {
+    const o = opts || {};
+    const d1 = { x: p1.x + e.x * offset, y: p1.y + e.y * offset };
+    const d2 = { x: p2.x + e.x * offset, y: p2.y + e.y * offset };
+    const len = Math.hypot(d2.x - d1.x, d2.y - d1.y);
+    if (len < 1e-6) return;
+    const ux = (d2.x - d1.x) / len, uy = (d2.y - d1.y) / len;
+
+    [p1, p2].forEach(p => {
+      items.push(line(p.x + e.x * STYLE.gap, p.y + e.y * STYLE.gap,
+        p.x + e.x * (offset + STYLE.over), p.y + e.y * (offset + STYLE.over)));
+    });
+
+    // Arrows inside when there is room, otherwise outside pointing in
+    const inside = len >= STYLE.arrow * 2.5;
+    const tail = inside ? 0 : STYLE.arrow * 2;
+    items.push(line(d1.x - ux * tail, d1.y - uy * tail, d2.x + ux * tail, d2.y + uy * tail));
+    items.push(arrow(d1.x, d1.y, inside ? -ux : ux, inside ? -uy : uy));
+    items.push(arrow(d2.x, d2.y, inside ? ux : -ux, inside ? uy : -uy));
+
+    // Readable text angle in (-90°, 90°], counter-clockwise on the paper
+    let angle = Math.atan2(-uy, ux) * 180 / Math.PI;
+    if (angle <= -90 + 1e-6) angle += 180;
+    else if (angle > 90 + 1e-6) angle -= 180;
+    const rad = angle * Math.PI / 180;
+    const rx = Math.cos(rad), ry = -Math.sin(rad);    // reading direction
+    const upx = -Math.sin(rad), upy = -Math.cos(rad); // towards the top of the text
+    const w = Pdf.textWidth(label, STYLE.text);
+
+    let cx = (d1.x + d2.x) / 2, cy = (d1.y + d2.y) / 2;
+    if (w > len - STYLE.arrow * 2) {
+      const end = o.start ? d1 : d2;
+      const other = o.start ? d2 : d1;
+      const sign = (end.x - other.x) * rx + (end.y - other.y) * ry > 0 ? 1 : -1;
+      const push = tail + STYLE.arrow + 1 + w / 2;
+      cx = end.x + rx * push * sign;
+      cy = end.y + ry * push * sign;
+    }
+    // Baseline offset; text on the far side clears the line by its cap height
+    const shift = o.away && upx * e.x + upy * e.y < 0 ? -(STYLE.gap * 1.5 + STYLE.text * 0.72) : STYLE.gap;
+    items.push(text(cx + upx * shift, cy + upy * shift, label, { rotate: Math.round(angle * 1000) / 1000 }));
+  }
+
+  // --- Cross-section view ---
+  function sectionMargins(p) {
+    return {
+      left: STYLE.step + STYLE.text + 3,
+      top: STYLE.step * (Geometry.edgeKey(p) !== 'none' ? 2 : 1) + STYLE.text + 3,
+      right: STYLE.step * 2 + STYLE.over + 1,
+      bottom: STYLE.step + STYLE.over + STYLE.caption,
+    };
+  }
+
+  function sectionSize(p, scale) {
+    const m = sectionMargins(p);
+    return { w: p.W / scale + m.left + m.right, h: (p.T + p.Lh) / scale + m.top + m.bottom };
+  }
+
+  // Draws the section with its top-left margin corner at (x, y)
+  function section(items, p, scale, x, y) {
+    const m = sectionMargins(p);
+    const ox = x + m.left, oy = y + m.top;
+    const X = v => ox + v / scale;
+    const Y = v => oy + (p.T - v) / scale;
+    const pts = Geometry.outline(p).map(pt => ({ x: X(pt.x), y: Y(pt.y), bulge: -pt.bulge || 0 }));
+    const shape = { type: 'path', pts, closed: true, stroke: '#000000', width: STYLE.outline };
+
+    // 45° section hatching, clipped to the profile
+    const hatch = [];
+    const w = p.W / scale, h = (p.T + p.Lh) / scale;
+    for (let c = STYLE.hatch; c < w + h; c += STYLE.hatch) {
+      hatch.push(line(ox + c - h, oy + h, ox + c, oy, STYLE.thin));
+    }
+    items.push({ type: 'group', clip: shape, items: hatch });
+    items.push(shape);
+
+    const up = { x: 0, y: -1 }, down = { x: 0, y: 1 }, left = { x: -1, y: 0 }, right = { x: 1, y: 0 };
+    const step = STYLE.step;
+    dimension(items, { x: X(0), y: Y(p.T) }, { x: X(p.W), y: Y(p.T) }, up, step * (Geometry.edgeKey(p) !== 'none' ? 2 : 1), fmt(p.W));
+    dimension(items, { x: X(0), y: Y(0) }, { x: X(0), y: Y(p.T) }, left, step, fmt(p.T));
+    dimension(items, { x: X(p.W - p.Lw), y: Y(-p.Lh) }, { x: X(p.W), y: Y(-p.Lh) }, down, step, fmt(p.Lw));
+    dimension(items, { x: X(p.W), y: Y(-p.Lh) }, { x: X(p.W), y: Y(0) }, right, step, fmt(p.Lh), { start: true });
+    dimension(items, { x: X(p.W), y: Y(-p.Lh) }, { x: X(p.W), y: Y(p.T) }, right, step * 2, fmt(p.T + p.Lh));
+    const front = Geometry.edges(p).find(e => e.corner.id === 'topRight');
+    if (front) {
+      const r = front.profile.round ? 'R' : '';
+      dimension(items, { x: X(p.W - front.a), y: Y(p.T) }, { x: X(p.W), y: Y(p.T) }, up, step, r + fmt(front.a));
+      dimension(items, { x: X(p.W), y: Y(p.T - front.b) }, { x: X(p.W), y: Y(p.T) }, right, step, r + fmt(front.b));
+    }
+
+    const size = sectionSize(p, scale);
+    items.push(text(x + size.w / 2, y + size.h - 3, `SECTION  1:${scale}`, { bold: true }));
+  }
+
+  // --- Isometric view ---
+  // Isometric drawing at true scale along the axes: x across the section, y up,
+  // z along the length. Seen from (+x, +y, +z), so the z = L end faces the viewer.
+  function project(x, y, z) {
+    return { x: (x - z) * ISO.c, y: (x + z) * ISO.s - y };
+  }
+
+  const ISO_SEGMENTS = 12;
+
+  // Points with bulges flattened for facets; `smooth` marks points inside an arc
+  function facets(pts, closed) {
+    const out = [];
+    pts.forEach((pt, i) => {
+      out.push({ x: pt.x, y: pt.y, smooth: false });
+      if (!pt.bulge || (!closed && i === pts.length - 1)) return;
+      const a = Geometry.arc(pt, pts[(i + 1) % pts.length], pt.bulge);
+      for (let k = 1; k < ISO_SEGMENTS; k++) {
+        const ang = a.start + a.sweep * (k / ISO_SEGMENTS);
+        out.push({ x: a.cx + a.r * Math.cos(ang), y: a.cy + a.r * Math.sin(ang), smooth: true });
+      }
+    });
+    return out;
+  }
+
+  // Profile outline split where it crosses one of the heights `levels`, so
+  // faces can follow a return's curve along them
+  function splitAt(poly, levels) {
+    const out = [];
+    poly.forEach((a, i) => {
+      const b = poly[(i + 1) % poly.length];
+      out.push(a);
+      levels.filter(y => (y - a.y) * (y - b.y) < -1e-9)
+        .sort((y1, y2) => (y1 - y2) * (b.y - a.y))
+        .forEach(y => out.push({ x: a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y), y, smooth: true }));
+    });
+    return out;
+  }
+
+  // Leftmost point of the section at height y
+  function leftAt(poly, y) {
+    let x = Infinity;
+    poly.forEach((a, i) => {
+      const b = poly[(i + 1) % poly.length];
+      if ((y - a.y) * (y - b.y) > 1e-9) return;
+      x = Math.min(x, a.y === b.y ? Math.min(a.x, b.x) : a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y));
+    });
+    return x;
+  }
+
+  // Unit normal of a planar 3D polygon (Newell's method), turned towards `out`
+  function faceNormal(pts, out) {
+    const n = [0, 0, 0];
+    pts.forEach((a, i) => {
+      const b = pts[(i + 1) % pts.length];
+      n[0] += (a[1] - b[1]) * (a[2] + b[2]);
+      n[1] += (a[2] - b[2]) * (a[0] + b[0]);
+      n[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    });
+    const len = Math.hypot(n[0], n[1], n[2]) || 1;
+    const sign = n[0] * out[0] + n[1] * out[1] + n[2] * out[2] < 0 ? -1 : 1;
+    return n.map(c => sign * c / len);
+  }
+
+  function isoBounds(p) {
+    const pts = [];
+    [0, p.W].forEach(x => [-p.Lh, p.T].forEach(y => [0, p.L].forEach(z => pts.push(project(x, y, z)))));
+    const xs = pts.map(pt => pt.x), ys = pts.map(pt => pt.y);
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+  }
+
+  const ISO_MARGIN = STYLE.step + STYLE.text + 4;
+
+  function isoSize(p, scale) {
+    const b = isoBounds(p);
+    return {
+      w: (b.maxX - b.minX) / scale + ISO_MARGIN * 2,
+      h: (b.maxY - b.minY) / scale + ISO_MARGIN * 2 + STYLE.caption,
+    };
+  }
+
+  function isometric(items, p, scale, x, y) {
+    const b = isoBounds(p);
+    const P = (px, py, pz) => {
+      const q = project(px, py, pz);
+      return { x: x + ISO_MARGIN + (q.x - b.minX) / scale, y: y + ISO_MARGIN + (q.y - b.minY) / scale };
+    };
+    const front = Geometry.edges(p).find(e => e.corner.id === 'topRight');
+    const curve = front ? facets(front.pts.map(q => ({ x: q.s, y: q.t, bulge: q.bulge })), false) : [];
+    const returned = Geometry.ENDS.some(end => p.ends[end.id].type === 'return') && front;
+    const outline = facets(Geometry.outline(p), true);
+    const poly = returned ? splitAt(outline, curve.map(q => p.T - q.y)) : outline;
+    const count = poly.length;
+    const view = [1, 1, 1].map(c => c / Math.sqrt(3));
+    const shade = normal => {
+      const lambert = normal[0] * 0.3 + normal[1] * 0.9 + normal[2] * 0.3;
+      const level = Math.round(200 + 50 * Math.max(0, Math.min(1, lambert)));
+      return '#' + level.toString(16).repeat(3);
+    };
+
+    // Each end as cut: z of a section point, pushed in from the end by the
+    // mitre or return (`dir` points out of the piece along z)
+    const ends = Geometry.ENDS.map(end => {
+      const cut = Geometry.endCut(p, end.id);
+      const z0 = end.z(p);
+      const dir = z0 > 0 ? 1 : -1;
+      return { id: end.id, type: p.ends[end.id].type, dir, z0, cut, z: (x, y) => z0 - dir * cut(x, y) };
+    });
+    const [near, far] = ends[0].dir > 0 ? ends : [ends[1], ends[0]];
+
+    // Faces: one per profile segment between the ends, plus the end faces.
+    // A return's face is the section below the profile, and the profile
+    // itself swept across the width to the mitre with the front edge.
+    const faces = [];
+    poly.forEach((a, i) => {
+      const b2 = poly[(i + 1) % count];
+      const len = Math.hypot(b2.x - a.x, b2.y - a.y);
+      const normal = [-(b2.y - a.y) / len, (b2.x - a.x) / len, 0]; // outward for a clockwise profile
+      faces.push({
+        normal,
+        pts: [[a.x, a.y, far.z(a.x, a.y)], [b2.x, b2.y, far.z(b2.x, b2.y)],
+          [b2.x, b2.y, near.z(b2.x, b2.y)], [a.x, a.y, near.z(a.x, a.y)]],
+      });
+    });
+    const endFaces = ends.map(end => {
+      const pts = Geometry.endOutline(p, end.id, ISO_SEGMENTS).map(([x, y]) => [x, y, end.z(x, y)]);
+      const face = { normal: faceNormal(pts, [0, 0, end.dir]), pts };
+      faces.push(face);
+      if (end.type === 'return' && front) {
+        curve.slice(1).forEach((q, k) => {
+          const q0 = curve[k];
+          const y0 = p.T - q0.y, y1 = p.T - q.y;
+          const quad = [[leftAt(poly, y0), y0, end.z0 - end.dir * q0.x], [p.W - q0.x, y0, end.z0 - end.dir * q0.x],
+            [p.W - q.x, y1, end.z0 - end.dir * q.x], [leftAt(poly, y1), y1, end.z0 - end.dir * q.x]];
+          faces.push({ normal: faceNormal(quad, [0, 1, end.dir]), pts: quad });
+        });
+      }
+      return face;
+    });
+    faces.forEach(f => {
+      f.visible = f.normal[0] * view[0] + f.normal[1] * view[1] + f.normal[2] * view[2] > 1e-9;
+      f.depth = f.pts.reduce((sum, q) => sum + q[0] + q[1] + q[2], 0) / f.pts.length;
+    });
+
+    faces.filter(f => f.visible).sort((f1, f2) => f1.depth - f2.depth).forEach(f => {
+      items.push({ type: 'path', closed: true, fill: shade(f.normal), pts: f.pts.map(q => P(q[0], q[1], q[2])) });
+    });
+
+    // Edges: sharp longitudinal edges and silhouettes, and round each end
+    // where the end or the face beside it shows. A return also shows where
+    // its profile leaves the flat end face.
+    const side = i => faces[(i + count) % count].visible;
+    poly.forEach((a, i) => {
+      const b2 = poly[(i + 1) % count];
+      if ((side(i - 1) || side(i)) && (!a.smooth || side(i - 1) !== side(i))) {
+        const s = P(a.x, a.y, far.z(a.x, a.y)), e = P(a.x, a.y, near.z(a.x, a.y));
+        items.push(line(s.x, s.y, e.x, e.y, STYLE.outline));
+      }
+      ends.forEach((end, k) => {
+        if (!endFaces[k].visible && !side(i)) return;
+        const s = P(a.x, a.y, end.z(a.x, a.y)), e = P(b2.x, b2.y, end.z(b2.x, b2.y));
+        items.push(line(s.x, s.y, e.x, e.y, STYLE.outline));
+      });
+    });
+    ends.forEach((end, k) => {
+      if (end.type !== 'return' || !front || !endFaces[k].visible) return;
+      const y = p.T - front.b;
+      const s = P(leftAt(poly, y), y, end.z0), e = P(p.W, y, end.z0);
+      items.push(line(s.x, s.y, e.x, e.y, STYLE.thin));
+    });
+
+    // Overall sizes, with extension lines along the isometric axes
+    const axis = (dx, dy, dz) => {
+      const q = project(dx, dy, dz);
+      const len = Math.hypot(q.x, q.y);
+      return { x: q.x / len, y: q.y / len };
+    };
+    dimension(items, P(0, p.T, 0), P(0, p.T, p.L), axis(-1, 0, 0), STYLE.step, fmt(p.L));
+    dimension(items, P(0, p.T, 0), P(p.W, p.T, 0), axis(0, 0, -1), STYLE.step, fmt(p.W));
+    dimension(items, P(p.W, -p.Lh, p.L), P(p.W, p.T, p.L), axis(1, 0, 0), STYLE.step, fmt(p.T + p.Lh), { away: true });
+
+    const size = isoSize(p, scale);
+    items.push(text(x + size.w / 2, y + size.h - 3, `ISOMETRIC VIEW  1:${scale}`, { bold: true }));
+  }
+
+  // --- Layout ---
+  // Area for the views: inside the frame, above the title block
+  function viewArea(sheet) {
+    const pad = 5;
+    return {
+      x: STYLE.border + pad,
+      y: STYLE.border + pad,
+      w: sheet.width - (STYLE.border + pad) * 2,
+      h: sheet.height - (STYLE.border + pad) * 2 - TITLE_H,
+    };
+  }
+
+  function fits(p, sheet, scale) {
+    const area = viewArea(sheet);
+    const sec = sectionSize(p, scale);
+    const iso = isoSize(p, scale);
+    return sec.w + iso.w <= area.w && Math.max(sec.h, iso.h) <= area.h;
+  }
+
+  // Largest standard scale (smallest n) at which both views fit, or null
+  function bestScale(input, sheetName) {
+    const p = Geometry.normalize(input);
+    const sheet = SHEETS[sheetName] || SHEETS.A4;
+    return SCALES.find(n => fits(p, sheet, n)) || null;
+  }
+
+  function titleBlock(items, sheet, fields) {
+    const x0 = sheet.width - STYLE.border - TITLE_W;
+    const y0 = sheet.height - STYLE.border - TITLE_H;
+    const rowH = TITLE_H / fields.length;
+    items.push({
+      type: 'path', closed: true, stroke: '#000000', width: STYLE.outline, fill: '#ffffff',
+      pts: [{ x: x0, y: y0 }, { x: x0 + TITLE_W, y: y0 }, { x: x0 + TITLE_W, y: y0 + TITLE_H }, { x: x0, y: y0 + TITLE_H }],
+    });
+    fields.forEach((row, r) => {
+      const y = y0 + rowH * r;
+      if (r > 0) items.push(line(x0, y, x0 + TITLE_W, y, 0.25));
+      let x = x0;
+      row.forEach(([label, value, width, bold], c) => {
+        if (c > 0) items.push(line(x, y, x, y + rowH, 0.25));
+        items.push(text(x + 1.5, y + 2.8, label.toUpperCase(), { size: STYLE.small, anchor: 'start', fill: '#555555' }));
+        // Long values shrink to fit their cell
+        const size = bold ? 4 : 3.2;
+        const fit = Math.min(1, (width - 3) / Pdf.textWidth(value, size));
+        items.push(text(x + 1.5, y + rowH - 1.6, value, { size: size * fit, anchor: 'start', bold }));
+        x += width;
+      });
+    });
+  }
+
+  function formatM3(mm3) {
+    return (mm3 / 1e9).toFixed(6) + ' m³';
+  }
+
+  // opts: { sheet: 'A4' | 'A3', scale: n | 'auto', job, name, material, date }
+  function sheet(input, opts) {
+    const o = opts || {};
+    const result = Geometry.compute(input);
+    const p = result.params;
+    const sheetName = SHEETS[o.sheet] ? o.sheet : 'A4';
+    const size = SHEETS[sheetName];
+    const auto = SCALES.indexOf(Number(o.scale)) === -1;
+    const scale = auto ? bestScale(p, sheetName) || SCALES[SCALES.length - 1] : Number(o.scale);
+    const items = [];
+
+    // Frame
+    const b = STYLE.border;
+    items.push({
+      type: 'path', closed: true, stroke: '#000000', width: 0.7,
+      pts: [{ x: b, y: b }, { x: size.width - b, y: b }, { x: size.width - b, y: size.height - b }, { x: b, y: size.height - b }],
+    });
+
+    // Views side by side, spread evenly and centred vertically
+    const area = viewArea(size);
+    const sec = sectionSize(p, scale);
+    const iso = isoSize(p, scale);
+    const spare = Math.max(0, area.w - sec.w - iso.w) / 3;
+    section(items, p, scale, area.x + spare, area.y + Math.max(0, area.h - sec.h) / 2);
+    isometric(items, p, scale, area.x + spare * 2 + sec.w, area.y + Math.max(0, area.h - iso.h) / 2);
+
+    items.push(text(b + 3, size.height - b - 3, 'ALL DIMENSIONS IN MILLIMETRES. DO NOT SCALE.',
+      { size: 2.5, anchor: 'start' }));
+
+    const name = o.name || 'Stone';
+    titleBlock(items, size, [
+      [['Job', o.job || '—', 120, true], ['Date', o.date || '', 50]],
+      [['Drawing', `${name} — L-shape stone, L = ${fmt(p.L)}`, 120], ['Scale / sheet', `1:${scale}  ${sheetName}`, 50]],
+      [['Edges', Geometry.edgeSummary(p), 120], ['Material', o.material || '—', 50]],
+      [['Ends', Geometry.endSummary(p, true), TITLE_W]],
+      [['Volume per piece', result.valid ? formatM3(result.volumeOne) : '—', 60],
+        ['Total volume', result.valid ? formatM3(result.volumeTotal) : '—', 60], ['Quantity', `${p.qty} pcs`, 50]],
+    ]);
+
+    return {
+      width: size.width,
+      height: size.height,
+      sheet: sheetName,
+      scale,
+      fits: fits(p, size, scale),
+      title: `${o.job ? o.job + ' — ' : ''}${name}`,
+      items,
+    };
+  }
+
+  // --- SVG output ---
+  function escapeXml(str) {
+    return String(str).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+  }
+
+  function n(v) {
+    return String(Math.round(v * 1000) / 1000);
+  }
+
+  function pathData(prim) {
+    const pts = prim.pts;
+    const parts = [`M ${n(pts[0].x)} ${n(pts[0].y)}`];
+    const count = prim.closed ? pts.length : pts.length - 1;
+    for (let i = 0; i < count; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+      if (!a.bulge) {
+        if (i < pts.length - 1) parts.push(`L ${n(b.x)} ${n(b.y)}`);
+        continue;
+      }
+      const arc = Geometry.arc(a, b, a.bulge);
+      const large = Math.abs(arc.sweep) > Math.PI ? 1 : 0;
+      parts.push(`A ${n(arc.r)} ${n(arc.r)} 0 ${large} ${a.bulge > 0 ? 1 : 0} ${n(b.x)} ${n(b.y)}`);
+    }
+    return parts.join(' ') + (prim.closed ? ' Z' : '');
+  }
+
+  function svgItems(items, out, ids) {
+    items.forEach(prim => {
+      if (prim.type === 'path') {
+        const attrs = [`d="${pathData(prim)}"`, `fill="${prim.fill || 'none'}"`];
+        if (prim.stroke) attrs.push(`stroke="${prim.stroke}"`, `stroke-width="${n(prim.width || 0.25)}"`);
+        if (prim.dash) attrs.push(`stroke-dasharray="${prim.dash.join(' ')}"`);
+        out.push(`<path ${attrs.join(' ')}/>`);
+      } else if (prim.type === 'group') {
+        const id = `clip${ids.next++}`;
+        out.push(`<clipPath id="${id}"><path d="${pathData(prim.clip)}"/></clipPath>`);
+        out.push(`<g clip-path="url(#${id})">`);
+        svgItems(prim.items, out, ids);
+        out.push('</g>');
+      } else if (prim.type === 'text') {
+        const anchor = prim.anchor === 'end' ? 'end' : prim.anchor === 'start' ? 'start' : 'middle';
+        const attrs = [`x="${n(prim.x)}"`, `y="${n(prim.y)}"`, `font-size="${n(prim.size)}"`, `text-anchor="${anchor}"`];
+        if (prim.bold) attrs.push('font-weight="bold"');
+        if (prim.fill) attrs.push(`fill="${prim.fill}"`);
+        if (prim.rotate) attrs.push(`transform="rotate(${n(-prim.rotate)} ${n(prim.x)} ${n(prim.y)})"`);
+        out.push(`<text ${attrs.join(' ')}>${escapeXml(prim.text)}</text>`);
+      }
+    });
+  }
+
+  function toSvg(sheet) {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${sheet.width}mm" height="${sheet.height}mm" ` +
+        `viewBox="0 0 ${sheet.width} ${sheet.height}" font-family="Helvetica, Arial, sans-serif" ` +
+        'stroke-linecap="round" stroke-linejoin="round">',
+      `<title>${escapeXml(sheet.title)}</title>`,
+      `<rect width="${sheet.width}" height="${sheet.height}" fill="#ffffff"/>`,
+    ];
+    svgItems(sheet.items, out, { next: 1 });
+    out.push('</svg>');
+    return out.join('\n') + '\n';
+  }
+
+  return {
+    SHEETS,
+    SCALES,
+    bestScale,
+    sheet,
+    toSvg,
+  };
+});
@@ -0,0 +1,277 @@
+// ===== DXF Export of the Cross-Section Profile =====
+//
+// Writes the L-shape outline at true scale (1 unit = 1 mm) for CNC and CAD:
+//
+//   PROFILE     one closed LWPOLYLINE; arcs are real bulges, not segments
+//   DIMENSIONS  W / T / Lw / Lh / Tr annotations as lines, arrows and text
+//
+// The file is an AutoCAD R2000 (AC1015) DXF with everything that version
+// requires: the standard tables with their default records, the model and
+// paper space blocks, and the root dictionary in OBJECTS, all with handles
+// and owners. Coordinates are the geometry engine's: y up, origin at the
+// bottom-left of the flat slab.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'));
+  } else {
+    root.StoneDxf = factory(root.StoneGeometry);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry) {
+  'use strict';
+
+  const LAYERS = [
+    { name: 'PROFILE', color: 7 },     // white / black
+    { name: 'DIMENSIONS', color: 4 },  // cyan
+  ];
+
+  // Accumulates "code\nvalue" pairs and hands out handles. `owner` is the
+  // handle entities belong to (the model space block record).
+  function writer() {
+    const out = [];
+    let next = 0x20;
+    return {
+      owner: '0',
+      pair(code, value) { out.push(String(code), String(value)); },
+      handle() { return (next++).toString(16).toUpperCase(); },
+      seed() { return next.toString(16).toUpperCase(); },
+      text() { return out.join('\n') + '\n'; },
+    };
+  }
+
+  function num(n) {
+    return String(Math.round(n * 1e6) / 1e6);
+  }
+
+  // Dimension text, rounded to 0.1 mm as on the shop drawing
+  function fmt(mm) {
+    return String(Math.round(mm * 10) / 10);
+  }
+
+  function entity(w, type, layer, subclass) {
+    w.pair(0, type);
+    w.pair(5, w.handle());
+    w.pair(330, w.owner);
+    w.pair(100, 'AcDbEntity');
+    w.pair(8, layer);
+    w.pair(100, subclass);
+  }
+
+  function line(w, layer, x1, y1, x2, y2) {
+    entity(w, 'LINE', layer, 'AcDbLine');
+    w.pair(10, num(x1)); w.pair(20, num(y1)); w.pair(30, 0);
+    w.pair(11, num(x2)); w.pair(21, num(y2)); w.pair(31, 0);
+  }
+
+  // Filled arrowhead with its tip at (x, y), pointing along (dx, dy)
+  function arrow(w, layer, x, y, dx, dy, size) {
+    const bx = x - dx * size;
+    const by = y - dy * size;
+    const px = -dy * size / 3;
+    const py = dx * size / 3;
+    entity(w, 'SOLID', layer, 'AcDbTrace');
+    w.pair(10, num(x)); w.pair(20, num(y)); w.pair(30, 0);
+    w.pair(11, num(bx + px)); w.pair(21, num(by + py)); w.pair(31, 0);
+    w.pair(12, num(bx - px)); w.pair(22, num(by - py)); w.pair(32, 0);
+    w.pair(13, num(bx - px)); w.pair(23, num(by - py)); w.pair(33, 0);
+  }
+
+  // Single-line text centred on (x, y). TEXT repeats its subclass marker
+  // before the vertical alignment (73), as the DXF reference lists it.
+  function text(w, layer, x, y, height, value, rotation) {
+    entity(w, 'TEXT', layer, 'AcDbText');
+    w.pair(10, num(x)); w.pair(20, num(y)); w.pair(30, 0);
+    w.pair(40, num(height));
+    w.pair(1, value);
+    if (rotation) w.pair(50, rotation);
+    w.pair(72, 1);
+    w.pair(11, num(x)); w.pair(21, num(y)); w.pair(31, 0);
+    w.pair(100, 'AcDbText');
+    w.pair(73, 2);
+  }
+
+  // Horizontal or vertical linear dimension between two points, offset outwards
+  function dimension(w, x1, y1, x2, y2, offset, label, h) {
+    const layer = 'DIMENSIONS';
+    const horizontal = Math.abs(y1 - y2) < 1e-9;
+    const [ox, oy] = horizontal ? [0, offset] : [offset, 0];
+    const gap = Math.sign(offset) * h * 0.5;
+    const [gx, gy] = horizontal ? [0, gap] : [gap, 0];
+    const lx1 = x1 + ox, ly1 = y1 + oy, lx2 = x2 + ox, ly2 = y2 + oy;
+
+    // Extension lines (with a small gap at the part) and the dimension line
+    line(w, layer, x1 + gx, y1 + gy, lx1 + gx, ly1 + gy);
+    line(w, layer, x2 + gx, y2 + gy, lx2 + gx, ly2 + gy);
+    line(w, layer, lx1, ly1, lx2, ly2);
+
+    const len = Math.hypot(lx2 - lx1, ly2 - ly1);
+    const ux = (lx2 - lx1) / len, uy = (ly2 - ly1) / len;
+    const size = Math.min(h, len / 3);
+    arrow(w, layer, lx1, ly1, -ux, -uy, size);
+    arrow(w, layer, lx2, ly2, ux, uy, size);
+
+    const tx = (lx1 + lx2) / 2 + (horizontal ? 0 : Math.sign(offset) * h);
+    const ty = (ly1 + ly2) / 2 + (horizontal ? Math.sign(offset) * h : 0);
+    text(w, layer, tx, ty, h, label, horizontal ? 0 : 90);
+  }
+
+  // $HANDSEED must be above every handle used, so the header is written last
+  function header(seed) {
+    const w = writer();
+    w.pair(0, 'SECTION');
+    w.pair(2, 'HEADER');
+    w.pair(9, '$ACADVER'); w.pair(1, 'AC1015');
+    w.pair(9, '$HANDSEED'); w.pair(5, seed);
+    w.pair(9, '$INSUNITS'); w.pair(70, 4);        // millimetres
+    w.pair(9, '$MEASUREMENT'); w.pair(70, 1);     // metric
+    w.pair(0, 'ENDSEC');
+    return w.text();
+  }
+
+  // Symbol table with its records; each record(w) writes the fields after
+  // the common ones and returns nothing
+  function table(w, name, records, subclass) {
+    const handle = w.handle();
+    w.pair(0, 'TABLE'); w.pair(2, name); w.pair(5, handle); w.pair(330, 0);
+    w.pair(100, 'AcDbSymbolTable'); w.pair(70, records.length);
+    if (name === 'DIMSTYLE') { w.pair(100, 'AcDbDimStyleTable'); w.pair(71, 0); }
+    const handles = records.map(record => {
+      const own = w.handle();
+      w.pair(0, name); w.pair(name === 'DIMSTYLE' ? 105 : 5, own); w.pair(330, handle);
+      w.pair(100, 'AcDbSymbolTableRecord'); w.pair(100, subclass);
+      record(w);
+      return own;
+    });
+    w.pair(0, 'ENDTAB');
+    return handles;
+  }
+
+  // The standard tables with the records every drawing has (layer 0, the
+  // ByBlock / ByLayer / Continuous line types, Standard styles, ACAD) and
+  // the two space block records; returns the block records' handles
+  function tables(w, view) {
+    w.pair(0, 'SECTION');
+    w.pair(2, 'TABLES');
+
+    table(w, 'VPORT', [w => {
+      w.pair(2, '*Active'); w.pair(70, 0);
+      w.pair(10, 0); w.pair(20, 0); w.pair(11, 1); w.pair(21, 1);
+      w.pair(12, num(view.x)); w.pair(22, num(view.y));
+      w.pair(13, 0); w.pair(23, 0); w.pair(14, 10); w.pair(24, 10); w.pair(15, 10); w.pair(25, 10);
+      w.pair(16, 0); w.pair(26, 0); w.pair(36, 1); w.pair(17, 0); w.pair(27, 0); w.pair(37, 0);
+      w.pair(40, num(view.height)); w.pair(41, 1.5); w.pair(42, 50); w.pair(43, 0); w.pair(44, 0);
+      w.pair(50, 0); w.pair(51, 0); w.pair(71, 0); w.pair(72, 100); w.pair(73, 1); w.pair(74, 3);
+      w.pair(75, 0); w.pair(76, 0); w.pair(77, 0); w.pair(78, 0);
+    }], 'AcDbViewportTableRecord');
+
+    const ltype = (name, description) => w => {
+      w.pair(2, name); w.pair(70, 0); w.pair(3, description); w.pair(72, 65); w.pair(73, 0); w.pair(40, 0);
+    };
+    table(w, 'LTYPE', [ltype('ByBlock', ''), ltype('ByLayer', ''), ltype('Continuous', 'Solid line')],
+      'AcDbLinetypeTableRecord');
+
+    table(w, 'LAYER', [{ name: '0', color: 7 }].concat(LAYERS).map(layer => w => {
+      w.pair(2, layer.name); w.pair(70, 0); w.pair(62, layer.color); w.pair(6, 'Continuous');
+    }), 'AcDbLayerTableRecord');
+
+    table(w, 'STYLE', [w => {
+      w.pair(2, 'Standard'); w.pair(70, 0); w.pair(40, 0); w.pair(41, 1); w.pair(50, 0);
+      w.pair(71, 0); w.pair(42, 2.5); w.pair(3, 'txt'); w.pair(4, '');
+    }], 'AcDbTextStyleTableRecord');
+
+    table(w, 'VIEW', [], 'AcDbViewTableRecord');
+    table(w, 'UCS', [], 'AcDbUCSTableRecord');
+    table(w, 'APPID', [w => { w.pair(2, 'ACAD'); w.pair(70, 0); }], 'AcDbRegAppTableRecord');
+    table(w, 'DIMSTYLE', [w => { w.pair(2, 'Standard'); w.pair(70, 0); }], 'AcDbDimStyleTableRecord');
+    const spaces = table(w, 'BLOCK_RECORD', ['*Model_Space', '*Paper_Space'].map(name => w => {
+      w.pair(2, name);
+    }), 'AcDbBlockTableRecord');
+
+    w.pair(0, 'ENDSEC');
+    return { model: spaces[0], paper: spaces[1] };
+  }
+
+  // Model and paper space blocks: empty, their entities live in ENTITIES
+  function blocks(w, spaces) {
+    w.pair(0, 'SECTION');
+    w.pair(2, 'BLOCKS');
+    [['*Model_Space', spaces.model], ['*Paper_Space', spaces.paper]].forEach(([name, record]) => {
+      w.pair(0, 'BLOCK'); w.pair(5, w.handle()); w.pair(330, record);
+      w.pair(100, 'AcDbEntity');
+      if (record === spaces.paper) w.pair(67, 1);
+      w.pair(8, '0');
+      w.pair(100, 'AcDbBlockBegin'); w.pair(2, name); w.pair(70, 0);
+      w.pair(10, 0); w.pair(20, 0); w.pair(30, 0); w.pair(3, name); w.pair(1, '');
+      w.pair(0, 'ENDBLK'); w.pair(5, w.handle()); w.pair(330, record);
+      w.pair(100, 'AcDbEntity');
+      if (record === spaces.paper) w.pair(67, 1);
+      w.pair(8, '0');
+      w.pair(100, 'AcDbBlockEnd');
+    });
+    w.pair(0, 'ENDSEC');
+  }
+
+  // Root dictionary with the (empty) group dictionary
+  function objects(w) {
+    const root = w.handle();
+    const groups = w.handle();
+    w.pair(0, 'SECTION');
+    w.pair(2, 'OBJECTS');
+    w.pair(0, 'DICTIONARY'); w.pair(5, root); w.pair(330, 0);
+    w.pair(100, 'AcDbDictionary'); w.pair(281, 1); w.pair(3, 'ACAD_GROUP'); w.pair(350, groups);
+    w.pair(0, 'DICTIONARY'); w.pair(5, groups); w.pair(330, root);
+    w.pair(100, 'AcDbDictionary'); w.pair(281, 1);
+    w.pair(0, 'ENDSEC');
+  }
+
+  // DXF text for one stone's cross-section
+  function profile(input) {
+    const p = Geometry.normalize(input);
+    const pts = Geometry.outline(p);
+    const w = writer();
+    const h = Math.max(2.5, Math.round(Math.max(p.W, p.T + p.Lh) * 0.025));
+    const off = h * 3;
+
+    // Opens on the profile with its dimensions around it
+    const spaces = tables(w, { x: p.W / 2, y: (p.T - p.Lh) / 2, height: (p.T + p.Lh + off * 6) * 1.2 });
+    blocks(w, spaces);
+    w.owner = spaces.model;
+    w.pair(0, 'SECTION');
+    w.pair(2, 'ENTITIES');
+
+    // Profile outline
+    entity(w, 'LWPOLYLINE', 'PROFILE', 'AcDbPolyline');
+    w.pair(90, pts.length);
+    w.pair(70, 1); // closed
+    pts.forEach(pt => {
+      w.pair(10, num(pt.x));
+      w.pair(20, num(pt.y));
+      if (pt.bulge) w.pair(42, num(pt.bulge));
+    });
+
+    // Dimensions: W on top, T left, Lw below the lip, Lh right
+    dimension(w, 0, p.T, p.W, p.T, off * 2, `W = ${fmt(p.W)}`, h);
+    dimension(w, 0, 0, 0, p.T, -off, `T = ${fmt(p.T)}`, h);
+    dimension(w, p.W - p.Lw, -p.Lh, p.W, -p.Lh, -off, `Lw = ${fmt(p.Lw)}`, h);
+    dimension(w, p.W, -p.Lh, p.W, 0, off * 2, `Lh = ${fmt(p.Lh)}`, h);
+
+    // Top front edge legs, inside the W and Lh dimensions
+    const front = Geometry.edges(p).find(e => e.corner.id === 'topRight');
+    if (front) {
+      const r = front.profile.round ? 'R' : '';
+      const leg = v => `Tr = ${r}${fmt(v)}`;
+      dimension(w, p.W - front.a, p.T, p.W, p.T, off, leg(front.a), h);
+      dimension(w, p.W, p.T - front.b, p.W, p.T, off, leg(front.b), h);
+    }
+    w.pair(0, 'ENDSEC');
+
+    objects(w);
+    w.pair(0, 'EOF');
+    return header(w.seed()) + w.text();
+  }
+
+  return {
+    LAYERS,
+    profile,
+  };
+});
@@ -0,0 +1,744 @@
+// ===== L-Shape Stone Geometry Engine =====
+//
+// Pure geometry and volume maths for the L-shape profile, shared by the web
+// UI (app.js) and the batch command-line tool (cli.js). Nothing in here
+// touches the DOM.
+//
+// Cross-section coordinates are in mm with y pointing up: the flat slab spans
+// 0 ≤ y ≤ T, and the lip hangs below it on the right down to y = −Lh.
+//
+//   (0,T) ┌──────────────────────────┐ (W,T)
+//         │        flat slab         │
+//   (0,0) └──────────────┬───────────┤
+//                        │    lip    │
+//                        └───────────┘ (W,−Lh)
+//
+// Edge treatments come from profiles.js: each convex corner (see CORNERS)
+// can carry one profile curve, placed in that corner's own frame. The top
+// front corner is the stone's main edge (edge / Tr / angle); the others are
+// listed in `corners`.
+//
+// Ends (see ENDS) are square, mitred in plan or returned: a return carries
+// the top front edge on round the end, meeting it in a mitre at the corner.
+//
+// Outlines run clockwise from the top-left corner. Each vertex carries a
+// DXF-style bulge for the segment to the next vertex: 0 is a straight line,
+// otherwise tan(sweep / 4), positive for counter-clockwise arcs.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./profiles.js'), require('./i18n.js'), require('./units.js'));
+  } else {
+    root.StoneGeometry = factory(root.StoneProfiles, root.StoneI18n, root.StoneUnits);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Profiles, I18n, Units) {
+  'use strict';
+
+  const EDGE_TYPES = Profiles.TYPES;
+  const ARC_SEGMENTS = 12;
+
+  // Convex corners that can take an edge profile, in outline order. h and v
+  // point from the corner along its horizontal and vertical faces; the concave
+  // corner where the lip meets the underside is never edged. Labels are
+  // localised as corner.<id> and corner.<id>.pair.
+  const CORNERS = I18n.localize([
+    { id: 'topLeft', label: 'top back', at: p => ({ x: 0, y: p.T }),
+      h: { x: 1, y: 0 }, v: { x: 0, y: -1 }, thickness: p => p.T, partner: 'bottomLeft', pair: 'back end' },
+    { id: 'topRight', label: 'top front', at: p => ({ x: p.W, y: p.T }),
+      h: { x: -1, y: 0 }, v: { x: 0, y: -1 }, thickness: p => p.T },
+    { id: 'lipBottomRight', label: 'lip bottom front', at: p => ({ x: p.W, y: -p.Lh }),
+      h: { x: -1, y: 0 }, v: { x: 0, y: 1 }, thickness: p => p.Lw, partner: 'lipBottomLeft', pair: 'lip bottom' },
+    { id: 'lipBottomLeft', label: 'lip bottom inner', at: p => ({ x: p.W - p.Lw, y: -p.Lh }),
+      h: { x: 1, y: 0 }, v: { x: 0, y: 1 }, thickness: p => p.Lw, partner: 'lipBottomRight', pair: 'lip bottom' },
+    { id: 'bottomLeft', label: 'bottom back', at: p => ({ x: 0, y: 0 }),
+      h: { x: 1, y: 0 }, v: { x: 0, y: 1 }, thickness: p => p.T, partner: 'topLeft', pair: 'back end' },
+  ], 'corner', ['label', 'pair']);
+
+  // Flat faces of the outline, shared by corner edges: what the profiles take
+  // from each must fit. Visible faces are the ones finished once installed.
+  // `x` is where the finished part of the face sits across the width, given
+  // the extent each edge takes from it (used for mitred ends).
+  const FACES = I18n.localize([
+    { id: 'top', label: 'top face', visible: true, length: p => p.W, uses: [['topLeft', 'a'], ['topRight', 'a']],
+      x: (p, use) => (use('topLeft', 'a') + p.W - use('topRight', 'a')) / 2 },
+    { id: 'back', label: 'back end', visible: false, length: p => p.T, uses: [['topLeft', 'b'], ['bottomLeft', 'b']],
+      x: () => 0 },
+    { id: 'underside', label: 'underside', visible: false, length: p => p.W - p.Lw, uses: [['bottomLeft', 'a']],
+      x: (p, use) => (use('bottomLeft', 'a') + p.W - p.Lw) / 2 },
+    { id: 'lipInner', label: 'inner lip face', visible: false, length: p => p.Lh, uses: [['lipBottomLeft', 'b']],
+      x: p => p.W - p.Lw },
+    { id: 'lipBottom', label: 'lip bottom', visible: true, length: p => p.Lw, uses: [['lipBottomLeft', 'a'], ['lipBottomRight', 'a']],
+      x: (p, use) => (p.W - p.Lw + use('lipBottomLeft', 'a') + p.W - use('lipBottomRight', 'a')) / 2 },
+    { id: 'front', label: 'front face', visible: true, length: p => p.T + p.Lh, uses: [['topRight', 'b'], ['lipBottomRight', 'b']],
+      x: p => p.W },
+  ], 'face');
+
+  // The two ends of a piece, named as seen facing the front face. Along the
+  // length z, the left end is at z = L (the cross-section view looks at it)
+  // and the right end at z = 0.
+  const ENDS = I18n.localize([
+    { id: 'left', label: 'left end', z: p => p.L },
+    { id: 'right', label: 'right end', z: () => 0 },
+  ], 'end');
+  const END_TYPES = ['square', 'mitre', 'return'];
+  const DEFAULT_MITRE = 45;
+
+  function cornerById(id) {
+    return CORNERS.find(corner => corner.id === id);
+  }
+
+  // --- Parameters ---
+  function parseAngle(value) {
+    const angle = parseFloat(value);
+    return isNaN(angle) ? Profiles.DEFAULT_ANGLE : angle;
+  }
+
+  // "topLeft=cove 10; lipBottomRight=chamfer 5@30" → { topLeft: {…}, lipBottomRight: {…} }
+  function parseCorners(text) {
+    const corners = {};
+    String(text || '').split(';').forEach(part => {
+      if (!part.trim()) return;
+      const m = /^\s*([a-z]+)\s*=\s*([a-z-]+)\s*(\d+(?:[.,]\d+)?)?\s*(?:@\s*(\d+(?:[.,]\d+)?))?\s*$/i.exec(part);
+      if (!m) {
+        corners[part.trim()] = { edge: part.trim(), Tr: 0, angle: Profiles.DEFAULT_ANGLE };
+        return;
+      }
+      const corner = CORNERS.find(c => c.id.toLowerCase() === m[1].toLowerCase());
+      corners[corner ? corner.id : m[1]] = {
+        edge: m[2],
+        Tr: m[3] ? m[3].replace(',', '.') : 0,
+        angle: m[4] ? m[4].replace(',', '.') : Profiles.DEFAULT_ANGLE,
+      };
+    });
+    return corners;
+  }
+
+  // Edges on the corners other than the top front one (which is edge / Tr / angle)
+  function normalizeCorners(value) {
+    const src = typeof value === 'string' ? parseCorners(value) : value || {};
+    const corners = {};
+    Object.keys(src).forEach(id => {
+      const c = src[id] || {};
+      const edge = String(c.edge || 'none').trim().toLowerCase();
+      if (edge === 'none' || id === 'topRight') return;
+      corners[id] = { edge, Tr: parseFloat(c.Tr) || 0, angle: parseAngle(c.angle) };
+    });
+    return corners;
+  }
+
+  function formatCorners(corners) {
+    return Object.keys(corners || {}).map(id => {
+      const c = corners[id];
+      const profile = Profiles.PROFILES[c.edge];
+      const size = !profile || profile.sized ? ` ${c.Tr}` : '';
+      const angle = c.edge === 'chamfer' && c.angle !== Profiles.DEFAULT_ANGLE ? `@${c.angle}` : '';
+      return `${id}=${c.edge}${size}${angle}`;
+    }).join('; ');
+  }
+
+  // "left=mitre 45; right=return" → { left: { type, angle }, right: { type, angle } }
+  function parseEnds(text) {
+    const ends = {};
+    String(text || '').split(';').forEach(part => {
+      if (!part.trim()) return;
+      const m = /^\s*([a-z]+)\s*=\s*([a-z]+)\s*(-?\d+(?:[.,]\d+)?)?\s*°?\s*$/i.exec(part);
+      if (!m) {
+        ends[part.trim()] = { type: part.trim(), angle: DEFAULT_MITRE };
+        return;
+      }
+      ends[m[1].toLowerCase()] = { type: m[2], angle: m[3] ? m[3].replace(',', '.') : DEFAULT_MITRE };
+    });
+    return ends;
+  }
+
+  // Both ends, square unless set; unknown ends are kept for validation to report
+  function normalizeEnds(value) {
+    const src = typeof value === 'string' ? parseEnds(value) : value || {};
+    const ends = {};
+    ENDS.forEach(end => { ends[end.id] = { type: 'square', angle: 0 }; });
+    Object.keys(src).forEach(id => {
+      const e = src[id] || {};
+      let type = String(e.type || 'square').trim().toLowerCase();
+      if (type === 'miter') type = 'mitre';
+      if (type === 'returned') type = 'return';
+      const angle = parseFloat(e.angle);
+      ends[id] = { type, angle: type === 'mitre' ? (isNaN(angle) ? DEFAULT_MITRE : angle) : 0 };
+    });
+    return ends;
+  }
+
+  function formatEnds(ends) {
+    return Object.keys(ends || {}).filter(id => ends[id].type !== 'square').map(id => {
+      const e = ends[id];
+      return e.type === 'mitre' ? `${id}=mitre ${e.angle}` : `${id}=${e.type}`;
+    }).join('; ');
+  }
+
+  function normalize(input) {
+    const src = input || {};
+    return {
+      L: parseFloat(src.L) || 0,
+      W: parseFloat(src.W) || 0,
+      T: parseFloat(src.T) || 0,
+      Lw: parseFloat(src.Lw) || 0,
+      Lh: parseFloat(src.Lh) || 0,
+      Tr: parseFloat(src.Tr) || 0,
+      qty: parseInt(src.qty, 10) || 1,
+      edge: String(src.edge || 'chamfer').trim().toLowerCase(),
+      angle: parseAngle(src.angle),
+      corners: normalizeCorners(src.corners),
+      ends: normalizeEnds(src.ends),
+    };
+  }
+
+  // --- Edge profiles on corners ---
+  // Every applied edge with its curve in the corner frame and its extents a
+  // (along the horizontal face) and b (along the vertical face). A full
+  // bullnose also rounds its partner corner; that copy has pairedWith set.
+  function edges(p) {
+    const settings = Object.assign({}, p.corners, { topRight: { edge: p.edge, Tr: p.Tr, angle: p.angle } });
+    const applied = {};
+    CORNERS.forEach(corner => {
+      const setting = settings[corner.id];
+      const profile = setting && Profiles.PROFILES[setting.edge];
+      if (!profile || (profile.sized && !(setting.Tr > 0))) return;
+      applied[corner.id] = Object.assign({}, setting);
+    });
+    CORNERS.forEach(corner => {
+      const setting = applied[corner.id];
+      if (!setting || !Profiles.PROFILES[setting.edge].paired || !corner.partner) return;
+      const partner = applied[corner.partner];
+      if (!partner) applied[corner.partner] = Object.assign({}, setting, { pairedWith: corner.id });
+      else if (partner.edge === setting.edge && !setting.pairedWith) partner.pairedWith = corner.id;
+    });
+
+    return CORNERS.filter(corner => applied[corner.id]).map(corner => {
+      const setting = applied[corner.id];
+      const profile = Profiles.PROFILES[setting.edge];
+      const size = profile.sized ? setting.Tr : profile.radius(corner.thickness(p));
+      const pts = profile.curve(size, setting);
+      return {
+        corner,
+        edge: setting.edge,
+        profile,
+        size,
+        angle: setting.angle,
+        pairedWith: setting.pairedWith || null,
+        pts,
+        a: pts[0].s,
+        b: pts[pts.length - 1].t,
+      };
+    });
+  }
+
+  // Material an edge removes: between the sharp corner and the curve (mm²)
+  function removedArea(edge) {
+    return outlineArea([{ x: 0, y: 0, bulge: 0 }].concat(edge.pts.map(q => ({ x: q.s, y: q.t, bulge: q.bulge }))));
+  }
+
+  // Area of an edge's shape outside the section (mm²). Only the top front
+  // edge can get there: cut deeper than T, it runs down the lip, and where
+  // it is wider than Lw it reaches into the space under the slab, x < W − Lw
+  // and y < 0. validate() refuses such an edge rather than clipping it.
+  // Curves flattened finely; the shape is clipped to that corner.
+  function overhang(p, e) {
+    if (e.corner.id !== 'topRight' || e.b <= p.T) return 0;
+    const c = e.corner.at(p);
+    const shape = flatten([{ x: c.x, y: c.y, bulge: 0 }].concat(placeEdge(p, e)), 64, true);
+    const under = clipHalf(clipHalf(shape, 1, 0), 0, p.W - p.Lw);
+    return under.length < 3 ? 0 : shoelace(under);
+  }
+
+  // --- Validation ---
+  // Returns a list of { field, message }; an empty list means the stone is valid.
+  function validate(p) {
+    const errors = [];
+    function fail(field, key, params) { errors.push({ field, message: I18n.t(`validate.${key}`, params) }); }
+
+    // All dimensions must be positive (except Tr which can be 0)
+    if (p.L <= 0) fail('L', 'L');
+    if (p.W <= 0) fail('W', 'W');
+    if (p.T <= 0) fail('T', 'T');
+    if (p.Lw <= 0) fail('Lw', 'Lw');
+    if (p.Lh <= 0) fail('Lh', 'Lh');
+    if (p.Tr < 0) fail('Tr', 'Tr');
+    if (p.qty < 1) fail('qty', 'qty');
+    if (EDGE_TYPES.indexOf(p.edge) === -1) fail('edge', 'edge', { edge: p.edge });
+    if (p.edge === 'chamfer' && !(p.angle > 0 && p.angle < 90)) {
+      fail('angle', 'angle');
+    }
+
+    Object.keys(p.corners || {}).forEach(id => {
+      const c = p.corners[id];
+      const corner = cornerById(id);
+      const profile = Profiles.PROFILES[c.edge];
+      if (!corner) {
+        fail('corners', 'corner', { corner: id });
+      } else if (!profile) {
+        fail('corners', 'cornerEdge', { edge: c.edge, corner: corner.label });
+      } else if (profile.sized && !(c.Tr > 0)) {
+        fail('corners', 'cornerSize', { corner: corner.label });
+      } else if (c.edge === 'chamfer' && !(c.angle > 0 && c.angle < 90)) {
+        fail('corners', 'cornerAngle', { corner: corner.label });
+      }
+    });
+
+    Object.keys(p.ends || {}).forEach(id => {
+      const e = p.ends[id];
+      const end = ENDS.find(x => x.id === id);
+      if (!end) {
+        fail('ends', 'end', { end: id });
+      } else if (END_TYPES.indexOf(e.type) === -1) {
+        fail('ends', 'endType', { type: e.type, end: end.label });
+      } else if (e.type === 'mitre' && !(Math.abs(e.angle) < 90)) {
+        fail('ends', 'mitreAngle', { end: end.label });
+      }
+    });
+
+    // Relationship constraints
+    if (p.Lw > 0 && p.W > 0 && p.Lw >= p.W) {
+      fail('Lw', 'lipWidth');
+    }
+    if (errors.length > 0 || p.T <= 0) return errors;
+
+    const applied = edges(p);
+    const byCorner = {};
+    applied.forEach(e => { byCorner[e.corner.id] = e; });
+
+    if (p.edge === 'full-bullnose') {
+      fail('edge', 'fullBullnoseFront');
+    }
+    applied.forEach(e => {
+      if (!e.profile.paired || e.pairedWith || !e.corner.partner) return;
+      const own = p.corners[e.corner.partner];
+      if (own && own.edge !== e.edge) {
+        const partner = cornerById(e.corner.partner);
+        fail('corners', 'fullBullnosePartner', { corner: e.corner.label, partner: partner.label });
+      }
+    });
+
+    // The top front edge may run on down the lip, but not through its bottom
+    const front = byCorner.topRight;
+    const tooDeep = front && front.profile.sized && front.b >= p.T + p.Lh - 1e-9;
+    if (tooDeep) {
+      fail('Tr', p.edge === 'chamfer' && p.angle !== Profiles.DEFAULT_ANGLE ? 'chamferTooDeep' : 'tooDeep');
+    }
+    FACES.forEach(face => {
+      const length = face.length(p);
+      const used = face.uses.reduce((sum, [id, axis]) => sum + (byCorner[id] ? byCorner[id][axis] : 0), 0);
+      if (used > length + 1e-9 && !(tooDeep && face.id === 'front')) {
+        const field = face.uses.some(([id]) => id === 'topRight' && byCorner.topRight) ? 'Tr' : 'corners';
+        fail(field, 'faceTooShort', { face: face.label, need: Units.lengthText(used), length: Units.lengthText(length) });
+      }
+    });
+
+    if (errors.length > 0) return errors;
+    if (front && overhang(p, front) > 1e-3) {
+      fail('Tr', 'overhang');
+    }
+    ENDS.forEach(end => {
+      if (p.ends[end.id].type === 'return' && !front) {
+        fail('ends', 'returnNeedsEdge', { end: end.label });
+      }
+    });
+    // What is left of the length where the end cuts take the most
+    if (errors.length === 0 && p.L > 0) {
+      const cuts = ENDS.map(end => endCut(p, end.id));
+      const shortest = Math.min(...[0, p.W].map(x => p.L - cuts[0](x, p.T) - cuts[1](x, p.T)));
+      if (shortest <= 1e-9) fail('ends', 'endsMeet');
+    }
+
+    return errors;
+  }
+
+  // --- Cross-section outline ---
+  // Curve points of an edge in outline coordinates, in clockwise order. The
+  // corner frame is mirrored where h × v is negative: the curve then runs
+  // backwards, which also keeps each bulge's sign.
+  function placeEdge(p, e) {
+    const c = e.corner.at(p);
+    const { h, v } = e.corner;
+    const pts = e.pts.map(q => ({
+      x: c.x + q.s * h.x + q.t * v.x,
+      y: c.y + q.s * h.y + q.t * v.y,
+      bulge: q.bulge,
+      corner: e.corner.id,
+    }));
+    if (h.x * v.y - h.y * v.x > 0) return pts;
+    const n = pts.length;
+    return pts.map((pt, i) => Object.assign({}, pts[n - 1 - i], { bulge: i < n - 1 ? e.pts[n - 2 - i].bulge : 0 }));
+  }
+
+  function outline(p) {
+    const byCorner = {};
+    edges(p).forEach(e => { byCorner[e.corner.id] = e; });
+    const pts = [];
+    // Curves that meet (a full bullnose) share their end point: keep one vertex
+    const add = pt => {
+      const last = pts[pts.length - 1];
+      if (last && Math.abs(last.x - pt.x) < 1e-9 && Math.abs(last.y - pt.y) < 1e-9) pts.pop();
+      pts.push(pt);
+    };
+    CORNERS.forEach(corner => {
+      if (corner.id === 'bottomLeft') {
+        add({ x: p.W - p.Lw, y: 0, bulge: 0 }); // concave corner under the slab
+      }
+      const e = byCorner[corner.id];
+      if (e) {
+        placeEdge(p, e).forEach(add);
+      } else {
+        const at = corner.at(p);
+        add({ x: at.x, y: at.y, bulge: 0 });
+      }
+    });
+    const first = pts[0], last = pts[pts.length - 1];
+    if (pts.length > 1 && Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) pts.pop();
+    return pts;
+  }
+
+  // Circle through a bulged segment: centre, radius, start angle and signed sweep
+  function arc(p1, p2, bulge) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const chord = Math.hypot(dx, dy);
+    const sweep = 4 * Math.atan(bulge);
+    const r = chord / (2 * Math.abs(Math.sin(sweep / 2)));
+    // Offset of the centre from the chord midpoint, along the chord's left normal
+    const k = (1 - bulge * bulge) / (4 * bulge);
+    const cx = (p1.x + p2.x) / 2 - dy * k;
+    const cy = (p1.y + p2.y) / 2 + dx * k;
+    return { cx, cy, r, start: Math.atan2(p1.y - cy, p1.x - cx), sweep };
+  }
+
+  // Outline flattened to [x, y] points, arcs approximated with line segments
+  function polygon(p, segments) {
+    return flatten(outline(p), segments, true);
+  }
+
+  // Points with bulges → [x, y] points; a closed outline also flattens the
+  // side from its last vertex back to the first
+  function flatten(pts, segments, closed) {
+    const n = segments || ARC_SEGMENTS;
+    const out = [];
+    pts.forEach((pt, i) => {
+      out.push([pt.x, pt.y]);
+      if (!pt.bulge || (!closed && i === pts.length - 1)) return;
+      const a = arc(pt, pts[(i + 1) % pts.length], pt.bulge);
+      for (let k = 1; k < n; k++) {
+        const ang = a.start + a.sweep * (k / n);
+        out.push([a.cx + a.r * Math.cos(ang), a.cy + a.r * Math.sin(ang)]);
+      }
+    });
+    return out;
+  }
+
+  // Edge a stone is fabricated with along its top front: a zero-size edge counts as 'none'
+  function edgeKey(p) {
+    const profile = Profiles.PROFILES[p.edge];
+    if (!profile) return p.Tr > 0 ? p.edge : 'none';
+    return profile.sized && !(p.Tr > 0) ? 'none' : p.edge;
+  }
+
+  // "Cove R10 (top back)"; a full bullnose is named by its face
+  function edgeName(e) {
+    const size = e.profile.sized ? ` ${e.profile.round ? 'R' : ''}${I18n.number(e.size, 1)}` : '';
+    const text = Profiles.label(e.edge, e.angle) + size;
+    if (e.corner.id === 'topRight') return text;
+    return `${text} (${e.profile.paired ? e.corner.pair : e.corner.label})`;
+  }
+
+  // "30° chamfer, cove R10 (top back)". An edge type with no profile is
+  // named as unknown, not left out as if the corner were square.
+  function edgeSummary(p) {
+    const unknown = [{ edge: p.edge, corner: null }]
+      .concat(Object.keys(p.corners || {}).map(id => ({ edge: p.corners[id].edge, corner: cornerById(id) })))
+      .filter(x => !Profiles.PROFILES[x.edge])
+      .map(x => (x.corner ? I18n.t('summary.unknownCornerEdge', { edge: x.edge, corner: x.corner.label })
+        : I18n.t('summary.unknownEdge', { edge: x.edge })));
+    const parts = edges(p).filter(e => !e.pairedWith).map(edgeName).concat(unknown);
+    return parts.length > 0 ? parts.join(', ') : I18n.t('summary.squareEdges');
+  }
+
+  // --- Ends ---
+  // Length an end takes off the piece at outline point (x, y), in mm. A mitre
+  // at angle θ from square keeps the front (x = W) long for θ > 0, as on an
+  // outside corner, and the back for θ < 0. A return takes the top front
+  // edge's profile off the end: at depth t below the top, as far in as the
+  // profile reaches at that depth.
+  function endCut(p, id) {
+    const end = p.ends[id];
+    if (end.type === 'mitre') {
+      const t = Math.tan(end.angle * Math.PI / 180);
+      return x => (t >= 0 ? t * (p.W - x) : -t * x);
+    }
+    const front = end.type === 'return' && edges(p).find(e => e.corner.id === 'topRight');
+    if (!front) return () => 0;
+    // Profile flattened to (s, t) points, t growing from 0 at the top
+    const curve = flatten(front.pts.map(q => ({ x: q.s, y: q.t, bulge: q.bulge })), 32, false);
+    return (x, y) => {
+      const t = p.T - y;
+      if (t < 0 || t > front.b) return 0;
+      for (let i = 1; i < curve.length; i++) {
+        const [s0, t0] = curve[i - 1], [s1, t1] = curve[i];
+        if (t >= Math.min(t0, t1) && t <= Math.max(t0, t1)) {
+          return t1 === t0 ? Math.max(s0, s1) : s0 + (s1 - s0) * (t - t0) / (t1 - t0);
+        }
+      }
+      return 0;
+    };
+  }
+
+  // Outline of an end face, flattened to [x, y] points in section
+  // coordinates: the whole section, or for a return what lies below it
+  function endOutline(p, id, segments) {
+    const pts = polygon(p, segments);
+    const front = p.ends[id].type === 'return' && edges(p).find(e => e.corner.id === 'topRight');
+    return front ? clipHalf(pts, 1, p.T - front.b) : pts;
+  }
+
+  // Part of a polygon where coordinate `axis` (0 = x, 1 = y) is at most
+  // `limit` (one Sutherland–Hodgman pass)
+  function clipHalf(pts, axis, limit) {
+    const other = 1 - axis;
+    const out = [];
+    pts.forEach((a, i) => {
+      const b = pts[(i + 1) % pts.length];
+      const ina = a[axis] <= limit + 1e-9, inb = b[axis] <= limit + 1e-9;
+      if (ina) out.push(a);
+      if (ina !== inb) {
+        const cut = [];
+        cut[axis] = limit;
+        cut[other] = a[other] + (b[other] - a[other]) * (limit - a[axis]) / (b[axis] - a[axis]);
+        out.push(cut);
+      }
+    });
+    return out;
+  }
+
+  function shoelace(pts) {
+    return Math.abs(pts.reduce((sum, a, i) => {
+      const b = pts[(i + 1) % pts.length];
+      return sum + (a[0] * b[1] - b[0] * a[1]) / 2;
+    }, 0));
+  }
+
+  // Material both ends take off one piece (mm³). A mitre removes the wedge
+  // ∫ cut(x) dA over the section; a return adds the profile swept across the
+  // width, less the corner it shares with the front edge: A × W − ∫ s(t)² dt.
+  function endVolume(p) {
+    return ENDS.reduce((sum, end) => {
+      const e = p.ends[end.id];
+      if (e.type === 'mitre') {
+        const c = outlineCentroid(outline(p));
+        const t = Math.tan(e.angle * Math.PI / 180);
+        return sum + (t >= 0 ? t * c.area * (p.W - c.x) : -t * c.area * c.x);
+      }
+      const front = e.type === 'return' && edges(p).find(x => x.corner.id === 'topRight');
+      if (!front) return sum;
+      const c = outlineCentroid([{ x: 0, y: 0, bulge: 0 }].concat(front.pts.map(q => ({ x: q.s, y: q.t, bulge: q.bulge }))));
+      return sum + c.area * p.W - 2 * c.area * c.x;
+    }, 0);
+  }
+
+  // "mitre 45° left end, returned right end"; '' for square ends, which are
+  // only listed with `all`
+  function endSummary(p, all) {
+    return ENDS.filter(end => all || p.ends[end.id].type !== 'square').map(end => {
+      const e = p.ends[end.id];
+      if (e.type === 'square') return I18n.t('summary.square', { end: end.label });
+      if (e.type === 'mitre') return I18n.t('summary.mitre', { angle: I18n.number(e.angle, 2), end: end.label });
+      return I18n.t(e.type === 'return' ? 'summary.return' : 'summary.end', { type: e.type, end: end.label });
+    }).join(', ');
+  }
+
+  // --- Areas & volumes ---
+  // Exact area of a closed outline: shoelace over the vertices plus the
+  // circular segment of every bulged side
+  function outlineArea(pts) {
+    let sum = 0;
+    pts.forEach((pt, i) => {
+      const next = pts[(i + 1) % pts.length];
+      sum += (pt.x * next.y - next.x * pt.y) / 2;
+      if (pt.bulge) {
+        const a = arc(pt, next, pt.bulge);
+        sum += a.r * a.r * (a.sweep - Math.sin(a.sweep)) / 2;
+      }
+    });
+    return Math.abs(sum);
+  }
+
+  // Area and centroid of a closed outline: the polygon's plus that of every
+  // circular segment, which lies 4r·sin³α / 3(2α − sin 2α) from the centre
+  function outlineCentroid(pts) {
+    let sum = 0, mx = 0, my = 0;
+    pts.forEach((pt, i) => {
+      const next = pts[(i + 1) % pts.length];
+      const cross = (pt.x * next.y - next.x * pt.y) / 2;
+      sum += cross;
+      mx += cross * (pt.x + next.x) / 3;
+      my += cross * (pt.y + next.y) / 3;
+      if (pt.bulge) {
+        const a = arc(pt, next, pt.bulge);
+        const seg = a.r * a.r * (a.sweep - Math.sin(a.sweep)) / 2;
+        const half = Math.abs(a.sweep) / 2;
+        const d = 4 * a.r * Math.pow(Math.sin(half), 3) / (3 * (2 * half - Math.sin(2 * half)));
+        const mid = a.start + a.sweep / 2;
+        sum += seg;
+        mx += seg * (a.cx + d * Math.cos(mid));
+        my += seg * (a.cy + d * Math.sin(mid));
+      }
+    });
+    return sum === 0 ? { area: 0, x: 0, y: 0 } : { area: Math.abs(sum), x: mx / sum, y: my / sum };
+  }
+
+  // Material removed by all edge treatments, per mm of length (mm²)
+  function edgeArea(p) {
+    return edges(p).reduce((sum, e) => sum + removedArea(e), 0);
+  }
+
+  function area(p) {
+    return outlineArea(outline(p));
+  }
+
+  // --- Surfaces ---
+  // Length of one outline side: the chord, or the arc of a bulged side
+  function sideLength(p1, p2) {
+    if (!p1.bulge) return Math.hypot(p2.x - p1.x, p2.y - p1.y);
+    const a = arc(p1, p2, p1.bulge);
+    return a.r * Math.abs(a.sweep);
+  }
+
+  // Developed length of an edge profile's curve (mm)
+  function curveLength(edge) {
+    const pts = edge.pts.map(q => ({ x: q.s, y: q.t, bulge: q.bulge }));
+    return pts.slice(1).reduce((sum, pt, i) => sum + sideLength(pts[i], pt), 0);
+  }
+
+  // Mean of x and of a curve's first coordinate along its length, for points
+  // with bulges: { length, x, y }
+  function curveMean(pts) {
+    const flat = flatten(pts, 32, false);
+    let length = 0, x = 0, y = 0;
+    flat.slice(1).forEach((b, i) => {
+      const a = flat[i];
+      const d = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      length += d;
+      x += d * (a[0] + b[0]) / 2;
+      y += d * (a[1] + b[1]) / 2;
+    });
+    return length > 0 ? { length, x: x / length, y: y / length } : { length: 0, x: pts[0].x, y: pts[0].y };
+  }
+
+  // Finishable surfaces of one piece: every flat face and edge profile with
+  // its developed width across the section (mm) and area along the length
+  // (mm²), plus the two end faces. A surface runs L less what mitres take off
+  // where it sits, and a return shortens the top face and the front edge it
+  // turns from and adds its own run across the width. Each edge also gives its
+  // linear metres; a full bullnose counts once, with the width of both halves.
+  function surfaces(p) {
+    const applied = edges(p);
+    const byCorner = {};
+    applied.forEach(e => { byCorner[e.corner.id] = e; });
+    const use = (id, extent) => (byCorner[id] ? byCorner[id][extent] : 0);
+    const mitres = ENDS.filter(end => p.ends[end.id].type === 'mitre').map(end => endCut(p, end.id));
+    const lengthAt = x => p.L - mitres.reduce((sum, cut) => sum + cut(x), 0);
+    const front = byCorner.topRight;
+    const returns = front ? ENDS.filter(end => p.ends[end.id].type === 'return').length : 0;
+    // Mean depth the front profile reaches into a return
+    const reach = front ? curveMean(front.pts.map(q => ({ x: q.s, y: q.t, bulge: q.bulge }))).x : 0;
+
+    const faces = FACES.map(face => {
+      const used = face.uses.reduce((sum, [id, extent]) => sum + use(id, extent), 0);
+      const width = Math.max(0, face.length(p) - used);
+      let area = width * lengthAt(face.x(p, use));
+      if (returns > 0 && face.id === 'top') area -= returns * width * front.a;
+      if (returns > 0 && face.id === 'back') area -= returns * removedArea(front);
+      return { id: face.id, label: face.label, visible: face.visible, width, area: Math.max(0, area) };
+    });
+
+    const edgeSurfaces = [];
+    applied.filter(e => !e.pairedWith).forEach(e => {
+      const halves = applied.filter(x => x === e || x.pairedWith === e.corner.id);
+      const width = halves.reduce((sum, x) => sum + curveLength(x), 0);
+      const length = lengthAt(curveMean(placeEdge(p, e)).x) - (e === front ? returns * reach : 0);
+      edgeSurfaces.push({ corner: e.corner, edge: e.edge, label: edgeName(e), width, area: width * length, metres: length / 1000 });
+      if (e !== front) return;
+      ENDS.filter(end => p.ends[end.id].type === 'return').forEach(end => {
+        const run = p.W - reach;
+        edgeSurfaces.push({ corner: e.corner, edge: e.edge, end: end.id, label: I18n.t('summary.edgeReturn', { edge: edgeName(e), end: end.label }), width, area: width * run, metres: run / 1000 });
+      });
+    });
+
+    // End faces: the section, slanted by a mitre or cut short by a return
+    const A = area(p);
+    const ends = ENDS.map(end => {
+      const e = p.ends[end.id];
+      const endArea = e.type === 'mitre' ? A / Math.cos(e.angle * Math.PI / 180)
+        : e.type === 'return' && front ? shoelace(endOutline(p, end.id, 48)) : A;
+      return { id: end.id, label: end.label, type: e.type, angle: e.angle, area: endArea };
+    });
+    return {
+      faces,
+      edges: edgeSurfaces,
+      ends: { count: ends.length, area: ends.reduce((sum, end) => sum + end.area, 0), list: ends },
+    };
+  }
+
+  // Weight in kg of a volume in mm³ at a density in kg/m³
+  function mass(volumeMm3, density) {
+    return (volumeMm3 / 1e9) * density;
+  }
+
+  // Full evaluation of one stone: validation, outline and volumes (mm³)
+  function compute(input) {
+    const p = normalize(input);
+    const errors = validate(p);
+    const result = {
+      params: p,
+      errors,
+      valid: errors.length === 0,
+      polygon: polygon(p),
+      area: null,
+      volumeOne: null,
+      volumeTotal: null,
+    };
+    if (result.valid) {
+      result.area = area(p);
+      result.volumeOne = Math.max(0, result.area * p.L - endVolume(p));
+      result.volumeTotal = result.volumeOne * p.qty;
+    }
+    return result;
+  }
+
+  return {
+    EDGE_TYPES,
+    CORNERS,
+    normalize,
+    parseCorners,
+    formatCorners,
+    ENDS,
+    END_TYPES,
+    parseEnds,
+    formatEnds,
+    validate,
+    edges,
+    removedArea,
+    placeEdge,
+    outline,
+    arc,
+    polygon,
+    edgeKey,
+    edgeSummary,
+    endCut,
+    endOutline,
+    endVolume,
+    endSummary,
+    outlineArea,
+    outlineCentroid,
+    surfaces,
+    edgeArea,
+    area,
+    mass,
+    compute,
+  };
+});
@@ -0,0 +1,159 @@
+// ===== Localisation =====
+//
+// Every piece of text the calculator shows comes from a message catalogue,
+// one per language in locales/<id>.js:
+//
+//   { name: 'Tiếng Việt', intl: 'vi-VN', messages: { 'input.title': 'Thông số đá', … } }
+//
+// `intl` is the locale numbers and dates are formatted in (decimal and
+// thousands separators). English is the fallback for any key a language
+// lacks, so a catalogue may be partial. Messages take {name} placeholders:
+//
+//   t('validate.faceTooShort', { face: 'front face', need: '120', length: '100' })
+//
+// Labels in the engine's own tables (edge profiles, corners, faces, ends, …)
+// stay in English in those tables; localize() looks them up as prefix.id
+// (or prefix.id.field) and falls back to the table's text.
+//
+// Markup: data-i18n="key" sets an element's text, data-i18n-html its HTML
+// (for <sub>), data-i18n-title / -placeholder / -aria-label an attribute.
+//
+// To add a language: copy locales/vi.js (it has every key) to locales/<id>.js,
+// translate it, and list it below and in index.html before this script.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory({ en: require('./locales/en.js'), vi: require('./locales/vi.js') });
+  } else {
+    root.StoneI18n = factory(root.StoneLocales);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LOCALES) {
+  'use strict';
+
+  const FALLBACK = 'en';
+  const STORAGE_KEY = 'stonecalc.locale';
+  const ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+  let current = FALLBACK;
+  const formats = {}; // Intl.NumberFormat per locale and digits
+
+  function setLocale(id) {
+    if (LOCALES[id]) current = id;
+    return current;
+  }
+
+  function locale() {
+    return current;
+  }
+
+  // Runs fn with another language current, e.g. for documents whose fonts
+  // cannot take every language's characters
+  function within(id, fn) {
+    const previous = current;
+    setLocale(id);
+    try {
+      return fn();
+    } finally {
+      current = previous;
+    }
+  }
+
+  function has(key) {
+    return LOCALES[current].messages[key] !== undefined || LOCALES[FALLBACK].messages[key] !== undefined;
+  }
+
+  // Message for key in the current language, with {name} placeholders filled in
+  function t(key, params) {
+    const own = LOCALES[current].messages[key];
+    const text = own !== undefined ? own : LOCALES[FALLBACK].messages[key];
+    if (text === undefined) return key;
+    return params ? text.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? params[name] : m)) : text;
+  }
+
+  // Turns the text fields of a table's entries (an array of { id } or an
+  // object keyed by id) into getters in the current language
+  function localize(table, prefix, fields) {
+    const entries = Array.isArray(table) ? table.map(item => [item.id, item]) : Object.keys(table).map(id => [id, table[id]]);
+    entries.forEach(([id, item]) => {
+      (fields || ['label']).forEach(field => {
+        const key = field === 'label' ? `${prefix}.${id}` : `${prefix}.${id}.${field}`;
+        const english = item[field];
+        Object.defineProperty(item, field, { get: () => (has(key) ? t(key) : english), enumerable: true });
+      });
+    });
+    return table;
+  }
+
+  // 1234.5 → "1,234.5" / "1.234,5"; at most `max` decimals (default 0), at
+  // least `min`. Without grouping, for text that is typed back in.
+  function number(value, max, min, grouping) {
+    const digits = Math.max(0, max || 0);
+    const key = `${current}:${digits}:${min || 0}:${grouping !== false}`;
+    if (!formats[key]) {
+      formats[key] = new Intl.NumberFormat(LOCALES[current].intl, {
+        minimumFractionDigits: Math.min(min || 0, digits),
+        maximumFractionDigits: digits,
+        useGrouping: grouping !== false,
+      });
+    }
+    return formats[key].format(value);
+  }
+
+  function date(value) {
+    return new Date(value).toLocaleDateString(LOCALES[current].intl);
+  }
+
+  function dateTime(value) {
+    return new Date(value).toLocaleString(LOCALES[current].intl);
+  }
+
+  // --- Choosing the language ---
+  // The language saved in storage, or null
+  function load(storage) {
+    try {
+      const id = storage.getItem(STORAGE_KEY);
+      return LOCALES[id] ? id : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function store(storage, id) {
+    storage.setItem(STORAGE_KEY, id);
+  }
+
+  // First of the browser's languages that has a catalogue ("vi-VN" → vi)
+  function detect(languages) {
+    const match = (languages || []).map(tag => String(tag).toLowerCase().split('-')[0]).find(id => LOCALES[id]);
+    return match || FALLBACK;
+  }
+
+  // --- Markup ---
+  function translate(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.getAttribute('data-i18n')); });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.getAttribute('data-i18n-html')); });
+    ATTRIBUTES.forEach(attr => {
+      root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      });
+    });
+  }
+
+  return {
+    LOCALES,
+    FALLBACK,
+    setLocale,
+    locale,
+    within,
+    has,
+    t,
+    localize,
+    number,
+    date,
+    dateTime,
+    load,
+    store,
+    detect,
+    translate,
+  };
+});
@@ -0,0 +1,416 @@
+// ===== English messages =====
+//
+// The calculator's own text. Names in the engine's tables (edge profiles,
+// corners, faces, ends, …) are not repeated here: English reads them from
+// the tables. See i18n.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    (root.StoneLocales = root.StoneLocales || {}).en = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  return {
+    name: 'English',
+    intl: 'en-GB',
+    messages: {
+      'app.subtitle': 'L-Shape Natural Stone Volume Calculator',
+      'app.title': 'L-Shape Stone Volume Calculator',
+      'app.language': 'Language',
+
+      'input.title': 'Stone Parameters',
+      'input.desc': 'Enter dimensions in the chosen unit; inches take fractions like 1 1/4". Volume is computed in real time.',
+      'input.lengthUnit': 'Length Unit',
+      'input.lengthUnit.mm': 'Millimetres (mm)',
+      'input.lengthUnit.cm': 'Centimetres (cm)',
+      'input.lengthUnit.in': 'Inches (in)',
+      'input.volumeUnit': 'Volume Unit',
+      'input.volumeUnit.m3': 'Cubic metres (m³)',
+      'input.volumeUnit.ft3': 'Cubic feet (ft³)',
+      'input.volumeUnit.yd3': 'Cubic yards (yd³)',
+      'input.length': 'Length (L)',
+      'input.width': 'Total Width (W)',
+      'input.flatThickness': 'Flat Thickness (T)',
+      'input.lipWidth': 'Lip Width (Lw)',
+      'input.lipHeight': 'Lip Drop Height (Lh)',
+      'input.edgeType': 'Edge Profile',
+      'input.edgeType.unit': 'top front',
+      'input.chamferAngle': 'Chamfer Angle (θ)',
+      'input.chamferAngle.hint': 'Measured from the top face; 45° gives equal legs.',
+      'input.autoFitBtn': '⊕ Auto-fit radius (pass through inner corner)',
+      'input.otherEdges': 'Other Edges',
+      'input.otherEdges.unit': 'profile · size <span data-unit="length">mm</span> · angle °',
+      'input.otherEdges.hint': 'A full bullnose rounds both corners of its face, with radius = half its thickness.',
+      'input.ends': 'Ends',
+      'input.ends.unit': 'seen from the front · mitre °',
+      'input.ends.hint': 'Mitre angle from square: positive keeps the front long (outside corner), negative the back (inside corner). L is the long point. A returned edge carries the top front edge on round the end.',
+      'input.quantity': 'Quantity',
+      'input.quantity.unit': 'pcs',
+      'input.material': 'Material',
+      'input.material.unit': 'kg/m³',
+      'input.handlingLimit': 'Manual Handling Limit',
+      'input.handlingLimit.unit': 'kg',
+      'input.handlingLimit.hint': 'Warn when one piece is heavier than this (0 = no warning).',
+      'input.volumeOne.label': 'Volume per piece',
+      'input.volumeTotal.label': 'Total volume',
+      'input.weightOne.label': 'Weight per piece',
+      'input.weightTotal.label': 'Total weight',
+      'input.surfaces.title': 'Surfaces &amp; Edges <span>for polishing, flaming and sealing</span>',
+      'input.surfacesTable.surface': 'Surface',
+      'input.surfacesTable.perPiece': 'Per piece',
+      'input.surfacesTable.total': 'Total',
+      'input.surfacesTable.unit': 'Unit',
+      'input.customDensity.aria': 'Custom density',
+      'input.size.chamfer': 'Chamfer Depth (T<sub>r</sub>)',
+      'input.size.radius': 'Radius (T<sub>r</sub>)',
+      'input.size.profile': 'Profile Size (T<sub>r</sub>)',
+      'input.size.hint': 'Must be less than T + Lh; below the slab it stays within Lw.',
+
+      'diagram.title': 'Cross-Section Model',
+      'diagram.desc': 'Interactive diagram updates with your parameters.',
+      'diagram.btnCross': 'Cross-Section',
+      'diagram.btnIso': '3D View',
+      'diagram.preset.iso': '3D',
+      'diagram.preset.front': 'Front',
+      'diagram.preset.end': 'End',
+      'diagram.preset.underside': 'Underside',
+      'diagram.cameraPresets.hint': 'Drag to orbit · Shift-drag to pan · Scroll to zoom',
+      'diagram.exportDxfBtn': '⇩ Export DXF',
+      'diagram.drawing.title': 'Shop Drawing',
+      'diagram.jobName': 'Job Name',
+      'diagram.drawingSheet': 'Sheet',
+      'diagram.drawingSheet.A4': 'A4 landscape',
+      'diagram.drawingSheet.A3': 'A3 landscape',
+      'diagram.drawingScale': 'Scale',
+      'diagram.drawingScale.auto': 'Auto (largest that fits)',
+      'diagram.exportDrawingSvgBtn': '⇩ Drawing SVG',
+      'diagram.exportDrawingPdfBtn': '⇩ Drawing PDF',
+      'diagram.formula.title': 'Formula',
+      'diagram.exportDxfBtn.title': 'Closed LWPOLYLINE at true mm scale, with a DIMENSIONS layer',
+      'diagram.jobName.placeholder': 'Project / site',
+      'diagram.ends': 'Ends: {ends}',
+      'diagram.dragHandle': 'Drag to change {field}',
+
+      'projects.title': 'Projects',
+      'projects.desc': 'The address bar always links to the stone on screen, so it can be shared as it is. Save the whole order under a name to reopen it later in this browser.',
+      'projects.saveProjectBtn': '💾 Save project',
+      'projects.copyLinkBtn': '🔗 Copy link',
+      'projects.projectTable.name': 'Name',
+      'projects.projectTable.rows': 'Rows',
+      'projects.projectTable.saved': 'Saved',
+      'projects.exportProjectsBtn': '⇩ Export JSON',
+      'projects.importProjectsBtn': '⇪ Import JSON…',
+      'projects.projectName.placeholder': 'Project name',
+      'projects.projectName.aria': 'Project name',
+      'projects.cannotSave': 'Cannot save in this browser: {message}',
+      'projects.none': 'No saved projects yet.',
+      'projects.untitled': 'Untitled',
+      'projects.saved': 'Saved “{name}”.',
+      'projects.linkCopied': 'Link copied.',
+      'projects.copyLink': 'Copy the link from the address bar.',
+      'projects.opened': 'Opened “{name}”.',
+      'projects.confirmDelete': 'Delete the project “{name}”?',
+      'projects.imported': 'Imported {count} project(s).',
+      'projects.importedSkipped': 'Imported {count} project(s), skipped {skipped} unreadable.',
+      'projects.cannotImport': 'Cannot import {file}: {message}',
+      'projects.error.notBackup': 'This is not a StoneCalc project backup.',
+
+      'order.title': 'Order / Bill of Quantities',
+      'order.desc': 'One row per stone profile. Click a row to load it into the parameters and diagram; edits there update the selected row.',
+      'order.orderTable.name': 'Name',
+      'order.orderTable.edge': 'Edge',
+      'order.orderTable.qty': 'Qty',
+      'order.orderTable.perPiece': 'Per piece',
+      'order.orderTable.total': 'Total',
+      'order.addRowBtn': '+ Add row',
+      'order.importBtn': '⇪ Import CSV / XLSX…',
+      'order.exportCsvBtn': '⇩ Export CSV',
+      'order.exportXlsxBtn': '⇩ Export XLSX',
+      'order.importMapping.title': 'Map columns',
+      'order.importMapping.desc': 'Choose the spreadsheet column for each stone parameter. Dimensions are read in mm.',
+      'order.importValidBtn': 'Import valid rows',
+      'order.importAllBtn': 'Import all rows',
+      'order.importCancelBtn': 'Cancel',
+      'order.importReplace': 'Replace current order',
+      'order.rowName': 'Row name',
+      'order.invalid': 'invalid',
+      'order.pieces': '{count} pcs',
+      'order.grandTotal': 'Grand total',
+      'order.rows': '{count} rows',
+      'order.invalidRows': '{count} row(s) with errors are left out of the totals.',
+      'order.byEdge': 'By edge type',
+      'order.byThickness': 'By thickness',
+      'order.stone': 'Stone {n}',
+      'order.copy': '{name} (copy)',
+
+      'pricing.title': 'Pricing & Quotation',
+      'pricing.desc': 'Prices apply to the current stone and quantity. The sell price includes the margin.',
+      'pricing.stonePrice': 'Raw Stone Price',
+      'pricing.stoneBasis.m3': 'per m³',
+      'pricing.stoneBasis.tonne': 'per tonne',
+      'pricing.wastePct': 'Waste',
+      'pricing.marginPct': 'Margin',
+      'pricing.taxPct': 'Tax',
+      'pricing.currency': 'Currency',
+      'pricing.customerName': 'Customer',
+      'pricing.quoteRef': 'Quote Reference',
+      'pricing.edgeFabrication.title': 'Edge Fabrication <span>per lm</span>',
+      'pricing.quoteTable.item': 'Item',
+      'pricing.quoteTable.qty': 'Qty',
+      'pricing.quoteTable.unit': 'Unit',
+      'pricing.quoteTable.costRate': 'Cost rate',
+      'pricing.quoteTable.sellRate': 'Sell rate',
+      'pricing.quoteTable.amount': 'Amount',
+      'pricing.printQuoteBtn': '🖨 Print Quotation',
+      'pricing.customerName.placeholder': 'Customer name',
+      'pricing.squareEdge': 'Square Edge',
+      'pricing.fixStone': 'Fix the stone parameters above to get a quote.',
+      'pricing.error.stonePrice': 'Stone price cannot be negative.',
+      'pricing.error.edgePrice': '{edge} price cannot be negative.',
+      'pricing.error.waste': 'Waste % cannot be negative.',
+      'pricing.error.margin': 'Margin % cannot be negative.',
+      'pricing.error.tax': 'Tax % cannot be negative.',
+      'pricing.error.density': 'Pricing per tonne needs a material density.',
+      'pricing.line.stone': 'Raw {material}, incl. {waste}% waste',
+      'pricing.line.stoneDefault': 'stone',
+      'pricing.line.edge': '{edge} fabrication',
+      'pricing.line.edgeAt': '{edge} fabrication, {corner}',
+      'pricing.line.returns': '{edge} returns (× {count})',
+
+      'yield.title': 'Block Yield Planner',
+      'yield.desc': 'How many of the current stone one raw block or slab yields, and how many blocks the quantity needs. Every orientation is tried; pieces are nested head-to-tail where the lip allows.',
+      'yield.blockLength': 'Raw Block Length',
+      'yield.blockWidth': 'Raw Block Width',
+      'yield.blockHeight': 'Raw Block Height',
+      'yield.blockHeight.hint': 'For a slab, its thickness.',
+      'yield.sawKerf': 'Saw Kerf',
+      'yield.trimAllowance': 'Trim per Face',
+      'yield.fixStone': 'Fix the stone parameters above to plan the cutting.',
+      'yield.noFit': 'The stone does not fit in this block in any orientation.',
+      'yield.perBlock': 'Pieces per block',
+      'yield.blocksNeeded': 'Blocks needed',
+      'yield.blocksFor': '{blocks} for {pieces}',
+      'yield.waste': 'Waste',
+      'yield.lengthAlong': 'Piece length along',
+      'yield.sections': 'Sections',
+      'yield.nested': 'nested head-to-tail',
+      'yield.stacked': 'stacked',
+      'yield.svg.section': 'Section: {across} × {up} ({width} × {height})',
+      'yield.svg.along': 'Along the {axis} ({length})',
+      'yield.error.axis': 'Raw {axis} must be greater than 0.',
+      'yield.error.trimAxis': 'Trim on both faces (2 × {trim}) leaves nothing of the {axis}.',
+      'yield.error.kerf': 'Saw kerf cannot be negative.',
+      'yield.error.trim': 'Trim allowance cannot be negative.',
+
+      'stairs.title': 'Staircase Flight',
+      'stairs.desc': 'Clads a whole flight with the current stone as the tread: one piece per step, its lip dropping over the riser onto the tread below. Length, thickness, lip width, edges and ends come from the stone; the tread width W and lip drop Lh are worked out for the flight.',
+      'stairs.stairRise': 'Total Rise',
+      'stairs.stairRise.hint': 'Floor to floor, finished.',
+      'stairs.stairGoing': 'Total Going',
+      'stairs.stairGoing.hint': 'Bottom nosing to top nosing.',
+      'stairs.stairMode': 'Lay Out By',
+      'stairs.stairSteps': 'Number of Steps',
+      'stairs.stairSteps.unit': 'risers',
+      'stairs.stairRiser': 'Target Riser',
+      'stairs.stairTread': 'Target Going',
+      'stairs.stairTread.hint': 'The step count nearest to both targets is used.',
+      'stairs.stairMaxRiser': 'Maximum Riser',
+      'stairs.stairPaceMin': '2R + G from',
+      'stairs.stairPaceMax': '2R + G to',
+      'stairs.useTreadBtn': 'Use tread as the stone',
+      'stairs.useTreadBtn.title': 'Sets W, Lh and the quantity of the stone to one flight of treads',
+      'stairs.steps': 'Steps',
+      'stairs.stepsValue': '{risers} risers, {goings} goings',
+      'stairs.riser': 'Riser R',
+      'stairs.going': 'Going G',
+      'stairs.tread': 'Tread W × Lh',
+      'stairs.volumeOne': 'Volume per tread',
+      'stairs.svg.going': 'Going {going} = {count} × {each}',
+      'stairs.svg.rise': 'Rise {rise}',
+      'stairs.error.rise': 'Total rise must be greater than 0.',
+      'stairs.error.going': 'Total going must be greater than 0.',
+      'stairs.error.steps': 'A flight needs at least 2 steps.',
+      'stairs.error.targetRiser': 'Target riser must be greater than 0.',
+      'stairs.error.targetGoing': 'Target going must be greater than 0.',
+      'stairs.error.pace': 'The 2R + G range is upside down ({min} to {max}).',
+      'stairs.warning.riser': 'Riser R = {riser} is over the {max} maximum.',
+      'stairs.warning.pace': '2R + G = {pace} is outside the comfortable {min} to {max}.',
+      'stairs.error.thickness': 'The riser ({riser}) must be taller than the tread thickness T ({T}) to leave a lip.',
+      'stairs.error.treadStone': 'Tread: {message}',
+
+      'curve.title': 'Curved Run',
+      'curve.desc': 'The current cross-section swept round an arc, for curved steps and pond copings, cut into equal segments by radial joints. The volume follows the centroid of the section, so it differs from a straight piece of the same centreline length.',
+      'curve.curveRadius': 'Radius',
+      'curve.curveAt': 'Radius Measured At',
+      'curve.curveSweep': 'Sweep Angle',
+      'curve.curveSegments': 'Segments',
+      'curve.curveSegments.unit': 'pcs',
+      'curve.curveFront': 'Front (Lip) Faces',
+      'curve.curveFront.hint': 'Outside for a convex step nosing or coping, inside for a concave one.',
+      'curve.fixStone': 'Fix the stone parameters above to sweep the section.',
+      'curve.radii': 'Inner – outer radius',
+      'curve.segments': 'Segments',
+      'curve.outerChord': 'Outer chord',
+      'curve.innerChord': 'Inner chord',
+      'curve.centroid': 'Centroid radius',
+      'curve.volumeOne': 'Volume per segment',
+      'curve.straight': 'As straight',
+      'curve.difference': 'Difference',
+      'curve.svg.chord': 'chord {chord}',
+      'curve.error.radius': 'Radius must be greater than 0.',
+      'curve.error.centreline': 'A centreline radius must be more than half the width W ({half}).',
+      'curve.error.sweep': 'Sweep angle must be more than 0° and at most 360°.',
+      'curve.error.segments': 'There must be at least 1 segment.',
+
+      'solve.title': 'Solve For',
+      'solve.desc': 'Works backwards from a target: pick the parameter to find, and the other parameters, edges and ends stay as they are above. Where several values meet the target, the largest is given.',
+      'solve.solveUnknown': 'Find',
+      'solve.solveTarget': 'So That',
+      'solve.solveAmount': 'Equals',
+      'solve.solveLength': 'Equals',
+      'solve.solveApplyBtn': 'Use this value',
+      'solve.noValid': 'No value of {unknown} gives a valid stone',
+      'solve.unreachable': '{target} only runs from {min} to {max} for {unknown} from {from} to {to}, so {value} cannot be met.',
+      'solve.unreachableOpen': '{target} only runs from {min} to {max} for {unknown} from {from} to {to} and beyond, so {value} cannot be met.',
+      'solve.alsoMet': 'Also met at',
+      'solve.error.unknown': 'Unknown parameter "{unknown}".',
+      'solve.error.target': 'Unknown target "{target}".',
+      'solve.error.valueLength': '{target} must be zero or more.',
+      'solve.error.value': '{target} must be greater than 0.',
+      'solve.error.density': 'Weight needs a material with a density.',
+
+      'compare.title': 'Compare Variants',
+      'compare.desc': 'Alternatives of the current stone side by side. A is the stone as set above; the other variants take everything from it except the fields changed in their column (highlighted; clear a field to follow A again), and show the difference in material from A.',
+      'compare.addVariantBtn': '+ Add variant',
+      'compare.inputAria': '{field}, variant {name}',
+      'compare.base': 'base',
+      'compare.remove': 'Remove',
+      'compare.section': 'Cross-section',
+      'compare.removed': 'Removed by edges',
+      'compare.differenceOne': 'Difference per piece',
+      'compare.differenceTotal': 'Difference in total',
+
+      'corners.profileAria': '{corner} edge profile',
+      'corners.sizeAria': '{corner} edge size',
+      'corners.angleAria': '{corner} chamfer angle',
+
+      'edge.square': 'Square',
+      'edge.none': 'Square edge (no treatment)',
+
+      'ends.treatmentAria': '{end} treatment',
+      'ends.square': 'Square',
+      'ends.mitre': 'Mitre',
+      'ends.return': 'Returned edge',
+      'ends.angleAria': '{end} mitre angle',
+
+      'unit.lm': 'lm',
+
+      'material.customName': 'stone ({density} kg/m³)',
+      'material.custom': 'Custom density…',
+
+      'formula.decomposed': 'The L-shape is decomposed into a flat slab (W × T) plus a vertical lip (Lw × Lh), extruded along L.',
+      'formula.removes': '{edge} ({where}) removes {formula} = {area} mm².',
+
+      'results.handlingWarning': 'One piece weighs {weight}, over the {limit} kg manual-handling limit. Plan mechanical lifting.',
+      'results.totalVolume': 'Total volume',
+      'results.totalWeight': 'Total weight',
+      'results.volumeOne': 'Volume per piece',
+      'results.weightOne': 'Weight per piece',
+
+      'surfaces.mitre': 'mitre {angle}°',
+      'surfaces.returned': 'returned',
+      'surfaces.square': 'square',
+      'surfaces.profileSurface': '{edge}, profile surface',
+      'surfaces.edgeLength': '{edge}, edge length',
+      'surfaces.finished': 'Finished surface',
+
+      'action.moveUp': 'Move up',
+      'action.moveDown': 'Move down',
+      'action.duplicate': 'Duplicate',
+      'action.delete': 'Delete',
+      'action.open': 'Open',
+
+      'import.notMapped': '— not mapped —',
+      'import.columnN': 'Column {n}',
+      'import.report': '{count} rows read: {valid} valid, {bad} with errors.',
+      'import.row': 'Row {row}',
+      'import.validOne': 'Import {count} valid row',
+      'import.valid': 'Import {count} valid rows',
+      'import.all': 'Import all {count} rows',
+      'import.ambiguous': '{column}: "{value}" could be a thousands separator or a decimal comma. Write the number without it, or save the file with ";" between columns.',
+      'import.tooShort': 'The file needs a header row and at least one stone row.',
+      'import.cannotRead': 'Cannot read file: {message}',
+
+      'drawing.noFit': 'The views do not fit on {sheet} even at 1:{scale}.',
+      'drawing.tooSmall': 'At 1:{scale} the views do not fit on {sheet}; use 1:{best} or a larger sheet.',
+
+      'quote.cost': 'Cost',
+      'quote.margin': 'Margin ({pct}%)',
+      'quote.subtotal': 'Subtotal',
+      'quote.tax': 'Tax ({pct}%)',
+      'quote.total': 'Total',
+      'quote.material': 'Material',
+      'quote.edge': 'Edge',
+      'quote.ends': 'Ends',
+      'quote.lengthWidth': 'Length × width (L × W)',
+      'quote.thickness': 'Flat thickness (T)',
+      'quote.lip': 'Lip (Lw × Lh)',
+      'quote.quantity': 'Quantity',
+      'quote.volume': 'Volume per piece / total',
+      'quote.weight': 'Weight per piece / total',
+      'quote.title': 'Quotation',
+      'quote.ref': 'Ref',
+      'quote.date': 'Date',
+      'quote.customer': 'Customer',
+      'quote.specification': 'L-shape stone specification',
+      'quote.price': 'Price',
+      'quote.item': 'Item',
+      'quote.qty': 'Qty',
+      'quote.unit': 'Unit',
+      'quote.rate': 'Rate',
+      'quote.amount': 'Amount',
+      'quote.footer': 'Volumes are calculated from the nominal profile dimensions. Prices in {currency}.',
+      'quote.currency': 'the quoted currency',
+
+      'validate.L': 'Length (L) must be greater than 0.',
+      'validate.W': 'Total Width (W) must be greater than 0.',
+      'validate.T': 'Flat Thickness (T) must be greater than 0.',
+      'validate.Lw': 'Lip Width (Lw) must be greater than 0.',
+      'validate.Lh': 'Lip Drop Height (Lh) must be greater than 0.',
+      'validate.Tr': 'Tᵣ cannot be negative.',
+      'validate.qty': 'Quantity must be at least 1.',
+      'validate.edge': 'Unknown edge type "{edge}".',
+      'validate.angle': 'Chamfer angle (θ) must be between 0° and 90°.',
+      'validate.corner': 'Unknown corner "{corner}".',
+      'validate.cornerEdge': 'Unknown edge type "{edge}" on the {corner} corner.',
+      'validate.cornerSize': 'Edge size on the {corner} corner must be greater than 0.',
+      'validate.cornerAngle': 'Chamfer angle on the {corner} corner must be between 0° and 90°.',
+      'validate.end': 'Unknown end "{end}"; use left or right.',
+      'validate.endType': 'Unknown end treatment "{type}" on the {end}.',
+      'validate.mitreAngle': 'Mitre angle on the {end} must be between −90° and 90°.',
+      'validate.lipWidth': 'Lip Width (Lw) must be less than Total Width (W).',
+      'validate.fullBullnoseFront': 'A full bullnose needs two corners across one face; the top front edge runs into the lip.',
+      'validate.fullBullnosePartner': 'The full bullnose on the {corner} corner also rounds the {partner} corner; clear that corner\'s edge.',
+      'validate.chamferTooDeep': 'Chamfer depth (Tᵣ × tan θ) must be less than Flat Thickness plus Lip Drop (T + Lh).',
+      'validate.tooDeep': 'Tᵣ must be less than Flat Thickness plus Lip Drop (T + Lh).',
+      'validate.faceTooShort': 'Edges on the {face} need {need} but it is only {length} long.',
+      'validate.overhang': 'Below the slab the top front edge must stay within the lip: it runs out past Lip Width (Lw) into the space under the slab.',
+      'validate.returnNeedsEdge': 'A returned {end} needs an edge on the top front corner to carry round.',
+      'validate.endsMeet': 'The end cuts meet: Length (L) is too short for these mitres and returns.',
+
+      'summary.squareEdges': 'square edges',
+      'summary.unknownEdge': '⚠ unknown edge "{edge}"',
+      'summary.unknownCornerEdge': '⚠ unknown edge "{edge}" ({corner})',
+      'summary.square': 'square {end}',
+      'summary.mitre': 'mitre {angle}° {end}',
+      'summary.return': 'returned {end}',
+      'summary.end': '{type} {end}',
+      'summary.edgeReturn': '{edge} return ({end})',
+
+      'profile.chamfer.angled': '{angle}° chamfer',
+    },
+  };
+});
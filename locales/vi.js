@@ -0,0 +1,499 @@
+// ===== Vietnamese messages (Tiếng Việt) =====
+//
+// Every key the calculator uses, including the names in the engine's tables
+// (profile.<id>, corner.<id>, face.<id>, end.<id>, …) that English reads
+// from the tables themselves. Copy this file to start a new language.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    (root.StoneLocales = root.StoneLocales || {}).vi = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  return {
+    name: 'Tiếng Việt',
+    intl: 'vi-VN',
+    messages: {
+      'app.subtitle': 'Tính khối lượng đá tự nhiên chữ L',
+      'app.title': 'Tính khối lượng đá chữ L',
+      'app.language': 'Ngôn ngữ',
+
+      'input.title': 'Thông số đá',
+      'input.desc': 'Nhập kích thước theo đơn vị đã chọn; số đo inch nhận phân số như 1 1/4". Khối lượng được tính ngay khi nhập.',
+      'input.lengthUnit': 'Đơn vị chiều dài',
+      'input.lengthUnit.mm': 'Milimét (mm)',
+      'input.lengthUnit.cm': 'Xentimét (cm)',
+      'input.lengthUnit.in': 'Inch (in)',
+      'input.volumeUnit': 'Đơn vị thể tích',
+      'input.volumeUnit.m3': 'Mét khối (m³)',
+      'input.volumeUnit.ft3': 'Foot khối (ft³)',
+      'input.volumeUnit.yd3': 'Yard khối (yd³)',
+      'input.length': 'Chiều dài (L)',
+      'input.width': 'Tổng chiều rộng (W)',
+      'input.flatThickness': 'Độ dày tấm (T)',
+      'input.lipWidth': 'Bề rộng gờ (Lw)',
+      'input.lipHeight': 'Chiều cao gờ (Lh)',
+      'input.edgeType': 'Kiểu cạnh',
+      'input.edgeType.unit': 'trên phía trước',
+      'input.chamferAngle': 'Góc vát (θ)',
+      'input.chamferAngle.hint': 'Đo từ mặt trên; 45° cho hai cạnh vát bằng nhau.',
+      'input.autoFitBtn': '⊕ Tự chọn bán kính (đi qua góc trong)',
+      'input.otherEdges': 'Các cạnh khác',
+      'input.otherEdges.unit': 'kiểu · kích thước <span data-unit="length">mm</span> · góc °',
+      'input.otherEdges.hint': 'Bo tròn toàn phần bo cả hai góc của một mặt, bán kính bằng nửa độ dày mặt đó.',
+      'input.ends': 'Hai đầu',
+      'input.ends.unit': 'nhìn từ phía trước · góc cắt xiên °',
+      'input.ends.hint': 'Góc cắt xiên so với cắt vuông: dương giữ mặt trước dài hơn (góc ngoài), âm giữ mặt sau dài hơn (góc trong). L là điểm dài nhất. Cạnh chạy vòng đầu đưa cạnh trên phía trước vòng qua đầu đá.',
+      'input.quantity': 'Số lượng',
+      'input.quantity.unit': 'viên',
+      'input.material': 'Vật liệu',
+      'input.material.unit': 'kg/m³',
+      'input.handlingLimit': 'Giới hạn bốc xếp tay',
+      'input.handlingLimit.unit': 'kg',
+      'input.handlingLimit.hint': 'Cảnh báo khi một viên nặng hơn mức này (0 = không cảnh báo).',
+      'input.volumeOne.label': 'Thể tích mỗi viên',
+      'input.volumeTotal.label': 'Tổng thể tích',
+      'input.weightOne.label': 'Khối lượng mỗi viên',
+      'input.weightTotal.label': 'Tổng khối lượng',
+      'input.surfaces.title': 'Bề mặt &amp; cạnh <span>để mài bóng, khò lửa và phủ chống thấm</span>',
+      'input.surfacesTable.surface': 'Bề mặt',
+      'input.surfacesTable.perPiece': 'Mỗi viên',
+      'input.surfacesTable.total': 'Tổng',
+      'input.surfacesTable.unit': 'Đơn vị',
+      'input.customDensity.aria': 'Khối lượng riêng tự nhập',
+      'input.size.chamfer': 'Độ sâu vát (T<sub>r</sub>)',
+      'input.size.radius': 'Bán kính (T<sub>r</sub>)',
+      'input.size.profile': 'Kích thước cạnh (T<sub>r</sub>)',
+      'input.size.hint': 'Phải nhỏ hơn T + Lh; phần dưới tấm phải nằm trong Lw.',
+
+      'diagram.title': 'Mô hình mặt cắt',
+      'diagram.desc': 'Hình vẽ tương tác cập nhật theo thông số của bạn.',
+      'diagram.btnCross': 'Mặt cắt',
+      'diagram.btnIso': 'Hình 3D',
+      'diagram.preset.iso': '3D',
+      'diagram.preset.front': 'Trước',
+      'diagram.preset.end': 'Đầu',
+      'diagram.preset.underside': 'Mặt dưới',
+      'diagram.cameraPresets.hint': 'Kéo để xoay · Shift-kéo để di chuyển · Cuộn để phóng to',
+      'diagram.exportDxfBtn': '⇩ Xuất DXF',
+      'diagram.drawing.title': 'Bản vẽ gia công',
+      'diagram.jobName': 'Tên công trình',
+      'diagram.drawingSheet': 'Khổ giấy',
+      'diagram.drawingSheet.A4': 'A4 ngang',
+      'diagram.drawingSheet.A3': 'A3 ngang',
+      'diagram.drawingScale': 'Tỷ lệ',
+      'diagram.drawingScale.auto': 'Tự động (lớn nhất vừa khổ)',
+      'diagram.exportDrawingSvgBtn': '⇩ Bản vẽ SVG',
+      'diagram.exportDrawingPdfBtn': '⇩ Bản vẽ PDF',
+      'diagram.formula.title': 'Công thức',
+      'diagram.exportDxfBtn.title': 'LWPOLYLINE khép kín theo tỷ lệ mm thật, kèm lớp DIMENSIONS',
+      'diagram.jobName.placeholder': 'Dự án / công trường',
+      'diagram.ends': 'Hai đầu: {ends}',
+      'diagram.dragHandle': 'Kéo để thay đổi {field}',
+
+      'projects.title': 'Dự án',
+      'projects.desc': 'Thanh địa chỉ luôn trỏ tới viên đá đang hiển thị, nên có thể chia sẻ ngay. Lưu cả đơn hàng dưới một tên để mở lại sau trên trình duyệt này.',
+      'projects.saveProjectBtn': '💾 Lưu dự án',
+      'projects.copyLinkBtn': '🔗 Sao chép liên kết',
+      'projects.projectTable.name': 'Tên',
+      'projects.projectTable.rows': 'Số dòng',
+      'projects.projectTable.saved': 'Đã lưu',
+      'projects.exportProjectsBtn': '⇩ Xuất JSON',
+      'projects.importProjectsBtn': '⇪ Nhập JSON…',
+      'projects.projectName.placeholder': 'Tên dự án',
+      'projects.projectName.aria': 'Tên dự án',
+      'projects.cannotSave': 'Không lưu được trên trình duyệt này: {message}',
+      'projects.none': 'Chưa có dự án nào được lưu.',
+      'projects.untitled': 'Chưa đặt tên',
+      'projects.saved': 'Đã lưu “{name}”.',
+      'projects.linkCopied': 'Đã sao chép liên kết.',
+      'projects.copyLink': 'Hãy sao chép liên kết từ thanh địa chỉ.',
+      'projects.opened': 'Đã mở “{name}”.',
+      'projects.confirmDelete': 'Xoá dự án “{name}”?',
+      'projects.imported': 'Đã nhập {count} dự án.',
+      'projects.importedSkipped': 'Đã nhập {count} dự án, bỏ qua {skipped} dự án không đọc được.',
+      'projects.cannotImport': 'Không nhập được {file}: {message}',
+      'projects.error.notBackup': 'Đây không phải tệp sao lưu dự án StoneCalc.',
+
+      'order.title': 'Đơn hàng / Bảng khối lượng',
+      'order.desc': 'Mỗi dòng là một loại đá. Bấm vào dòng để nạp vào thông số và hình vẽ; sửa ở đó sẽ cập nhật dòng đang chọn.',
+      'order.orderTable.name': 'Tên',
+      'order.orderTable.edge': 'Cạnh',
+      'order.orderTable.qty': 'SL',
+      'order.orderTable.perPiece': 'Mỗi viên',
+      'order.orderTable.total': 'Tổng',
+      'order.addRowBtn': '+ Thêm dòng',
+      'order.importBtn': '⇪ Nhập CSV / XLSX…',
+      'order.exportCsvBtn': '⇩ Xuất CSV',
+      'order.exportXlsxBtn': '⇩ Xuất XLSX',
+      'order.importMapping.title': 'Ghép cột',
+      'order.importMapping.desc': 'Chọn cột bảng tính cho từng thông số đá. Kích thước được đọc theo mm.',
+      'order.importValidBtn': 'Nhập các dòng hợp lệ',
+      'order.importAllBtn': 'Nhập tất cả các dòng',
+      'order.importCancelBtn': 'Huỷ',
+      'order.importReplace': 'Thay thế đơn hàng hiện tại',
+      'order.rowName': 'Tên dòng',
+      'order.invalid': 'không hợp lệ',
+      'order.pieces': '{count} viên',
+      'order.grandTotal': 'Tổng cộng',
+      'order.rows': '{count} dòng',
+      'order.invalidRows': '{count} dòng có lỗi không được tính vào tổng.',
+      'order.byEdge': 'Theo kiểu cạnh',
+      'order.byThickness': 'Theo độ dày',
+      'order.stone': 'Đá {n}',
+      'order.copy': '{name} (bản sao)',
+
+      'pricing.title': 'Giá & Báo giá',
+      'pricing.desc': 'Giá áp dụng cho viên đá và số lượng hiện tại. Giá bán đã gồm lợi nhuận.',
+      'pricing.stonePrice': 'Giá đá thô',
+      'pricing.stoneBasis.m3': 'mỗi m³',
+      'pricing.stoneBasis.tonne': 'mỗi tấn',
+      'pricing.wastePct': 'Hao hụt',
+      'pricing.marginPct': 'Lợi nhuận',
+      'pricing.taxPct': 'Thuế',
+      'pricing.currency': 'Tiền tệ',
+      'pricing.customerName': 'Khách hàng',
+      'pricing.quoteRef': 'Số báo giá',
+      'pricing.edgeFabrication.title': 'Gia công cạnh <span>mỗi md</span>',
+      'pricing.quoteTable.item': 'Hạng mục',
+      'pricing.quoteTable.qty': 'SL',
+      'pricing.quoteTable.unit': 'Đơn vị',
+      'pricing.quoteTable.costRate': 'Đơn giá vốn',
+      'pricing.quoteTable.sellRate': 'Đơn giá bán',
+      'pricing.quoteTable.amount': 'Thành tiền',
+      'pricing.printQuoteBtn': '🖨 In báo giá',
+      'pricing.customerName.placeholder': 'Tên khách hàng',
+      'pricing.squareEdge': 'Cạnh vuông',
+      'pricing.fixStone': 'Hãy sửa thông số đá ở trên để có báo giá.',
+      'pricing.error.stonePrice': 'Giá đá không được âm.',
+      'pricing.error.edgePrice': 'Giá {edge} không được âm.',
+      'pricing.error.waste': '% hao hụt không được âm.',
+      'pricing.error.margin': '% lợi nhuận không được âm.',
+      'pricing.error.tax': '% thuế không được âm.',
+      'pricing.error.density': 'Tính giá theo tấn cần khối lượng riêng của vật liệu.',
+      'pricing.line.stone': 'Nguyên liệu {material} thô, đã gồm {waste}% hao hụt',
+      'pricing.line.stoneDefault': 'đá',
+      'pricing.line.edge': 'Gia công {edge}',
+      'pricing.line.edgeAt': 'Gia công {edge}, {corner}',
+      'pricing.line.returns': '{edge} chạy vòng đầu (× {count})',
+
+      'yield.title': 'Tính số viên từ khối đá',
+      'yield.desc': 'Một khối hoặc tấm đá thô cắt được bao nhiêu viên đá hiện tại, và cần bao nhiêu khối cho số lượng đặt. Mọi hướng đặt đều được thử; các viên được xếp lồng đầu-đuôi khi gờ cho phép.',
+      'yield.blockLength': 'Chiều dài khối thô',
+      'yield.blockWidth': 'Chiều rộng khối thô',
+      'yield.blockHeight': 'Chiều cao khối thô',
+      'yield.blockHeight.hint': 'Với tấm đá, là độ dày tấm.',
+      'yield.sawKerf': 'Mạch cưa',
+      'yield.trimAllowance': 'Phần xén mỗi mặt',
+      'yield.fixStone': 'Hãy sửa thông số đá ở trên để tính phương án cắt.',
+      'yield.noFit': 'Viên đá không vừa khối này ở bất kỳ hướng nào.',
+      'yield.perBlock': 'Số viên mỗi khối',
+      'yield.blocksNeeded': 'Số khối cần',
+      'yield.blocksFor': '{blocks} cho {pieces}',
+      'yield.waste': 'Hao hụt',
+      'yield.lengthAlong': 'Chiều dài viên dọc theo',
+      'yield.sections': 'Mặt cắt',
+      'yield.nested': 'xếp lồng đầu-đuôi',
+      'yield.stacked': 'xếp chồng',
+      'yield.svg.section': 'Mặt cắt: {across} × {up} ({width} × {height})',
+      'yield.svg.along': 'Dọc theo {axis} ({length})',
+      'yield.error.axis': '{axis} thô phải lớn hơn 0.',
+      'yield.error.trimAxis': 'Phần xén hai mặt (2 × {trim}) không để lại gì của {axis}.',
+      'yield.error.kerf': 'Mạch cưa không được âm.',
+      'yield.error.trim': 'Phần xén không được âm.',
+      'yield.axis.L': 'chiều dài khối',
+      'yield.axis.W': 'chiều rộng khối',
+      'yield.axis.H': 'chiều cao khối',
+
+      'stairs.title': 'Cầu thang',
+      'stairs.desc': 'Ốp cả vế thang bằng viên đá hiện tại làm mặt bậc: mỗi bậc một viên, gờ của nó phủ xuống cổ bậc đến mặt bậc bên dưới. Chiều dài, độ dày, bề rộng gờ, cạnh và hai đầu lấy từ viên đá; chiều rộng mặt bậc W và chiều cao gờ Lh được tính theo vế thang.',
+      'stairs.stairRise': 'Tổng chiều cao',
+      'stairs.stairRise.hint': 'Từ sàn đến sàn, đã hoàn thiện.',
+      'stairs.stairGoing': 'Tổng chiều dài bước',
+      'stairs.stairGoing.hint': 'Từ mũi bậc dưới cùng đến mũi bậc trên cùng.',
+      'stairs.stairMode': 'Bố trí theo',
+      'stairs.stairSteps': 'Số bậc',
+      'stairs.stairSteps.unit': 'cổ bậc',
+      'stairs.stairRiser': 'Chiều cao bậc mong muốn',
+      'stairs.stairTread': 'Chiều sâu bậc mong muốn',
+      'stairs.stairTread.hint': 'Dùng số bậc gần với cả hai giá trị mong muốn nhất.',
+      'stairs.stairMaxRiser': 'Chiều cao bậc tối đa',
+      'stairs.stairPaceMin': '2R + G từ',
+      'stairs.stairPaceMax': '2R + G đến',
+      'stairs.useTreadBtn': 'Dùng mặt bậc làm viên đá',
+      'stairs.useTreadBtn.title': 'Đặt W, Lh và số lượng của viên đá theo các mặt bậc của một vế thang',
+      'stairs.steps': 'Số bậc',
+      'stairs.stepsValue': '{risers} cổ bậc, {goings} mặt bậc',
+      'stairs.riser': 'Chiều cao bậc R',
+      'stairs.going': 'Chiều sâu bậc G',
+      'stairs.tread': 'Mặt bậc W × Lh',
+      'stairs.volumeOne': 'Thể tích mỗi mặt bậc',
+      'stairs.svg.going': 'Chiều dài {going} = {count} × {each}',
+      'stairs.svg.rise': 'Chiều cao {rise}',
+      'stairs.error.rise': 'Tổng chiều cao phải lớn hơn 0.',
+      'stairs.error.going': 'Tổng chiều dài bước phải lớn hơn 0.',
+      'stairs.error.steps': 'Một vế thang cần ít nhất 2 bậc.',
+      'stairs.error.targetRiser': 'Chiều cao bậc mong muốn phải lớn hơn 0.',
+      'stairs.error.targetGoing': 'Chiều sâu bậc mong muốn phải lớn hơn 0.',
+      'stairs.error.pace': 'Khoảng 2R + G bị ngược ({min} đến {max}).',
+      'stairs.warning.riser': 'Chiều cao bậc R = {riser} vượt mức tối đa {max}.',
+      'stairs.warning.pace': '2R + G = {pace} nằm ngoài khoảng dễ đi {min} đến {max}.',
+      'stairs.error.thickness': 'Chiều cao bậc ({riser}) phải lớn hơn độ dày mặt bậc T ({T}) để còn gờ.',
+      'stairs.error.treadStone': 'Mặt bậc: {message}',
+      'stairs.mode.count': 'Số bậc',
+      'stairs.mode.target': 'Chiều cao & chiều sâu bậc mong muốn',
+
+      'curve.title': 'Đoạn cong',
+      'curve.desc': 'Mặt cắt hiện tại quét theo một cung tròn, cho bậc cong và bo hồ, chia thành các đoạn bằng nhau bởi mạch nối hướng tâm. Thể tích tính theo trọng tâm mặt cắt, nên khác với viên thẳng có cùng chiều dài đường tâm.',
+      'curve.curveRadius': 'Bán kính',
+      'curve.curveAt': 'Bán kính đo tại',
+      'curve.curveSweep': 'Góc quét',
+      'curve.curveSegments': 'Số đoạn',
+      'curve.curveSegments.unit': 'viên',
+      'curve.curveFront': 'Mặt trước (gờ) hướng',
+      'curve.curveFront.hint': 'Ra ngoài cho mũi bậc hoặc bo hồ lồi, vào trong cho loại lõm.',
+      'curve.fixStone': 'Hãy sửa thông số đá ở trên để quét mặt cắt.',
+      'curve.radii': 'Bán kính trong – ngoài',
+      'curve.segments': 'Số đoạn',
+      'curve.outerChord': 'Dây cung ngoài',
+      'curve.innerChord': 'Dây cung trong',
+      'curve.centroid': 'Bán kính trọng tâm',
+      'curve.volumeOne': 'Thể tích mỗi đoạn',
+      'curve.straight': 'Nếu thẳng',
+      'curve.difference': 'Chênh lệch',
+      'curve.svg.chord': 'dây cung {chord}',
+      'curve.error.radius': 'Bán kính phải lớn hơn 0.',
+      'curve.error.centreline': 'Bán kính đường tâm phải lớn hơn nửa chiều rộng W ({half}).',
+      'curve.error.sweep': 'Góc quét phải lớn hơn 0° và không quá 360°.',
+      'curve.error.segments': 'Phải có ít nhất 1 đoạn.',
+      'curve.at.inner': 'Cạnh trong',
+      'curve.at.centre': 'Đường tâm',
+      'curve.front.outside': 'Ra ngoài (lồi)',
+      'curve.front.inside': 'Vào trong (lõm)',
+
+      'solve.title': 'Tính ngược',
+      'solve.desc': 'Tính ngược từ một giá trị đích: chọn thông số cần tìm, các thông số, cạnh và đầu khác giữ như ở trên. Khi nhiều giá trị cùng đạt đích, giá trị lớn nhất được chọn.',
+      'solve.solveUnknown': 'Tìm',
+      'solve.solveTarget': 'Sao cho',
+      'solve.solveAmount': 'Bằng',
+      'solve.solveLength': 'Bằng',
+      'solve.solveApplyBtn': 'Dùng giá trị này',
+      'solve.noValid': 'Không có giá trị {unknown} nào cho viên đá hợp lệ',
+      'solve.unreachable': '{target} chỉ từ {min} đến {max} khi {unknown} từ {from} đến {to}, nên không đạt được {value}.',
+      'solve.unreachableOpen': '{target} chỉ từ {min} đến {max} khi {unknown} từ {from} đến {to} trở lên, nên không đạt được {value}.',
+      'solve.alsoMet': 'Cũng đạt tại',
+      'solve.error.unknown': 'Không có thông số "{unknown}".',
+      'solve.error.target': 'Không có giá trị đích "{target}".',
+      'solve.error.valueLength': '{target} phải bằng hoặc lớn hơn 0.',
+      'solve.error.value': '{target} phải lớn hơn 0.',
+      'solve.error.density': 'Khối lượng cần vật liệu có khối lượng riêng.',
+      'solve.unknown.L': 'Chiều dài (L)',
+      'solve.unknown.W': 'Tổng chiều rộng (W)',
+      'solve.unknown.T': 'Độ dày tấm (T)',
+      'solve.unknown.Lw': 'Bề rộng gờ (Lw)',
+      'solve.unknown.Lh': 'Chiều cao gờ (Lh)',
+      'solve.unknown.Tr': 'Kích thước cạnh trên phía trước (Tᵣ)',
+      'solve.target.volume': 'Thể tích mỗi viên',
+      'solve.target.weight': 'Khối lượng mỗi viên',
+      'solve.target.front': 'Phần phẳng còn lại của mặt trước',
+      'solve.target.top': 'Phần phẳng còn lại của mặt trên',
+      'solve.target.lipBottom': 'Phần phẳng còn lại của đáy gờ',
+
+      'compare.title': 'So sánh phương án',
+      'compare.desc': 'Các phương án của viên đá hiện tại đặt cạnh nhau. A là viên đá như đã nhập ở trên; các phương án khác lấy mọi thứ từ A trừ các ô được sửa trong cột của nó (được tô sáng; xoá ô để theo A trở lại), và cho thấy chênh lệch vật liệu so với A.',
+      'compare.addVariantBtn': '+ Thêm phương án',
+      'compare.inputAria': '{field}, phương án {name}',
+      'compare.base': 'gốc',
+      'compare.remove': 'Xoá',
+      'compare.section': 'Mặt cắt',
+      'compare.removed': 'Phần cạnh bỏ đi',
+      'compare.differenceOne': 'Chênh lệch mỗi viên',
+      'compare.differenceTotal': 'Chênh lệch tổng',
+      'compare.field.edge': 'Cạnh trên phía trước',
+      'compare.field.Tr': 'Kích thước cạnh (Tᵣ)',
+      'compare.field.angle': 'Góc vát (°)',
+      'compare.field.W': 'Tổng chiều rộng (W)',
+      'compare.field.T': 'Độ dày tấm (T)',
+      'compare.field.Lw': 'Bề rộng gờ (Lw)',
+      'compare.field.Lh': 'Chiều cao gờ (Lh)',
+
+      'profile.chamfer': 'Vát cạnh',
+      'profile.chamfer.hint': 'Cạnh vát dọc theo mặt trên (0 = không gia công); vết cắt đi xuống theo góc θ.',
+      'profile.chamfer.formula': '½ × Tᵣ² × tan θ',
+      'profile.chamfer.angled': 'vát cạnh {angle}°',
+      'profile.pencil': 'Bo cạnh nhẹ',
+      'profile.pencil.hint': 'Bán kính bo nhỏ, thường 3–6 mm (0 = không gia công).',
+      'profile.pencil.formula': 'Tᵣ² × (1 − π/4)',
+      'profile.bullnose': 'Bo tròn',
+      'profile.bullnose.hint': 'Bán kính cung một phần tư trên cạnh (0 = không gia công).',
+      'profile.bullnose.formula': 'Tᵣ² × (1 − π/4)',
+      'profile.half-bullnose': 'Bo tròn hết dày',
+      'profile.half-bullnose.hint': 'Cung một phần tư trên toàn bộ độ dày tại góc; không dùng Tᵣ.',
+      'profile.half-bullnose.formula': 'r² × (1 − π/4), r = độ dày',
+      'profile.full-bullnose': 'Bo tròn toàn phần',
+      'profile.full-bullnose.hint': 'Bo nửa tròn cả mặt: cả hai góc có bán kính = độ dày / 2.',
+      'profile.full-bullnose.formula': '2 × r² × (1 − π/4), r = độ dày / 2',
+      'profile.cove': 'Phào lõm',
+      'profile.cove.hint': 'Rãnh lõm một phần tư bán kính Tᵣ (0 = không gia công).',
+      'profile.cove.formula': 'π/4 × Tᵣ²',
+      'profile.ogee': 'Phào chữ S',
+      'profile.ogee.hint': 'Đường cong chữ S: một rãnh lõm rồi một cung lồi, mỗi phần bán kính Tᵣ / 2 (0 = không gia công).',
+      'profile.ogee.formula': '½ × Tᵣ²',
+
+      'corner.topLeft': 'trên phía sau',
+      'corner.topLeft.pair': 'mặt sau',
+      'corner.topRight': 'trên phía trước',
+      'corner.lipBottomRight': 'đáy gờ phía trước',
+      'corner.lipBottomRight.pair': 'đáy gờ',
+      'corner.lipBottomLeft': 'đáy gờ phía trong',
+      'corner.lipBottomLeft.pair': 'đáy gờ',
+      'corner.bottomLeft': 'dưới phía sau',
+      'corner.bottomLeft.pair': 'mặt sau',
+      'corners.profileAria': 'Kiểu cạnh {corner}',
+      'corners.sizeAria': 'Kích thước cạnh {corner}',
+      'corners.angleAria': 'Góc vát cạnh {corner}',
+
+      'face.top': 'mặt trên',
+      'face.back': 'mặt sau',
+      'face.underside': 'mặt dưới',
+      'face.lipInner': 'mặt trong của gờ',
+      'face.lipBottom': 'đáy gờ',
+      'face.front': 'mặt trước',
+
+      'edge.square': 'Vuông',
+      'edge.none': 'Cạnh vuông (không gia công)',
+
+      'end.left': 'đầu trái',
+      'end.right': 'đầu phải',
+      'ends.treatmentAria': 'Cách xử lý {end}',
+      'ends.square': 'Cắt vuông',
+      'ends.mitre': 'Cắt xiên',
+      'ends.return': 'Cạnh chạy vòng đầu',
+      'ends.angleAria': 'Góc cắt xiên {end}',
+
+      'unit.lm': 'md',
+
+      'material.granite': 'Đá granite',
+      'material.marble': 'Đá cẩm thạch',
+      'material.basalt': 'Đá bazan',
+      'material.bluestone': 'Đá xanh',
+      'material.limestone': 'Đá vôi',
+      'material.customName': 'đá ({density} kg/m³)',
+      'material.custom': 'Khối lượng riêng tự nhập…',
+
+      'formula.decomposed': 'Hình chữ L được chia thành một tấm phẳng (W × T) cộng một gờ đứng (Lw × Lh), kéo dài theo L.',
+      'formula.removes': '{edge} ({where}) bỏ đi {formula} = {area} mm².',
+
+      'results.handlingWarning': 'Một viên nặng {weight}, vượt giới hạn bốc xếp tay {limit} kg. Cần bố trí thiết bị nâng.',
+      'results.totalVolume': 'Tổng thể tích',
+      'results.totalWeight': 'Tổng khối lượng',
+      'results.volumeOne': 'Thể tích mỗi viên',
+      'results.weightOne': 'Khối lượng mỗi viên',
+
+      'surfaces.mitre': 'cắt xiên {angle}°',
+      'surfaces.returned': 'cạnh chạy vòng',
+      'surfaces.square': 'cắt vuông',
+      'surfaces.profileSurface': '{edge}, bề mặt cạnh',
+      'surfaces.edgeLength': '{edge}, chiều dài cạnh',
+      'surfaces.finished': 'Bề mặt hoàn thiện',
+
+      'summary.squareEdges': 'cạnh vuông',
+      'summary.unknownEdge': '⚠ không có kiểu cạnh "{edge}"',
+      'summary.unknownCornerEdge': '⚠ không có kiểu cạnh "{edge}" (góc {corner})',
+      'summary.square': 'cắt vuông {end}',
+      'summary.mitre': 'cắt xiên {angle}° {end}',
+      'summary.return': 'cạnh chạy vòng {end}',
+      'summary.end': '{type} {end}',
+      'summary.edgeReturn': '{edge} chạy vòng ({end})',
+
+      'action.moveUp': 'Lên trên',
+      'action.moveDown': 'Xuống dưới',
+      'action.duplicate': 'Nhân bản',
+      'action.delete': 'Xoá',
+      'action.open': 'Mở',
+
+      'import.notMapped': '— không ghép —',
+      'import.columnN': 'Cột {n}',
+      'import.report': 'Đã đọc {count} dòng: {valid} hợp lệ, {bad} có lỗi.',
+      'import.row': 'Dòng {row}',
+      'import.validOne': 'Nhập {count} dòng hợp lệ',
+      'import.valid': 'Nhập {count} dòng hợp lệ',
+      'import.all': 'Nhập tất cả {count} dòng',
+      'import.ambiguous': '{column}: "{value}" có thể là dấu phân cách hàng nghìn hoặc dấu thập phân. Hãy viết số không có dấu phẩy, hoặc lưu tệp với ";" giữa các cột.',
+      'import.tooShort': 'Tệp cần một dòng tiêu đề và ít nhất một dòng đá.',
+      'import.cannotRead': 'Không đọc được tệp: {message}',
+      'import.column.name': 'Tên',
+      'import.column.L': 'L (mm)',
+      'import.column.W': 'W (mm)',
+      'import.column.T': 'T (mm)',
+      'import.column.Lw': 'Lw (mm)',
+      'import.column.Lh': 'Lh (mm)',
+      'import.column.Tr': 'Tr (mm)',
+      'import.column.edge': 'Cạnh',
+      'import.column.angle': 'Góc (°)',
+      'import.column.corners': 'Các cạnh khác',
+      'import.column.ends': 'Hai đầu',
+      'import.column.qty': 'SL',
+
+      'drawing.noFit': 'Các hình chiếu không vừa khổ {sheet} kể cả ở tỷ lệ 1:{scale}.',
+      'drawing.tooSmall': 'Ở tỷ lệ 1:{scale} các hình chiếu không vừa khổ {sheet}; hãy dùng 1:{best} hoặc khổ giấy lớn hơn.',
+
+      'quote.cost': 'Giá vốn',
+      'quote.margin': 'Lợi nhuận ({pct}%)',
+      'quote.subtotal': 'Cộng',
+      'quote.tax': 'Thuế ({pct}%)',
+      'quote.total': 'Tổng cộng',
+      'quote.material': 'Vật liệu',
+      'quote.edge': 'Cạnh',
+      'quote.ends': 'Hai đầu',
+      'quote.lengthWidth': 'Dài × rộng (L × W)',
+      'quote.thickness': 'Độ dày tấm (T)',
+      'quote.lip': 'Gờ (Lw × Lh)',
+      'quote.quantity': 'Số lượng',
+      'quote.volume': 'Thể tích mỗi viên / tổng',
+      'quote.weight': 'Khối lượng mỗi viên / tổng',
+      'quote.title': 'Báo giá',
+      'quote.ref': 'Số',
+      'quote.date': 'Ngày',
+      'quote.customer': 'Khách hàng',
+      'quote.specification': 'Quy cách đá chữ L',
+      'quote.price': 'Giá',
+      'quote.item': 'Hạng mục',
+      'quote.qty': 'SL',
+      'quote.unit': 'Đơn vị',
+      'quote.rate': 'Đơn giá',
+      'quote.amount': 'Thành tiền',
+      'quote.footer': 'Thể tích được tính theo kích thước danh nghĩa của cạnh. Giá tính bằng {currency}.',
+      'quote.currency': 'đơn vị tiền tệ đã báo',
+
+      'validate.L': 'Chiều dài (L) phải lớn hơn 0.',
+      'validate.W': 'Tổng chiều rộng (W) phải lớn hơn 0.',
+      'validate.T': 'Độ dày tấm (T) phải lớn hơn 0.',
+      'validate.Lw': 'Bề rộng gờ (Lw) phải lớn hơn 0.',
+      'validate.Lh': 'Chiều cao gờ (Lh) phải lớn hơn 0.',
+      'validate.Tr': 'Tᵣ không được âm.',
+      'validate.qty': 'Số lượng phải ít nhất là 1.',
+      'validate.edge': 'Không có kiểu cạnh "{edge}".',
+      'validate.angle': 'Góc vát (θ) phải nằm giữa 0° và 90°.',
+      'validate.corner': 'Không có góc "{corner}".',
+      'validate.cornerEdge': 'Không có kiểu cạnh "{edge}" ở góc {corner}.',
+      'validate.cornerSize': 'Kích thước cạnh ở góc {corner} phải lớn hơn 0.',
+      'validate.cornerAngle': 'Góc vát ở góc {corner} phải nằm giữa 0° và 90°.',
+      'validate.end': 'Không có đầu "{end}"; dùng left hoặc right.',
+      'validate.endType': 'Không có cách xử lý "{type}" cho {end}.',
+      'validate.mitreAngle': 'Góc cắt xiên ở {end} phải nằm giữa −90° và 90°.',
+      'validate.lipWidth': 'Bề rộng gờ (Lw) phải nhỏ hơn tổng chiều rộng (W).',
+      'validate.fullBullnoseFront': 'Bo tròn toàn phần cần hai góc trên cùng một mặt; cạnh trên phía trước chạy vào gờ.',
+      'validate.fullBullnosePartner': 'Bo tròn toàn phần ở góc {corner} cũng bo góc {partner}; hãy bỏ cạnh ở góc đó.',
+      'validate.chamferTooDeep': 'Độ sâu vát (Tᵣ × tan θ) phải nhỏ hơn độ dày tấm cộng chiều cao gờ (T + Lh).',
+      'validate.tooDeep': 'Tᵣ phải nhỏ hơn độ dày tấm cộng chiều cao gờ (T + Lh).',
+      'validate.faceTooShort': 'Các cạnh trên {face} cần {need} nhưng mặt này chỉ dài {length}.',
+      'validate.overhang': 'Phần dưới tấm của cạnh trên phía trước phải nằm trong gờ: nó đang vượt quá bề rộng gờ (Lw) vào khoảng trống dưới tấm.',
+      'validate.returnNeedsEdge': 'Cạnh chạy vòng ở {end} cần có cạnh ở góc trên phía trước để chạy vòng.',
+      'validate.endsMeet': 'Các vết cắt hai đầu gặp nhau: chiều dài (L) quá ngắn cho các góc cắt xiên và cạnh chạy vòng này.',
+    },
+  };
+});
@@ -0,0 +1,26 @@
+// ===== Stone Material Catalogue =====
+//
+// Editable data file: add, remove or adjust materials here. Densities are in
+// kg/m³; ids must be unique. The manual-handling limit is the default
+// one-person lifting weight per piece in kg (it can be changed in the UI).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StoneMaterials = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  return {
+    manualHandlingLimit: 25,
+    materials: [
+      { id: 'granite', name: 'Granite', density: 2700 },
+      { id: 'marble', name: 'Marble', density: 2710 },
+      { id: 'basalt', name: 'Basalt', density: 3000 },
+      { id: 'bluestone', name: 'Bluestone', density: 2650 },
+      { id: 'limestone', name: 'Limestone', density: 2500 },
+    ],
+  };
+});
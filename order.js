@@ -0,0 +1,154 @@
+// ===== Stone Order / Bill of Quantities =====
+//
+// A job is a list of stone rows ({ name, L, W, T, Lw, Lh, Tr, edge, angle,
+// corners, ends, qty }), each evaluated by the geometry engine. Invalid rows
+// are reported but left out of the totals. Also maps spreadsheet tables (rows
+// of string cells) to and from stone rows for CSV/XLSX import and export; other
+// corner edges and end treatments travel as text, e.g.
+// "topLeft=cove 10; lipBottomRight=pencil 5" and "left=mitre 45; right=return".
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./i18n.js'));
+  } else {
+    root.StoneOrder = factory(root.StoneGeometry, root.StoneI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, I18n) {
+  'use strict';
+
+  const EDGE_ORDER = ['none'].concat(Geometry.EDGE_TYPES);
+  const NUMERIC = ['L', 'W', 'T', 'Lw', 'Lh', 'Tr', 'angle', 'qty'];
+
+  // Import/export columns; aliases are normalised header texts that map to each field
+  const COLUMNS = [
+    { key: 'name', label: 'Name', aliases: ['name', 'mark', 'ref', 'reference', 'item', 'description'] },
+    { key: 'L', label: 'L (mm)', aliases: ['l', 'length', 'len'] },
+    { key: 'W', label: 'W (mm)', aliases: ['w', 'width', 'total width'] },
+    { key: 'T', label: 'T (mm)', aliases: ['t', 'thickness', 'flat thickness', 'thk'] },
+    { key: 'Lw', label: 'Lw (mm)', aliases: ['lw', 'lip width'] },
+    { key: 'Lh', label: 'Lh (mm)', aliases: ['lh', 'lip height', 'lip drop', 'lip drop height', 'drop'] },
+    { key: 'Tr', label: 'Tr (mm)', aliases: ['tr', 'chamfer', 'radius', 'edge depth', 'edge size'] },
+    { key: 'edge', label: 'Edge', aliases: ['edge', 'edge type', 'profile'] },
+    { key: 'angle', label: 'Angle (°)', aliases: ['angle', 'chamfer angle', 'edge angle'] },
+    { key: 'corners', label: 'Other edges', aliases: ['other edges', 'corners', 'corner edges', 'extra edges'] },
+    { key: 'ends', label: 'Ends', aliases: ['ends', 'end', 'end treatment', 'end treatments', 'mitres', 'miters'] },
+    { key: 'qty', label: 'Qty', aliases: ['qty', 'quantity', 'pcs', 'pieces', 'count'] },
+  ];
+
+  // Pieces and volume (mm³) of valid lines, grouped by keyOf(params)
+  function group(results, keyOf) {
+    const groups = new Map();
+    results.forEach(result => {
+      if (!result.valid) return;
+      const key = keyOf(result.params);
+      const g = groups.get(key) || { key, rows: 0, pieces: 0, volume: 0 };
+      g.rows += 1;
+      g.pieces += result.params.qty;
+      g.volume += result.volumeTotal;
+      groups.set(key, g);
+    });
+    return Array.from(groups.values());
+  }
+
+  // Engine result for one row; a cell the import could not read (see
+  // fromTable) fails the row in place of what validation says of its field
+  function evaluate(row) {
+    const result = Geometry.compute(row);
+    const keys = Object.keys(row.ambiguous || {});
+    if (keys.length === 0) return result;
+    const errors = keys.map(key => ({
+      field: key,
+      message: I18n.t('import.ambiguous', { value: row.ambiguous[key], column: COLUMNS.find(col => col.key === key).label }),
+    }));
+    return Object.assign(result, {
+      errors: errors.concat(result.errors.filter(err => keys.indexOf(err.field) === -1)),
+      valid: false,
+      area: null,
+      volumeOne: null,
+      volumeTotal: null,
+    });
+  }
+
+  function summarize(rows) {
+    const results = rows.map(evaluate);
+    const [total] = group(results, () => 'total');
+
+    return {
+      results,
+      invalid: results.filter(result => !result.valid).length,
+      total: total || { key: 'total', rows: 0, pieces: 0, volume: 0 },
+      byEdge: group(results, Geometry.edgeKey)
+        .sort((a, b) => EDGE_ORDER.indexOf(a.key) - EDGE_ORDER.indexOf(b.key)),
+      byThickness: group(results, p => p.T)
+        .sort((a, b) => a.key - b.key),
+    };
+  }
+
+  // --- Spreadsheet mapping ---
+  // "Lip Width (mm)" → "lip width"
+  function normalizeHeader(text) {
+    return String(text).toLowerCase().replace(/\(.*?\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  // Best guess of { field: column index } from a header row (-1 = not mapped)
+  function guessMapping(header) {
+    const names = header.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+    COLUMNS.forEach(col => {
+      const i = names.findIndex((name, idx) => !used.has(idx) && col.aliases.indexOf(name) !== -1);
+      mapping[col.key] = i;
+      if (i !== -1) used.add(i);
+    });
+    return mapping;
+  }
+
+  // Data rows (header excluded) → stone rows, using a { field: column index }
+  // mapping. A number with one comma has a decimal comma when the file is
+  // ';'-delimited (as European spreadsheets save it) or when the comma is not
+  // followed by exactly three digits. Otherwise "1,000" could be a thousand
+  // or one: the cell is left empty and kept in `ambiguous` for summarize()
+  // to report.
+  function fromTable(rows, mapping, delimiter) {
+    return rows.map(cells => {
+      const stone = {};
+      COLUMNS.forEach(col => {
+        const i = mapping[col.key];
+        if (i === undefined || i < 0) return;
+        let value = String(cells[i] === undefined ? '' : cells[i]).trim();
+        const comma = NUMERIC.indexOf(col.key) !== -1 && /^-?\d+,(\d+)$/.exec(value);
+        if (comma && delimiter !== ';' && comma[1].length === 3) {
+          stone.ambiguous = Object.assign(stone.ambiguous || {}, { [col.key]: value });
+          value = '';
+        } else if (comma) {
+          value = value.replace(',', '.');
+        }
+        stone[col.key] = value;
+      });
+      return stone;
+    });
+  }
+
+  // Stone rows → header + data rows with volumes, ready for CSV/XLSX export
+  function toTable(rows) {
+    const summary = summarize(rows);
+    const header = COLUMNS.map(col => col.label).concat(['Volume per piece (m³)', 'Total volume (m³)']);
+    const body = rows.map((row, i) => {
+      const result = summary.results[i];
+      const p = result.params;
+      return [row.name || '', p.L, p.W, p.T, p.Lw, p.Lh, p.Tr, p.edge, p.angle, Geometry.formatCorners(p.corners),
+        Geometry.formatEnds(p.ends), p.qty,
+        result.valid ? result.volumeOne / 1e9 : '',
+        result.valid ? result.volumeTotal / 1e9 : ''];
+    });
+    return [header].concat(body);
+  }
+
+  return {
+    COLUMNS,
+    summarize,
+    guessMapping,
+    fromTable,
+    toTable,
+  };
+});
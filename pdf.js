@@ -0,0 +1,190 @@
+// ===== Minimal Vector PDF Writer =====
+//
+// Renders a drawing sheet (see drawing.js) to a single-page PDF, entirely
+// client-side. Sheet primitives are in paper millimetres with y pointing
+// down; PDF user space is in points with y pointing up.
+//
+// Text uses the standard Helvetica fonts (no embedding) in WinAnsi encoding,
+// so characters outside that code page are replaced.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'));
+  } else {
+    root.StonePdf = factory(root.StoneGeometry);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry) {
+  'use strict';
+
+  const PT_PER_MM = 72 / 25.4;
+
+  // Helvetica advance widths (1/1000 em) for ASCII 32–126
+  const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ];
+
+  // Non-ASCII characters the drawings use: WinAnsi code and Helvetica width
+  const WIN_ANSI = {
+    '×': [0xd7, 584],
+    '°': [0xb0, 400],
+    '²': [0xb2, 333],
+    '³': [0xb3, 333],
+    '—': [0x97, 1000],
+    '–': [0x96, 556],
+    '·': [0xb7, 278],
+    'ᵣ': [0x72, 333], // no subscript r in WinAnsi: plain r
+    'Đ': [0xd0, 722], // Vietnamese D with stroke: Latin-1 Eth looks the same
+    'đ': [0x64, 556],
+  };
+
+  function glyph(ch) {
+    const code = ch.charCodeAt(0);
+    if (code >= 32 && code <= 126) return [code, HELVETICA_WIDTHS[code - 32]];
+    if (WIN_ANSI[ch]) return WIN_ANSI[ch];
+    if (code >= 0xc0 && code <= 0xff) return [code, 556]; // accented Latin-1 letters, approximate width
+    // Other accented letters (names typed in Vietnamese: ẩ, ạ): drop accents until one fits
+    const parts = ch.normalize('NFD');
+    for (let n = parts.length - 1; n > 0; n--) {
+      const base = parts.slice(0, n).normalize('NFC');
+      if (base.length === 1) return glyph(base);
+    }
+    return [0x3f, 556]; // '?'
+  }
+
+  // Text width in mm at a font size in mm
+  function textWidth(str, size) {
+    return Array.from(String(str)).reduce((w, ch) => w + glyph(ch)[1], 0) * size / 1000;
+  }
+
+  function hexString(str) {
+    return '<' + Array.from(String(str)).map(ch => glyph(ch)[0].toString(16).padStart(2, '0')).join('') + '>';
+  }
+
+  // Text string for the document information dictionary (UTF-16BE with BOM)
+  function infoString(str) {
+    return '<FEFF' + Array.from(String(str)).map(ch => {
+      const code = ch.codePointAt(0);
+      const units = code > 0xffff ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)] : [code];
+      return units.map(u => u.toString(16).toUpperCase().padStart(4, '0')).join('');
+    }).join('') + '>';
+  }
+
+  function n(v) {
+    return String(Math.round(v * 1000) / 1000);
+  }
+
+  function rgb(hex) {
+    const v = parseInt(hex.slice(1), 16);
+    return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map(c => n(c / 255)).join(' ');
+  }
+
+  // --- Content stream ---
+  function pathOps(prim, X, Y) {
+    const ops = [];
+    const pts = prim.pts;
+    ops.push(`${n(X(pts[0].x))} ${n(Y(pts[0].y))} m`);
+    const count = prim.closed ? pts.length : pts.length - 1;
+    for (let i = 0; i < count; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+      if (!a.bulge) {
+        ops.push(`${n(X(b.x))} ${n(Y(b.y))} l`);
+        continue;
+      }
+      // Arc as cubic Béziers of at most 90° each
+      const arc = Geometry.arc(a, b, a.bulge);
+      const pieces = Math.ceil(Math.abs(arc.sweep) / (Math.PI / 2) - 1e-9);
+      const step = arc.sweep / pieces;
+      const k = (4 / 3) * Math.tan(step / 4);
+      for (let j = 0; j < pieces; j++) {
+        const t0 = arc.start + step * j;
+        const t1 = t0 + step;
+        const x0 = arc.cx + arc.r * Math.cos(t0), y0 = arc.cy + arc.r * Math.sin(t0);
+        const x3 = arc.cx + arc.r * Math.cos(t1), y3 = arc.cy + arc.r * Math.sin(t1);
+        const x1 = x0 - k * arc.r * Math.sin(t0), y1 = y0 + k * arc.r * Math.cos(t0);
+        const x2 = x3 + k * arc.r * Math.sin(t1), y2 = y3 - k * arc.r * Math.cos(t1);
+        ops.push(`${n(X(x1))} ${n(Y(y1))} ${n(X(x2))} ${n(Y(y2))} ${n(X(x3))} ${n(Y(y3))} c`);
+      }
+    }
+    if (prim.closed) ops.push('h');
+    return ops.join('\n');
+  }
+
+  function emit(items, ops, X, Y) {
+    items.forEach(prim => {
+      if (prim.type === 'path') {
+        ops.push('q');
+        if (prim.stroke) ops.push(`${rgb(prim.stroke)} RG ${n((prim.width || 0.25) * PT_PER_MM)} w`);
+        if (prim.fill) ops.push(`${rgb(prim.fill)} rg`);
+        ops.push(prim.dash ? `[${prim.dash.map(d => n(d * PT_PER_MM)).join(' ')}] 0 d` : '[] 0 d');
+        ops.push(pathOps(prim, X, Y));
+        ops.push(prim.fill && prim.stroke ? 'B' : prim.fill ? 'f' : 'S');
+        ops.push('Q');
+      } else if (prim.type === 'group') {
+        // Clipped group: the clip path is intersected until the matching Q
+        ops.push('q');
+        ops.push(pathOps(prim.clip, X, Y));
+        ops.push('W n');
+        emit(prim.items, ops, X, Y);
+        ops.push('Q');
+      } else if (prim.type === 'text') {
+        const size = prim.size * PT_PER_MM;
+        const w = textWidth(prim.text, prim.size);
+        const shift = prim.anchor === 'middle' ? -w / 2 : prim.anchor === 'end' ? -w : 0;
+        const rad = (prim.rotate || 0) * Math.PI / 180;
+        const cos = Math.cos(rad), sin = Math.sin(rad);
+        const tx = X(prim.x) + shift * PT_PER_MM * cos;
+        const ty = Y(prim.y) + shift * PT_PER_MM * sin;
+        ops.push(`BT ${rgb(prim.fill || '#000000')} rg /${prim.bold ? 'F2' : 'F1'} ${n(size)} Tf`);
+        ops.push(`${n(cos)} ${n(sin)} ${n(-sin)} ${n(cos)} ${n(tx)} ${n(ty)} Tm ${hexString(prim.text)} Tj ET`);
+      }
+    });
+  }
+
+  function content(sheet) {
+    const X = x => x * PT_PER_MM;
+    const Y = y => (sheet.height - y) * PT_PER_MM;
+    const ops = ['1 J 1 j'];
+    emit(sheet.items, ops, X, Y);
+    return ops.join('\n');
+  }
+
+  // --- File structure ---
+  // sheet: { width, height (mm), title, items } → PDF file text (7-bit ASCII)
+  function render(sheet) {
+    const stream = content(sheet);
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(sheet.width * PT_PER_MM)} ${n(sheet.height * PT_PER_MM)}] ` +
+        '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+      `<< /Title ${infoString(sheet.title || 'Drawing')} /Producer (StoneCalc) >>`,
+    ];
+
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const at = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return at;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(at => { out += `${String(at).padStart(10, '0')} 00000 n \n`; });
+    out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+    out += `startxref\n${xref}\n%%EOF\n`;
+    return out;
+  }
+
+  return {
+    textWidth,
+    render,
+  };
+});
@@ -0,0 +1,148 @@
+// ===== Stone Pricing / Quotation =====
+//
+// Turns a calculated stone (from StoneGeometry.compute) into a line-item
+// quote. Pure maths, no DOM: the web UI renders the result, and scripts can
+// require() it alongside geometry.js.
+//
+//   stone    = volume × qty × (1 + waste%) × price per m³ (or per tonne)
+//   edges    = edge length × qty × price per linear metre, one line per edge
+//              profile on the stone (a full bullnose is priced once for its
+//              face); the length is L as the ends cut it, so a mitre or a
+//              return shortens it, and a return adds its run across the end
+//   sell     = cost × (1 + margin%), applied to every line rate
+//   total    = sell subtotal + tax%
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./profiles.js'), require('./i18n.js'));
+  } else {
+    root.StonePricing = factory(root.StoneGeometry, root.StoneProfiles, root.StoneI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, Profiles, I18n) {
+  'use strict';
+
+  // Read in the current language each time
+  const EDGE_LABELS = {};
+  Object.defineProperty(EDGE_LABELS, 'none', { get: () => I18n.t('edge.none'), enumerable: true });
+  Profiles.TYPES.forEach(edge => {
+    Object.defineProperty(EDGE_LABELS, edge, { get: () => Profiles.PROFILES[edge].label, enumerable: true });
+  });
+
+  const DEFAULTS = {
+    currency: 'USD',
+    stoneBasis: 'm3', // 'm3' | 'tonne'
+    stonePrice: 1200,
+    edgePrices: {
+      none: 0,
+      chamfer: 8,
+      pencil: 6,
+      bullnose: 14,
+      'half-bullnose': 18,
+      'full-bullnose': 24,
+      cove: 16,
+      ogee: 28,
+    },
+    wastePct: 10,
+    marginPct: 20,
+    taxPct: 10,
+  };
+
+  function round2(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // Price inputs must all be non-negative numbers; returns a list of messages
+  function validate(prices, stone) {
+    const errors = [];
+    if (!(prices.stonePrice >= 0)) errors.push(I18n.t('pricing.error.stonePrice'));
+    Object.keys(EDGE_LABELS).forEach(edge => {
+      if (!(prices.edgePrices[edge] >= 0)) errors.push(I18n.t('pricing.error.edgePrice', { edge: EDGE_LABELS[edge] }));
+    });
+    if (!(prices.wastePct >= 0)) errors.push(I18n.t('pricing.error.waste'));
+    if (!(prices.marginPct >= 0)) errors.push(I18n.t('pricing.error.margin'));
+    if (!(prices.taxPct >= 0)) errors.push(I18n.t('pricing.error.tax'));
+    if (prices.stoneBasis === 'tonne' && !(stone.density > 0)) {
+      errors.push(I18n.t('pricing.error.density'));
+    }
+    return errors;
+  }
+
+  // One quote line: cost at our rate, sell amount with the margin built in
+  function line(key, description, quantity, unit, costRate, marginPct) {
+    const rate = costRate * (1 + marginPct / 100);
+    return {
+      key,
+      description,
+      quantity,
+      unit,
+      costRate,
+      cost: round2(quantity * costRate),
+      rate,
+      amount: round2(quantity * rate),
+    };
+  }
+
+  // stone: { params, volumeOne (mm³), density (kg/m³), materialName }
+  function quote(stone, prices) {
+    const p = stone.params;
+    const waste = 1 + prices.wastePct / 100;
+    const m3 = (stone.volumeOne * p.qty) / 1e9;
+    const stoneText = I18n.t('pricing.line.stone', {
+      material: stone.materialName || I18n.t('pricing.line.stoneDefault'),
+      waste: I18n.number(prices.wastePct, 2),
+    });
+    const lines = [];
+
+    if (prices.stoneBasis === 'tonne') {
+      const tonnes = ((m3 * stone.density) / 1000) * waste;
+      lines.push(line('stone', stoneText, tonnes, 't', prices.stonePrice, prices.marginPct));
+    } else {
+      lines.push(line('stone', stoneText, m3 * waste, 'm³', prices.stonePrice, prices.marginPct));
+    }
+
+    // Edge runs as the engine measures them on the cut piece
+    const runs = Geometry.surfaces(p).edges;
+    const metres = e => runs.find(r => r.corner.id === e.corner.id && !r.end).metres * p.qty;
+    const edges = Geometry.edges(p).filter(e => !e.pairedWith);
+    if (edges.length === 0) {
+      // The square top front corner, where a mitre or return cuts it
+      const length = p.L - Geometry.ENDS.reduce((sum, end) => sum + Geometry.endCut(p, end.id)(p.W, p.T), 0);
+      lines.push(line('edge', I18n.t('pricing.line.edge', { edge: EDGE_LABELS.none }), (length / 1000) * p.qty, 'lm', prices.edgePrices.none, prices.marginPct));
+    }
+    edges.forEach(e => {
+      const text = e.corner.id === 'topRight'
+        ? I18n.t('pricing.line.edge', { edge: Profiles.label(e.edge, e.angle) })
+        : I18n.t('pricing.line.edgeAt', { edge: Profiles.label(e.edge, e.angle), corner: e.profile.paired ? e.corner.pair : e.corner.label });
+      lines.push(line(`edge-${e.corner.id}`, text, metres(e), 'lm', prices.edgePrices[e.edge], prices.marginPct));
+    });
+
+    // A returned end carries the top front edge on across the width
+    const front = edges.find(e => e.corner.id === 'topRight');
+    const returns = runs.filter(r => r.end);
+    if (front && returns.length > 0) {
+      const text = I18n.t('pricing.line.returns', { edge: Profiles.label(front.edge, front.angle), count: returns.length });
+      const length = returns.reduce((sum, r) => sum + r.metres, 0) * p.qty;
+      lines.push(line('edge-return', text, length, 'lm', prices.edgePrices[front.edge], prices.marginPct));
+    }
+
+    const cost = round2(lines.reduce((sum, l) => sum + l.cost, 0));
+    const subtotal = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+    const tax = round2(subtotal * prices.taxPct / 100);
+
+    return {
+      lines,
+      cost,
+      margin: round2(subtotal - cost),
+      subtotal,
+      tax,
+      total: round2(subtotal + tax),
+    };
+  }
+
+  return {
+    EDGE_LABELS,
+    DEFAULTS,
+    validate,
+    quote,
+  };
+});
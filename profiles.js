@@ -0,0 +1,122 @@
+// ===== Edge Profiles =====
+//
+// Every edge treatment is defined once, as a parametric curve in a
+// corner-local frame. The geometry engine places the curve on a corner of the
+// L-shape; volumes, drawings and exports all follow from the outline.
+//
+//   t (along the vertical face)
+//   │
+//   b ●╮            the stone lies in s ≥ 0, t ≥ 0; the sharp corner at the
+//   │   ╲           origin is cut away by the curve from (a, 0) on the
+//   │    ╲          horizontal face to (0, b) on the vertical face
+//   └─────●─── s (along the horizontal face)
+//   0     a
+//
+// curve(size, opts) returns those points in order, each with the DXF-style
+// bulge of the segment to the next point, for the right-handed (s, t) frame.
+// `size` is Tᵣ for sized profiles; the others take their radius from the
+// stone's thickness at the corner (half bullnose: all of it, full bullnose:
+// half of it on the corner and its partner across the face).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n.js'));
+  } else {
+    root.StoneProfiles = factory(root.StoneI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (I18n) {
+  'use strict';
+
+  const CONVEX = -Math.tan(Math.PI / 8);  // quarter round, bowing towards the corner
+  const CONCAVE = Math.tan(Math.PI / 8);  // quarter hollow, bowing into the stone
+
+  function quarterRound(r) {
+    return [{ s: r, t: 0, bulge: CONVEX }, { s: 0, t: r, bulge: 0 }];
+  }
+
+  // Display order is the order of this table; text is localised as
+  // profile.<id>, profile.<id>.hint and profile.<id>.formula
+  const PROFILES = I18n.localize({
+    chamfer: {
+      label: 'Chamfer',
+      sized: true,
+      round: false,
+      formula: '½ × Tᵣ² × tan θ',
+      hint: 'Chamfer leg along the top face (0 = no edge); the cut runs down at angle θ.',
+      curve: (r, o) => [{ s: r, t: 0, bulge: 0 }, { s: 0, t: r * Math.tan(o.angle * Math.PI / 180), bulge: 0 }],
+    },
+    pencil: {
+      label: 'Pencil round',
+      sized: true,
+      round: true,
+      formula: 'Tᵣ² × (1 − π/4)',
+      hint: 'Small eased radius, typically 3–6 mm (0 = no edge).',
+      curve: quarterRound,
+    },
+    bullnose: {
+      label: 'Bullnose',
+      sized: true,
+      round: true,
+      formula: 'Tᵣ² × (1 − π/4)',
+      hint: 'Quarter-circle radius on the edge (0 = no edge).',
+      curve: quarterRound,
+    },
+    'half-bullnose': {
+      label: 'Half bullnose',
+      sized: false,
+      round: true,
+      formula: 'r² × (1 − π/4), r = thickness',
+      hint: 'Quarter round over the full thickness at the corner; Tᵣ is not used.',
+      radius: thickness => thickness,
+      curve: quarterRound,
+    },
+    'full-bullnose': {
+      label: 'Full bullnose',
+      sized: false,
+      round: true,
+      paired: true,
+      formula: '2 × r² × (1 − π/4), r = thickness / 2',
+      hint: 'Half-round across the whole face: both corners get radius = thickness / 2.',
+      radius: thickness => thickness / 2,
+      curve: quarterRound,
+    },
+    cove: {
+      label: 'Cove',
+      sized: true,
+      round: true,
+      formula: 'π/4 × Tᵣ²',
+      hint: 'Concave quarter hollow of radius Tᵣ (0 = no edge).',
+      curve: r => [{ s: r, t: 0, bulge: CONCAVE }, { s: 0, t: r, bulge: 0 }],
+    },
+    ogee: {
+      label: 'Ogee',
+      sized: true,
+      round: false,
+      formula: '½ × Tᵣ²',
+      hint: 'S-curve: a hollow then a round, each of radius Tᵣ / 2 (0 = no edge).',
+      curve: r => [
+        { s: r, t: 0, bulge: CONCAVE },
+        { s: r / 2, t: r / 2, bulge: CONVEX },
+        { s: 0, t: r, bulge: 0 },
+      ],
+    },
+  }, 'profile', ['label', 'hint', 'formula']);
+
+  const TYPES = Object.keys(PROFILES);
+  const DEFAULT_ANGLE = 45;
+
+  // "Cove", "30° chamfer", …
+  function label(edge, angle) {
+    const profile = PROFILES[edge];
+    if (!profile) return edge;
+    if (edge === 'chamfer') return I18n.t('profile.chamfer.angled', { angle: I18n.number(angle === undefined ? DEFAULT_ANGLE : angle, 2) });
+    return profile.label;
+  }
+
+  return {
+    PROFILES,
+    TYPES,
+    DEFAULT_ANGLE,
+    label,
+  };
+});
@@ -0,0 +1,140 @@
+// ===== Shareable Links & Saved Projects =====
+//
+// Calculator state travels two ways:
+//
+//   link      the stone on screen as readable query parameters, e.g.
+//             ?L=1000&W=750&T=100&Lw=100&Lh=100&Tr=50&edge=chamfer&view=cross
+//   project   the whole order (every row), view, units and material, saved by
+//             name in localStorage and exported to / imported from JSON
+//
+// State shape: { rows, selected, view, lengthUnit, volumeUnit, material,
+// customDensity }, where rows are order rows ({ name, L, W, … }, lengths in mm).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./i18n.js'));
+  } else {
+    root.StoneProjects = factory(root.StoneGeometry, root.StoneI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, I18n) {
+  'use strict';
+
+  const STORAGE_KEY = 'stonecalc.projects';
+  const FORMAT = 'stonecalc-projects';
+  const VERSION = 1;
+
+  const STONE_PARAMS = ['L', 'W', 'T', 'Lw', 'Lh', 'Tr', 'qty', 'edge', 'angle'];
+  const VIEWS = ['cross', 'iso'];
+
+  // --- Links ---
+  // State → query string for the selected row (without the leading '?')
+  function toQuery(state) {
+    const row = state.rows[state.selected] || {};
+    const q = new URLSearchParams();
+    if (row.name) q.set('name', row.name);
+    STONE_PARAMS.forEach(key => { if (row[key] !== undefined) q.set(key, row[key]); });
+    const corners = Geometry.formatCorners(row.corners);
+    if (corners) q.set('corners', corners);
+    const ends = Geometry.formatEnds(row.ends);
+    if (ends) q.set('ends', ends);
+    q.set('view', state.view);
+    if (state.lengthUnit && state.lengthUnit !== 'mm') q.set('unit', state.lengthUnit);
+    if (state.volumeUnit && state.volumeUnit !== 'm3') q.set('volume', state.volumeUnit);
+    return q.toString();
+  }
+
+  // Query string → { row, view, lengthUnit, volumeUnit }; null when it holds no stone
+  function fromQuery(search) {
+    const q = new URLSearchParams(search);
+    if (!STONE_PARAMS.some(key => q.has(key))) return null;
+    const row = {};
+    STONE_PARAMS.forEach(key => { if (q.has(key)) row[key] = q.get(key); });
+    if (q.has('corners')) row.corners = q.get('corners');
+    if (q.has('ends')) row.ends = q.get('ends');
+    return {
+      row: Object.assign({ name: q.get('name') || I18n.t('order.stone', { n: 1 }) }, Geometry.normalize(row)),
+      view: VIEWS.includes(q.get('view')) ? q.get('view') : 'cross',
+      lengthUnit: q.get('unit') || 'mm',
+      volumeUnit: q.get('volume') || 'm3',
+    };
+  }
+
+  // --- Saved projects ---
+  // [{ id, name, savedAt, state }], newest first
+  function load(storage) {
+    try {
+      const list = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(isProject) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function store(storage, list) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(list));
+  }
+
+  function isProject(item) {
+    return item && typeof item.name === 'string' && item.state && Array.isArray(item.state.rows);
+  }
+
+  function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // Saves under a name: replaces the project of that name, or adds a new one
+  function save(list, name, state) {
+    const existing = list.find(item => item.name === name);
+    const project = { id: existing ? existing.id : newId(), name, savedAt: new Date().toISOString(), state: copy(state) };
+    return [project].concat(list.filter(item => item !== existing));
+  }
+
+  function rename(list, id, name) {
+    return list.map(item => (item.id === id ? Object.assign({}, item, { name }) : item));
+  }
+
+  // Copy placed right after the original, named "… (copy)" in the current language
+  function duplicate(list, id) {
+    const i = list.findIndex(item => item.id === id);
+    if (i < 0) return list;
+    const dup = Object.assign(copy(list[i]), { id: newId(), name: I18n.t('order.copy', { name: list[i].name }), savedAt: new Date().toISOString() });
+    return list.slice(0, i + 1).concat(dup, list.slice(i + 1));
+  }
+
+  function remove(list, id) {
+    return list.filter(item => item.id !== id);
+  }
+
+  // --- Backup ---
+  function exportJson(list) {
+    return JSON.stringify({ format: FORMAT, version: VERSION, projects: list }, null, 2);
+  }
+
+  // Backup text → { projects, skipped }; throws when it is not a backup at all.
+  // Imported projects get fresh ids so they never overwrite saved ones.
+  function importJson(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data && data.format === FORMAT ? data.projects : null;
+    if (!Array.isArray(items)) throw new Error(I18n.t('projects.error.notBackup'));
+    const projects = items.filter(isProject).map(item => Object.assign(copy(item), { id: newId() }));
+    return { projects, skipped: items.length - projects.length };
+  }
+
+  return {
+    STORAGE_KEY,
+    toQuery,
+    fromQuery,
+    load,
+    store,
+    save,
+    rename,
+    duplicate,
+    remove,
+    exportJson,
+    importJson,
+  };
+});
@@ -0,0 +1,168 @@
+// ===== Solve For (Inverse Problems) =====
+//
+// Finds the value of one stone parameter that meets a target: a volume or
+// weight per piece, or the flat width left on a face once its edges are cut.
+// Examples:
+//
+//   L   weight per piece = 150 kg      the longest piece under a lifting limit
+//   T   volume per piece = 0.08 m³
+//   Tr  flat front face left = 60 mm   the largest edge that still leaves a face
+//
+// The target is met numerically, so any combination of edges and ends works:
+// the unknown is sampled over its range, the limits of the values validate()
+// accepts are found by bisection, and every crossing of the target is then
+// bisected down to a root. Where several values meet the target the largest
+// is returned. When none does, the result says whether no value passes
+// validation at all or the target lies outside what the valid values reach.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./i18n.js'));
+  } else {
+    root.StoneSolver = factory(root.StoneGeometry, root.StoneI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, I18n) {
+  'use strict';
+
+  const UNKNOWNS = I18n.localize([
+    { id: 'L', label: 'Length (L)' },
+    { id: 'W', label: 'Total Width (W)' },
+    { id: 'T', label: 'Flat Thickness (T)' },
+    { id: 'Lw', label: 'Lip Width (Lw)' },
+    { id: 'Lh', label: 'Lip Drop Height (Lh)' },
+    { id: 'Tr', label: 'Top front edge size (Tᵣ)' },
+  ], 'solve.unknown');
+
+  // kind: what the target value is measured in — 'volume' (mm³), 'weight' (kg) or 'length' (mm)
+  const TARGETS = I18n.localize([
+    { id: 'volume', label: 'Volume per piece', kind: 'volume', measure: p => Geometry.compute(p).volumeOne },
+    { id: 'weight', label: 'Weight per piece', kind: 'weight',
+      measure: (p, density) => Geometry.mass(Geometry.compute(p).volumeOne, density) },
+    { id: 'front', label: 'Flat front face left', kind: 'length', measure: p => faceWidth(p, 'front') },
+    { id: 'top', label: 'Flat top face left', kind: 'length', measure: p => faceWidth(p, 'top') },
+    { id: 'lipBottom', label: 'Flat lip bottom left', kind: 'length', measure: p => faceWidth(p, 'lipBottom') },
+  ], 'solve.target');
+
+  const SAMPLES = 400;
+  const MAX_VALUE = 1e7; // mm: 10 km, past any stone
+  const TOLERANCE = 1e-9;
+
+  function faceWidth(p, id) {
+    return Geometry.surfaces(p).faces.find(face => face.id === id).width;
+  }
+
+  // Value measured with the unknown set to x, or null where validate() rejects it
+  function evaluator(base, unknown, target, density) {
+    return x => {
+      const p = Geometry.normalize(Object.assign({}, base, { [unknown]: x }));
+      return Geometry.validate(p).length > 0 ? null : target.measure(p, density);
+    };
+  }
+
+  // Bisects [a, b] down to where test() changes, given test(a) !== test(b)
+  function edge(a, b, test) {
+    const at = test(a);
+    for (let i = 0; i < 100 && Math.abs(b - a) > TOLERANCE * Math.max(1, Math.abs(b)); i++) {
+      const mid = (a + b) / 2;
+      if (test(mid) === at) a = mid;
+      else b = mid;
+    }
+    return { a, b };
+  }
+
+  // Samples of the unknown from 0 up, with the edges of the valid ranges added
+  function sample(f, hi) {
+    const xs = [];
+    for (let i = 0; i <= SAMPLES; i++) xs.push((hi * i) / SAMPLES);
+    const points = [];
+    xs.forEach((x, i) => {
+      const y = f(x);
+      const prev = points[points.length - 1];
+      if (i > 0 && (prev.y === null) !== (y === null)) {
+        const { a, b } = edge(prev.x, x, v => f(v) === null);
+        const inside = prev.y === null ? b : a;
+        points.push({ x: inside, y: f(inside) });
+      }
+      points.push({ x, y });
+    });
+    return points;
+  }
+
+  function solve(stoneInput, request) {
+    const base = Geometry.normalize(stoneInput);
+    const unknown = UNKNOWNS.find(u => u.id === request.unknown);
+    const target = TARGETS.find(t => t.id === request.target);
+    const value = parseFloat(request.value);
+    const density = parseFloat(request.density) || 0;
+    const result = { unknown, target, value, errors: [], found: false };
+
+    if (!unknown) result.errors.push({ field: 'unknown', message: I18n.t('solve.error.unknown', { unknown: request.unknown }) });
+    if (!target) result.errors.push({ field: 'target', message: I18n.t('solve.error.target', { target: request.target }) });
+    if (result.errors.length > 0) return result;
+    if (isNaN(value) || value < 0 || (target.kind !== 'length' && value === 0)) {
+      result.errors.push({ field: 'value', message: I18n.t(target.kind === 'length' ? 'solve.error.valueLength' : 'solve.error.value', { target: target.label }) });
+    }
+    if (target.kind === 'weight' && !(density > 0)) {
+      result.errors.push({ field: 'density', message: I18n.t('solve.error.density') });
+    }
+    if (result.errors.length > 0) return result;
+
+    // Widen the range while the far end is still valid and short of the target
+    const f = evaluator(base, unknown.id, target, density);
+    let hi = Math.max(1000, 4 * Math.max(base.L, base.W, base.T + base.Lh));
+    let points = sample(f, hi);
+    while (hi < MAX_VALUE) {
+      const last = points[points.length - 1];
+      const prev = points[points.length - 2];
+      if (last.y === null || last.y >= value || last.y <= prev.y) break;
+      hi *= 4;
+      points = sample(f, hi);
+    }
+
+    const valid = points.filter(pt => pt.y !== null);
+    if (valid.length === 0) {
+      result.reason = 'invalid';
+      result.checks = Geometry.validate(base).filter(err => err.field !== unknown.id);
+      return result;
+    }
+    // open: still valid at the far end, so the range goes on beyond `to`
+    result.range = {
+      from: valid[0].x,
+      to: valid[valid.length - 1].x,
+      open: points[points.length - 1].y !== null,
+      min: Math.min(...valid.map(pt => pt.y)),
+      max: Math.max(...valid.map(pt => pt.y)),
+    };
+
+    // Every crossing between neighbouring valid samples
+    const roots = [];
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1], b = points[i];
+      if (a.y === null || b.y === null) continue;
+      if (a.y === value) roots.push(a.x);
+      else if ((a.y - value) * (b.y - value) < 0) {
+        const bracket = edge(a.x, b.x, x => { const y = f(x); return y !== null && y < value; });
+        roots.push((bracket.a + bracket.b) / 2);
+      }
+    }
+    const lastPoint = valid[valid.length - 1];
+    if (lastPoint.y === value && roots[roots.length - 1] !== lastPoint.x) roots.push(lastPoint.x);
+
+    if (roots.length === 0) {
+      result.reason = 'unreachable';
+      return result;
+    }
+    result.found = true;
+    result.roots = roots;
+    result.x = roots[roots.length - 1];
+    result.params = Geometry.normalize(Object.assign({}, base, { [unknown.id]: result.x }));
+    result.achieved = target.measure(result.params, density);
+    return result;
+  }
+
+  return {
+    UNKNOWNS,
+    TARGETS,
+    solve,
+  };
+});
@@ -0,0 +1,154 @@
+// ===== Staircase Flight =====
+//
+// Clads a flight with the L-profile as a stair tread: the slab is the tread,
+// its front edge the nosing, and the lip drops down the riser to sit on the
+// back of the tread below, so one piece finishes one step. Seen from the
+// side (front to the right, as in the cross-section), step i of n has its
+// nosing (n − i) goings back from the top one and its tread i risers up:
+//
+//   riser    R  = total rise / n
+//   going    G  = total going / (n − 1)   nosing to nosing; the top tread
+//                                         is the landing nosing
+//   width    W  = G + Lw                  runs back under the lip above
+//   lip drop Lh = R − T                   bears on the tread below
+//
+// Length, thickness, lip width, edges and ends come from the stone on
+// screen. The flight is laid out from a number of steps, or from a target
+// riser and going (the step count nearest to both), and checked against the
+// comfort rules: a maximum riser and a range for the pace 2R + G.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./i18n.js'), require('./units.js'));
+  } else {
+    root.StoneStairs = factory(root.StoneGeometry, root.StoneI18n, root.StoneUnits);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, I18n, Units) {
+  'use strict';
+
+  const MODES = I18n.localize([
+    { id: 'count', label: 'Number of steps' },
+    { id: 'target', label: 'Target riser & going' },
+  ], 'stairs.mode');
+
+  const DEFAULTS = {
+    rise: 2720,
+    going: 4050,
+    mode: 'count',
+    steps: 16,
+    riser: 170,
+    tread: 270,
+    maxRiser: 220,
+    paceMin: 550,
+    paceMax: 700,
+  };
+
+  function normalizeFlight(input) {
+    const src = input || {};
+    const flight = { mode: MODES.some(m => m.id === src.mode) ? src.mode : 'count' };
+    ['rise', 'going', 'riser', 'tread', 'maxRiser', 'paceMin', 'paceMax'].forEach(key => {
+      flight[key] = parseFloat(src[key]) || 0;
+    });
+    flight.steps = parseInt(src.steps, 10) || 0;
+    return flight;
+  }
+
+  // Returns a list of { field, message }; an empty list means the flight can be laid out
+  function validate(flight) {
+    const errors = [];
+    if (!(flight.rise > 0)) errors.push({ field: 'rise', message: I18n.t('stairs.error.rise') });
+    if (!(flight.going > 0)) errors.push({ field: 'going', message: I18n.t('stairs.error.going') });
+    if (flight.mode === 'count') {
+      if (!(flight.steps >= 2)) errors.push({ field: 'steps', message: I18n.t('stairs.error.steps') });
+    } else {
+      if (!(flight.riser > 0)) errors.push({ field: 'riser', message: I18n.t('stairs.error.targetRiser') });
+      if (!(flight.tread > 0)) errors.push({ field: 'tread', message: I18n.t('stairs.error.targetGoing') });
+    }
+    if (flight.paceMin > flight.paceMax) {
+      errors.push({ field: 'paceMin', message: I18n.t('stairs.error.pace', { min: Units.lengthText(flight.paceMin), max: Units.lengthText(flight.paceMax) }) });
+    }
+    return errors;
+  }
+
+  // Step count whose riser and going are together closest to the targets
+  function nearestCount(flight) {
+    const most = Math.max(2, Math.ceil((2 * flight.rise) / flight.riser));
+    let best = 2;
+    let bestCost = Infinity;
+    for (let n = 2; n <= most; n++) {
+      const cost = Math.pow(flight.rise / n / flight.riser - 1, 2) + Math.pow(flight.going / (n - 1) / flight.tread - 1, 2);
+      if (cost < bestCost - 1e-12) {
+        best = n;
+        bestCost = cost;
+      }
+    }
+    return best;
+  }
+
+  // Comfort rule breaches, as { field, message }
+  function comfort(flight, riser, going) {
+    const warnings = [];
+    const pace = 2 * riser + going;
+    if (flight.maxRiser > 0 && riser > flight.maxRiser + 1e-9) {
+      warnings.push({ field: 'maxRiser', message: I18n.t('stairs.warning.riser', { riser: Units.lengthText(riser), max: Units.lengthText(flight.maxRiser) }) });
+    }
+    if (pace < flight.paceMin - 1e-9 || (flight.paceMax > 0 && pace > flight.paceMax + 1e-9)) {
+      warnings.push({ field: 'paceMin', message: I18n.t('stairs.warning.pace', { pace: Units.lengthText(pace), min: Units.lengthText(flight.paceMin), max: Units.lengthText(flight.paceMax) }) });
+    }
+    return warnings;
+  }
+
+  // Lays out a flight of the stone; the tread is the stone with W and Lh derived
+  function plan(stoneInput, flightInput) {
+    const stone = Geometry.normalize(stoneInput);
+    const flight = normalizeFlight(flightInput);
+    const errors = validate(flight);
+    const result = { flight, errors, warnings: [], valid: false, steps: 0 };
+    if (errors.length > 0) return result;
+
+    const steps = flight.mode === 'count' ? flight.steps : nearestCount(flight);
+    const riser = flight.rise / steps;
+    const going = flight.going / (steps - 1);
+    const tread = Geometry.normalize(Object.assign({}, stone, { W: going + stone.Lw, Lh: riser - stone.T, qty: steps }));
+    result.steps = steps;
+    result.riser = riser;
+    result.going = going;
+    result.pace = 2 * riser + going;
+    result.params = tread;
+
+    if (riser <= stone.T) {
+      errors.push({ field: 'T', message: I18n.t('stairs.error.thickness', { riser: Units.lengthText(riser), T: Units.lengthText(stone.T) }) });
+      return result;
+    }
+    const stoneErrors = Geometry.validate(tread);
+    if (stoneErrors.length > 0) {
+      stoneErrors.forEach(err => errors.push({ field: err.field, message: I18n.t('stairs.error.treadStone', { message: err.message }) }));
+      return result;
+    }
+
+    const stepResult = Geometry.compute(tread);
+    result.valid = true;
+    result.warnings = comfort(flight, riser, going);
+    result.volumeOne = stepResult.volumeOne;
+    result.volumeTotal = stepResult.volumeTotal;
+    return result;
+  }
+
+  // Outline of step i (1 = bottom) in the side elevation: mm, y up from the
+  // floor, x = 0 at the top nosing and the flight rising to the left
+  function stepOutline(plan, i) {
+    const p = plan.params;
+    const dx = (plan.steps - i) * plan.going - p.W;
+    const dy = i * plan.riser - p.T;
+    return Geometry.outline(p).map(pt => ({ x: pt.x + dx, y: pt.y + dy, bulge: pt.bulge }));
+  }
+
+  return {
+    MODES,
+    DEFAULTS,
+    normalizeFlight,
+    validate,
+    plan,
+    stepOutline,
+  };
+});
@@ -0,0 +1,67 @@
+// ===== Geometry tests =====
+//
+// Run with Node's own test runner: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Geometry = require('../geometry.js');
+
+const STONE = { L: 1000, W: 750, T: 30, Lw: 100, Lh: 100, edge: 'chamfer', Tr: 0 };
+const BASE = 750 * 30 + 100 * 100;
+const close = (actual, expected, tol) => assert.ok(Math.abs(actual - expected) <= (tol || 1e-6) * Math.max(1, Math.abs(expected)),
+  `${actual} ≠ ${expected}`);
+const compute = extra => Geometry.compute(Object.assign({}, STONE, extra));
+
+test('an L-shape with square edges is the slab plus the lip', () => {
+  const result = compute({});
+  assert.ok(result.valid);
+  close(result.area, BASE);
+  close(result.volumeOne, BASE * 1000);
+});
+
+test('each profile removes the area its formula gives', () => {
+  const Tr = 20;
+  const quarter = r => r * r * (1 - Math.PI / 4);
+  const cases = [
+    [{ edge: 'chamfer', Tr, angle: 45 }, Tr * Tr / 2],
+    [{ edge: 'chamfer', Tr, angle: 30 }, Tr * Tr * Math.tan(Math.PI / 6) / 2],
+    [{ edge: 'pencil', Tr }, quarter(Tr)],
+    [{ edge: 'bullnose', Tr }, quarter(Tr)],
+    [{ edge: 'half-bullnose' }, quarter(STONE.T)],
+    [{ corners: 'topLeft=full-bullnose' }, 2 * quarter(STONE.T / 2)],
+    [{ edge: 'cove', Tr }, Math.PI / 4 * Tr * Tr],
+    [{ edge: 'ogee', Tr }, Tr * Tr / 2],
+  ];
+  cases.forEach(([extra, removed]) => {
+    const result = compute(extra);
+    assert.ok(result.valid, JSON.stringify(extra));
+    close(result.area, BASE - removed);
+  });
+});
+
+test('a mitre takes tan θ × the section\'s first moment about the long point', () => {
+  // First moments of the slab and the lip about the front (x = W) and back (x = 0)
+  const front = 750 * 30 * 750 / 2 + 100 * 100 * 100 / 2;
+  const back = 750 * 30 * 750 / 2 + 100 * 100 * (750 - 100 / 2);
+  const t = Math.tan(Math.PI / 6);
+  close(compute({ ends: { left: { type: 'mitre', angle: 45 } } }).volumeOne, BASE * 1000 - front);
+  close(compute({ ends: { left: { type: 'mitre', angle: 30 }, right: { type: 'mitre', angle: 30 } } }).volumeOne,
+    BASE * 1000 - 2 * t * front);
+  close(compute({ ends: { right: { type: 'mitre', angle: -30 } } }).volumeOne, BASE * 1000 - t * back);
+});
+
+test('a return sweeps the front edge across the width, less the corner it shares', () => {
+  // 45° chamfer of leg a: a triangle a²/2 across W, less ∫ (a − t)² dt = a³/3
+  const a = 20;
+  const section = BASE - a * a / 2;
+  close(compute({ Tr: a, angle: 45, ends: { left: { type: 'return' } } }).volumeOne,
+    section * 1000 - (a * a * 750 / 2 - a * a * a / 3));
+  close(compute({ Tr: a, angle: 45, ends: { left: { type: 'return' }, right: { type: 'return' } } }).volumeOne,
+    section * 1000 - 2 * (a * a * 750 / 2 - a * a * a / 3));
+});
+
+test('a return needs a top front edge to carry round', () => {
+  const result = compute({ ends: { left: { type: 'return' } } });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map(err => err.field), ['ends']);
+});
@@ -0,0 +1,65 @@
+// ===== Order import / export tests =====
+//
+// Run with Node's own test runner: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Csv = require('../csv.js');
+const Xlsx = require('../xlsx.js');
+const Geometry = require('../geometry.js');
+const Order = require('../order.js');
+
+const ROWS = [
+  { name: 'Tread A', L: 1200, W: 350.5, T: 30, Lw: 60, Lh: 80, Tr: 10, edge: 'bullnose', angle: 45,
+    corners: 'topLeft=cove 5', ends: 'left=mitre 45; right=return', qty: 4 },
+  { name: 'Sill, "long"', L: 2400, W: 200, T: 40, Lw: 40, Lh: 20, Tr: 6, edge: 'chamfer', angle: 30, qty: 1 },
+];
+
+// CSV text → stones, the way cli.js and the import dialog read it
+function read(text) {
+  const [header, ...body] = Csv.parse(text);
+  return Order.fromTable(body, Order.guessMapping(header), Csv.detectDelimiter(text));
+}
+
+test('a comma is a decimal comma in a semicolon-delimited file', () => {
+  const [stone] = read('Name;L;W;T;Lw;Lh;Qty\nA;1,000;750;30,5;100;100;2\n');
+  assert.strictEqual(stone.L, '1.000');
+  assert.strictEqual(stone.T, '30.5');
+  assert.strictEqual(stone.ambiguous, undefined);
+  assert.ok(Order.summarize([stone]).results[0].valid);
+});
+
+test('a comma not followed by three digits is a decimal comma anywhere', () => {
+  const [stone] = read('Name,L,W,T,Lw,Lh\nA,1000,750,"30,5",100,100\n');
+  assert.strictEqual(stone.T, '30.5');
+  assert.ok(Order.summarize([stone]).results[0].valid);
+});
+
+test('"1,000" in a comma-delimited file is reported, not read as 1', () => {
+  const [stone] = read('Name,L,W,T,Lw,Lh\nA,"1,000",750,30,100,100\n');
+  assert.deepStrictEqual(stone.ambiguous, { L: '1,000' });
+
+  const result = Order.summarize([stone]).results[0];
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.volumeOne, null);
+  assert.deepStrictEqual(result.errors.map(err => err.field), ['L']);
+  assert.match(result.errors[0].message, /"1,000"/);
+});
+
+// Stones read back from an exported table, as the engine sees them
+function readBack(table, delimiter) {
+  const [header, ...body] = table;
+  return Order.fromTable(body, Order.guessMapping(header), delimiter).map(stone => Geometry.normalize(stone));
+}
+
+test('an exported CSV reads back to the same stones', () => {
+  const table = Csv.parse(Csv.stringify(Order.toTable(ROWS)));
+  assert.deepStrictEqual(readBack(table, ','), ROWS.map(row => Geometry.normalize(row)));
+  assert.deepStrictEqual(table.slice(1).map(cells => cells[0]), ['Tread A', 'Sill, "long"']);
+});
+
+test('an exported workbook reads back to the same stones', async () => {
+  const table = await Xlsx.read(Xlsx.write(Order.toTable(ROWS), 'Stones'));
+  assert.deepStrictEqual(readBack(table, null), ROWS.map(row => Geometry.normalize(row)));
+  assert.deepStrictEqual(table.slice(1).map(cells => cells[0]), ['Tread A', 'Sill, "long"']);
+});
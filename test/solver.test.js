@@ -0,0 +1,47 @@
+// ===== Solver tests =====
+//
+// Run with Node's own test runner: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Geometry = require('../geometry.js');
+const Solver = require('../solver.js');
+
+const STONE = { L: 1000, W: 750, T: 30, Lw: 100, Lh: 100, edge: 'chamfer', Tr: 20, angle: 45 };
+const close = (actual, expected, tol) => assert.ok(Math.abs(actual - expected) <= (tol || 1e-6) * Math.max(1, Math.abs(expected)),
+  `${actual} ≠ ${expected}`);
+
+test('the length for a volume is the volume over the section area', () => {
+  const area = Geometry.area(Geometry.normalize(STONE));
+  const result = Solver.solve(STONE, { unknown: 'L', target: 'volume', value: 0.05e9 });
+  assert.ok(result.found);
+  close(result.x, 0.05e9 / area);
+  close(result.achieved, 0.05e9);
+});
+
+test('the length for a weight uses the density', () => {
+  const area = Geometry.area(Geometry.normalize(STONE));
+  const result = Solver.solve(STONE, { unknown: 'L', target: 'weight', value: 150, density: 2700 });
+  assert.ok(result.found);
+  close(result.x, 150 / 2700 * 1e9 / area);
+});
+
+test('the largest edge that leaves a flat front face', () => {
+  // A 45° chamfer of leg Tr takes Tr off the T + Lh front face
+  const result = Solver.solve(STONE, { unknown: 'Tr', target: 'front', value: 60 });
+  assert.ok(result.found);
+  close(result.x, 30 + 100 - 60);
+});
+
+test('a target beyond every valid value is unreachable', () => {
+  const result = Solver.solve(STONE, { unknown: 'Tr', target: 'front', value: 500 });
+  assert.strictEqual(result.found, false);
+  assert.strictEqual(result.reason, 'unreachable');
+  assert.ok(result.range.max < 500);
+});
+
+test('an unknown parameter is an error', () => {
+  const result = Solver.solve(STONE, { unknown: 'X', target: 'volume', value: 1 });
+  assert.strictEqual(result.found, false);
+  assert.deepStrictEqual(result.errors.map(err => err.field), ['unknown']);
+});
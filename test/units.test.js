@@ -0,0 +1,62 @@
+// ===== Units tests =====
+//
+// Run with Node's own test runner: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const I18n = require('../i18n.js');
+const Units = require('../units.js');
+
+const inches = text => Units.parseLength(text, 'in') / 25.4;
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('a bare whole number is in the selected unit', () => {
+  close(Units.parseLength('12', 'mm'), 12);
+  close(Units.parseLength('12', 'cm'), 120);
+  close(inches('12'), 12);
+});
+
+test('a fraction alone keeps every digit of its numerator', () => {
+  close(inches('15/16'), 15 / 16);
+  close(inches('13/16"'), 13 / 16);
+  close(inches('11/2'), 5.5);
+});
+
+test('a whole number and a fraction are split by a space or hyphen', () => {
+  close(inches('1 15/16'), 1 + 15 / 16);
+  close(inches('1-1/2'), 1.5);
+  close(inches('1 - 1/2'), 1.5);
+});
+
+test('feet and inches', () => {
+  close(inches('5\' 3 1/2"'), 63.5);
+  close(inches('2\'-6'), 30);
+});
+
+test('an explicit unit wins over the selected one', () => {
+  close(Units.parseLength('30 mm', 'in'), 30);
+  close(Units.parseLength('2"', 'mm'), 50.8);
+});
+
+test('numbers use the language\'s decimal and thousands separators', () => {
+  close(Units.parseLength('1,250.5', 'mm'), 1250.5);
+  assert.ok(Number.isNaN(Units.parseLength('12,5', 'mm')));
+  I18n.within('vi', () => {
+    close(Units.parseLength('1.250,5', 'mm'), 1250.5);
+    close(Units.parseLength('12,5', 'mm'), 12.5);
+    assert.ok(Number.isNaN(Units.parseLength('12.5', 'mm')));
+    assert.strictEqual(Units.formatLength(1250.5, 'mm'), '1250,5');
+  });
+});
+
+test('a negative length is read, for validation to report', () => {
+  close(Units.parseLength('-5', 'mm'), -5);
+  close(inches('-1 1/2'), -1.5);
+  assert.ok(Number.isNaN(Units.parseLength('-', 'mm')));
+});
+
+test('text that is not a length', () => {
+  assert.ok(Number.isNaN(Units.parseLength('abc', 'mm')));
+  assert.ok(Number.isNaN(Units.parseLength('', 'mm')));
+  assert.ok(Number.isNaN(Units.parseLength('1/0', 'in')));
+});
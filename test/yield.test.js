@@ -0,0 +1,44 @@
+// ===== Yield tests =====
+//
+// Run with Node's own test runner: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Yield = require('../yield.js');
+
+// 1000 × 750 pieces in a block one piece long and one wide after trim, with
+// 500 mm of height to stack them in: plain sections need T + Lh = 130 each
+const STONE = { L: 1000, W: 750, T: 30, Lw: 100, Lh: 100, qty: 12 };
+const BLOCK = { L: 1040, W: 790, H: 540, kerf: 5, trim: 20 };
+
+test('turned pieces nest their lips under the slab above', () => {
+  const result = Yield.plan(STONE, BLOCK);
+  assert.ok(result.valid);
+  // Two pairs at 2T + Lh + 2 kerf = 170 each, then one plain piece in the 160 left
+  assert.strictEqual(result.rows, 5);
+  assert.strictEqual(result.perBlock, 5);
+  assert.strictEqual(result.nested, true);
+  assert.strictEqual(result.blocksNeeded, 3);
+  assert.deepStrictEqual(result.pieces.map(piece => piece.turned), [false, true, false, true, false]);
+});
+
+test('placed pieces stay inside the usable area', () => {
+  const result = Yield.plan(STONE, BLOCK);
+  result.pieces.forEach(piece => Yield.pieceOutline(result.params, piece).forEach(pt => {
+    assert.ok(pt.x >= -1e-9 && pt.x <= 750 + 1e-9, `x = ${pt.x}`);
+    assert.ok(pt.y >= -1e-9 && pt.y <= 500 + 1e-9, `y = ${pt.y}`);
+  }));
+});
+
+test('lips too wide to sit side by side stack plainly', () => {
+  const result = Yield.plan(Object.assign({}, STONE, { Lw: 400 }), BLOCK);
+  assert.strictEqual(result.rows, 3);
+  assert.strictEqual(result.nested, false);
+});
+
+test('a block smaller than the piece yields nothing', () => {
+  const result = Yield.plan(STONE, Object.assign({}, BLOCK, { L: 900, W: 900, H: 900 }));
+  assert.ok(result.valid);
+  assert.strictEqual(result.perBlock, 0);
+  assert.strictEqual(result.blocksNeeded, null);
+});
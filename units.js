@@ -0,0 +1,152 @@
+// ===== Units of Measure =====
+//
+// The geometry engine works in millimetres and mm³ throughout; these helpers
+// convert at the edges of the UI. Lengths can be typed in mm, cm or inches,
+// inches with fractions and feet marks:
+//
+//   "1 1/4"   "1-1/4\""   "3/8"   "2' 6 1/2\""   "12.5"   "30 mm"
+//
+// An explicit unit on the value wins over the selected one. Numbers are
+// written and read with the current language's decimal and thousands
+// separators: "1,250.5" in English is "1.250,5" in Vietnamese.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n.js'));
+  } else {
+    root.StoneUnits = factory(root.StoneI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (I18n) {
+  'use strict';
+
+  const LENGTH_UNITS = {
+    mm: { label: 'mm', mm: 1, decimals: 1 },
+    cm: { label: 'cm', mm: 10, decimals: 2 },
+    in: { label: 'in', mm: 25.4, fraction: 16 }, // inches are shown to the nearest 1/16"
+  };
+
+  const VOLUME_UNITS = {
+    m3: { label: 'm³', mm3: 1e9 },
+    ft3: { label: 'ft³', mm3: Math.pow(304.8, 3) },
+    yd3: { label: 'yd³', mm3: Math.pow(914.4, 3) },
+  };
+
+  const SUFFIXES = { mm: 1, cm: 10, m: 1000, '"': 25.4, in: 25.4, inch: 25.4, inches: 25.4 };
+
+  let current = 'mm'; // unit engine messages write lengths in; the UI keeps it in step
+
+  // Decimal point and thousands separator of a language, from its Intl locale
+  function separators(id) {
+    const parts = new Intl.NumberFormat(I18n.LOCALES[id].intl).formatToParts(12345.6);
+    const find = type => (parts.find(part => part.type === type) || {}).value;
+    return { decimal: find('decimal') || '.', group: find('group') || ',' };
+  }
+
+  const patterns = {}; // length pattern per language
+
+  // A number is written with the language's separators: "1,250.5" in
+  // English, "1.250,5" in Vietnamese; thousands only in groups of three. A
+  // fraction after a whole number needs a space or hyphen before it, so
+  // "15/16" is fifteen sixteenths and not 1 + 5/16.
+  function lengthPattern() {
+    const id = I18n.locale();
+    if (!patterns[id]) {
+      const { decimal, group } = separators(id);
+      const escape = ch => ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const number = `(?:\\d{1,3}(?:${escape(group)}\\d{3})+|\\d+)(?:${escape(decimal)}\\d+)?`;
+      patterns[id] = {
+        decimal,
+        group,
+        regex: new RegExp(
+          '^(-)?\\s*' +                                                  // sign
+          `(?:(${number})\\s*(?:'|ft|feet)\\s*-?\\s*)?` +                // feet
+          `(?:(${number})(?:(?:\\s*-\\s*|\\s+)(\\d+)\\s*/\\s*(\\d+))?` + // whole or decimal number, fraction
+          '|(\\d+)\\s*/\\s*(\\d+))?' +                                   // fraction alone
+          '\\s*(mm|cm|m|"|in|inch|inches)?$'),
+      };
+    }
+    return patterns[id];
+  }
+
+  // Text in a length unit → millimetres (NaN when it is not a length).
+  // Negative lengths are read as such, for validation to report.
+  function parseLength(text, unit) {
+    const str = String(text === undefined || text === null ? '' : text).trim().toLowerCase();
+    const pattern = lengthPattern();
+    const m = pattern.regex.exec(str);
+    if (!m || (m[2] === undefined && m[3] === undefined && m[6] === undefined)) return NaN;
+    const num = s => (s === undefined ? 0 : parseFloat(s.split(pattern.group).join('').replace(pattern.decimal, '.')));
+    const numerator = m[4] !== undefined ? m[4] : m[6];
+    const denominator = m[4] !== undefined ? m[5] : m[7];
+    if (numerator !== undefined && !(num(denominator) > 0)) return NaN;
+    const sign = m[1] ? -1 : 1;
+    const value = num(m[3]) + (numerator !== undefined ? num(numerator) / num(denominator) : 0);
+
+    if (m[2] !== undefined) return sign * (num(m[2]) * 304.8 + value * 25.4); // feet and inches
+    const perUnit = m[8] ? SUFFIXES[m[8]] : (LENGTH_UNITS[unit] || LENGTH_UNITS.mm).mm;
+    return sign * value * perUnit;
+  }
+
+  function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+  }
+
+  // Millimetres → text in a length unit: "750", "75", "29 1/2". With
+  // opts.mark, inches get their " sign and thousands are grouped, as used on
+  // dimension labels; without, the text can be typed back in.
+  function formatLength(mm, unit, opts) {
+    const u = LENGTH_UNITS[unit] || LENGTH_UNITS.mm;
+    const v = mm / u.mm;
+    const mark = Boolean(opts && opts.mark);
+    if (!u.fraction) return I18n.number(v, u.decimals, 0, mark);
+    const sign = v < 0 ? '-' : '';
+    const n = Math.round(Math.abs(v) * u.fraction);
+    const whole = Math.floor(n / u.fraction);
+    const rest = n % u.fraction;
+    const d = gcd(rest, u.fraction);
+    const text = rest === 0 ? String(whole) : `${whole > 0 ? whole + ' ' : ''}${rest / d}/${u.fraction / d}`;
+    return sign + text + (mark ? '"' : '');
+  }
+
+  function setLengthUnit(unit) {
+    if (LENGTH_UNITS[unit]) current = unit;
+  }
+
+  function lengthUnit() {
+    return current;
+  }
+
+  // Millimetres → a length with its unit for messages, in the selected unit:
+  // "1,250.5 mm", "75 cm", "29 1/2\""
+  function lengthText(mm) {
+    const text = formatLength(mm, current, { mark: true });
+    return current === 'in' ? text : `${text} ${LENGTH_UNITS[current].label}`;
+  }
+
+  // Decimal places for about four significant figures, at most six
+  function decimalsFor(v) {
+    if (v === 0) return 0;
+    return Math.min(6, Math.max(0, 3 - Math.floor(Math.log10(Math.abs(v)))));
+  }
+
+  // mm³ → "0.08375 m³", "2.957 ft³"; '—' for nothing
+  function formatVolume(mm3, unit) {
+    const u = VOLUME_UNITS[unit] || VOLUME_UNITS.m3;
+    const v = mm3 / u.mm3;
+    if (v === 0) return '—';
+    if (Math.abs(v) < 5e-7) return `< ${I18n.number(1e-6, 6)} ${u.label}`;
+    const decimals = decimalsFor(v);
+    return `${I18n.number(v, decimals, decimals)} ${u.label}`;
+  }
+
+  return {
+    LENGTH_UNITS,
+    VOLUME_UNITS,
+    parseLength,
+    formatLength,
+    setLengthUnit,
+    lengthUnit,
+    lengthText,
+    formatVolume,
+  };
+});
@@ -0,0 +1,296 @@
+// ===== Software 3D Viewer =====
+//
+// Renders the stone as flat SVG polygons: no WebGL, no GPU. The solid is the
+// cross-section outline (x, y) swept along z from 0 to L, seen through an
+// orthographic camera that orbits the middle of the stone:
+//
+//   yaw     degrees about the vertical axis; 0 looks at the end face z = L,
+//           90 at the front face x = W
+//   pitch   degrees above (+) or below (−) the horizontal
+//   zoom    1 fits the whole stone whatever the angle
+//   panX/Y  screen offset in SVG units
+//
+// Hidden surfaces: faces turned away from the camera are culled. Every side
+// face runs along the length, so which one hides which depends only on the
+// outline, seen along the view direction: side faces are ordered by that 2D
+// test. A returned end's faces run across the width and are ordered the same
+// way in their own plane; they sit on the outside corner, in front of the
+// sides. End faces, which nothing can cover, are drawn last. Arcs are split
+// into strips that carry the true surface normal at each side, so round
+// edges are shaded with a gradient rather than in facets.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'));
+  } else {
+    root.StoneViewer = factory(root.StoneGeometry);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry) {
+  'use strict';
+
+  const PRESETS = {
+    iso: { yaw: 40, pitch: 28 },
+    front: { yaw: 90, pitch: 0 },
+    end: { yaw: 0, pitch: 0 },
+    underside: { yaw: 35, pitch: -55 },
+  };
+
+  const ARC_STRIPS = 16;
+  const STONE = [158, 170, 185];
+  const AMBIENT = 0.35;
+
+  function camera(preset) {
+    const p = PRESETS[preset] || PRESETS.iso;
+    return { yaw: p.yaw, pitch: p.pitch, zoom: 1, panX: 0, panY: 0 };
+  }
+
+  // Orbit by a pointer movement in SVG units; pitch stops short of the poles
+  function orbit(cam, dx, dy) {
+    return Object.assign({}, cam, {
+      yaw: ((cam.yaw - dx * 0.5) % 360 + 540) % 360 - 180,
+      pitch: Math.max(-89, Math.min(89, cam.pitch + dy * 0.5)),
+    });
+  }
+
+  function pan(cam, dx, dy) {
+    return Object.assign({}, cam, { panX: cam.panX + dx, panY: cam.panY + dy });
+  }
+
+  function zoom(cam, factor) {
+    return Object.assign({}, cam, { zoom: Math.max(0.3, Math.min(8, cam.zoom * factor)) });
+  }
+
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+  function normalized(v) {
+    const len = Math.hypot(v[0], v[1], v[2]);
+    return [v[0] / len, v[1] / len, v[2] / len];
+  }
+
+  // Camera basis: `toEye` points from the stone towards the camera, `right`
+  // and `up` span the screen
+  function basis(cam) {
+    const yaw = cam.yaw * Math.PI / 180;
+    const pitch = cam.pitch * Math.PI / 180;
+    const toEye = [Math.cos(pitch) * Math.sin(yaw), Math.sin(pitch), Math.cos(pitch) * Math.cos(yaw)];
+    const right = [Math.cos(yaw), 0, -Math.sin(yaw)];
+    const up = [
+      toEye[1] * right[2] - toEye[2] * right[1],
+      toEye[2] * right[0] - toEye[0] * right[2],
+      toEye[0] * right[1] - toEye[1] * right[0],
+    ];
+    // Light from the upper left, over the viewer's shoulder
+    const light = normalized([
+      -0.35 * right[0] + 0.55 * up[0] + 0.75 * toEye[0],
+      -0.35 * right[1] + 0.55 * up[1] + 0.75 * toEye[1],
+      -0.35 * right[2] + 0.55 * up[2] + 0.75 * toEye[2],
+    ]);
+    return { toEye, right, up, light };
+  }
+
+  // Side strips of the swept outline: { a, b, n, na, nb, round }, where a → b
+  // is one straight piece of the outline, n its outward normal and na / nb the
+  // surface normals at its ends (equal to n except on arcs)
+  function strips(p) {
+    const pts = Geometry.outline(p);
+    const out = [];
+    pts.forEach((pt, i) => {
+      const next = pts[(i + 1) % pts.length];
+      if (!pt.bulge) {
+        const n = outward([pt.x, pt.y], [next.x, next.y]);
+        out.push({ a: [pt.x, pt.y], b: [next.x, next.y], n, na: n, nb: n, round: false });
+        return;
+      }
+      // Outline is clockwise, so the surface normal leans the same way as the chord's
+      const arc = Geometry.arc(pt, next, pt.bulge);
+      const chord = outward([pt.x, pt.y], [next.x, next.y]);
+      const at = k => {
+        const ang = arc.start + arc.sweep * (k / ARC_STRIPS);
+        const radial = [Math.cos(ang), Math.sin(ang)];
+        const sign = radial[0] * chord[0] + radial[1] * chord[1] < 0 ? -1 : 1;
+        return { pt: [arc.cx + arc.r * radial[0], arc.cy + arc.r * radial[1]], n: [sign * radial[0], sign * radial[1]] };
+      };
+      for (let k = 0; k < ARC_STRIPS; k++) {
+        const s = at(k), e = at(k + 1);
+        out.push({ a: s.pt, b: e.pt, n: outward(s.pt, e.pt), na: s.n, nb: e.n, round: true });
+      }
+    });
+    return out.filter(s => Math.hypot(s.b[0] - s.a[0], s.b[1] - s.a[1]) > 1e-9);
+  }
+
+  // Outward normal of a clockwise outline segment
+  function outward(a, b) {
+    const dx = b[0] - a[0], dy = b[1] - a[1];
+    const len = Math.hypot(dx, dy) || 1;
+    return [-dy / len, dx / len];
+  }
+
+  // Strips cut where they cross one of the given heights, so a returned end
+  // can trim them along its profile
+  function splitAt(list, levels) {
+    const out = [];
+    list.forEach(s => {
+      const cuts = levels
+        .filter(y => (y - s.a[1]) * (y - s.b[1]) < -1e-9)
+        .map(y => (y - s.a[1]) / (s.b[1] - s.a[1]))
+        .sort((u, v) => u - v);
+      const at = u => [s.a[0] + (s.b[0] - s.a[0]) * u, s.a[1] + (s.b[1] - s.a[1]) * u];
+      const normal = u => [s.na[0] + (s.nb[0] - s.na[0]) * u, s.na[1] + (s.nb[1] - s.na[1]) * u];
+      [0].concat(cuts).forEach((u, i, all) => {
+        const v = i + 1 < all.length ? all[i + 1] : 1;
+        out.push(Object.assign({}, s, { a: at(u), b: at(v), na: normal(u), nb: normal(v) }));
+      });
+    });
+    return out;
+  }
+
+  // Back-to-front order of visible strips. Seen along the view direction
+  // projected on the strips' plane (`dir`, towards the camera), strip A hides
+  // strip B where their shadows overlap and A is nearer there; ties keep
+  // nearest-midpoint order.
+  function sortStrips(list, dir) {
+    const len = Math.hypot(dir[0], dir[1]);
+    if (len < 1e-9) return list;
+    const d = [dir[0] / len, dir[1] / len];
+    const across = [-d[1], d[0]];
+    const spans = list.map(s => {
+      const sa = s.a[0] * across[0] + s.a[1] * across[1];
+      const sb = s.b[0] * across[0] + s.b[1] * across[1];
+      const ta = s.a[0] * d[0] + s.a[1] * d[1];
+      const tb = s.b[0] * d[0] + s.b[1] * d[1];
+      // Nearness at a position along `across`
+      const depth = x => (Math.abs(sb - sa) < 1e-9 ? Math.max(ta, tb) : ta + (tb - ta) * (x - sa) / (sb - sa));
+      return { lo: Math.min(sa, sb), hi: Math.max(sa, sb), mid: (ta + tb) / 2, depth };
+    });
+
+    // behind[i] lists the strips that must be drawn before strip i
+    const behind = list.map(() => []);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const lo = Math.max(spans[i].lo, spans[j].lo);
+        const hi = Math.min(spans[i].hi, spans[j].hi);
+        if (hi - lo < 1e-6) continue;
+        const x = (lo + hi) / 2;
+        const di = spans[i].depth(x), dj = spans[j].depth(x);
+        if (Math.abs(di - dj) < 1e-6) continue;
+        if (di > dj) behind[i].push(j); else behind[j].push(i);
+      }
+    }
+
+    const byMid = list.map((s, i) => i).sort((i, j) => spans[i].mid - spans[j].mid);
+    const done = new Set();
+    const order = [];
+    while (order.length < list.length) {
+      // Farthest strip with nothing left behind it; on a cycle, the farthest left
+      const free = byMid.filter(i => !done.has(i));
+      const next = free.find(i => behind[i].every(j => done.has(j)));
+      const pick = next === undefined ? free[0] : next;
+      done.add(pick);
+      order.push(list[pick]);
+    }
+    return order;
+  }
+
+  function shade(n, light) {
+    const k = AMBIENT + (1 - AMBIENT) * Math.max(0, dot(n, light));
+    return `rgb(${STONE.map(c => Math.round(c * k)).join(',')})`;
+  }
+
+  // Gradient across a round strip, perpendicular to its long edges on screen.
+  // Points run a → b at one end of the strip, then back along the other.
+  function stripGradient(points, from, to) {
+    const [a, b, , d] = points;
+    const ex = d[0] - a[0], ey = d[1] - a[1];
+    const elen = Math.hypot(ex, ey) || 1;
+    const along = ((b[0] - a[0]) * ex + (b[1] - a[1]) * ey) / elen;
+    const gx = b[0] - a[0] - along * ex / elen;
+    const gy = b[1] - a[1] - along * ey / elen;
+    if (Math.hypot(gx, gy) <= 1e-6) return undefined;
+    return { x1: a[0], y1: a[1], x2: a[0] + gx, y2: a[1] + gy, from, to };
+  }
+
+  // Scene for one stone in a width × height SVG:
+  //   faces    back to front: { kind: 'side' | 'return' | 'end', points:
+  //            [[x, y]…], fill, gradient? { x1, y1, x2, y2, from, to } }
+  //   project  (x, y, z) in mm → [x, y] in SVG units
+  //   endZ     (x, y) → z on the end in view (the nearer one when edge-on)
+  function render(input, cam, width, height) {
+    const p = Geometry.normalize(input);
+    const { toEye, right, up, light } = basis(cam);
+    const centre = [p.W / 2, (p.T - p.Lh) / 2, p.L / 2];
+    const radius = Math.hypot(p.W, p.T + p.Lh, p.L) / 2 || 1;
+    const scale = (0.42 * Math.min(width, height) / radius) * cam.zoom;
+
+    function project(x, y, z) {
+      const v = [x - centre[0], y - centre[1], z - centre[2]];
+      return [width / 2 + cam.panX + dot(v, right) * scale, height / 2 + cam.panY - dot(v, up) * scale];
+    }
+
+    function face(kind, points, n, na, nb, round) {
+      const f = { kind, points, fill: shade(n, light) };
+      if (round) f.gradient = stripGradient(points, shade(na, light), shade(nb, light));
+      return f;
+    }
+
+    // Each outline point runs from the right end's cut to the left end's
+    const cutLeft = Geometry.endCut(p, 'left');
+    const cutRight = Geometry.endCut(p, 'right');
+    const zFrom = pt => cutRight(pt[0], pt[1]);
+    const zTo = pt => p.L - cutLeft(pt[0], pt[1]);
+
+    const all = strips(p);
+    const returned = Geometry.ENDS.filter(e => p.ends[e.id].type === 'return');
+    const front = Geometry.edges(p).find(e => e.corner.id === 'topRight');
+    const profile = front ? all.filter(s => [s.a, s.b].every(pt => pt[0] >= p.W - front.a - 1e-9 && pt[1] >= p.T - front.b - 1e-9)) : [];
+    const levels = returned.length > 0 ? profile.reduce((ys, s) => ys.concat(s.a[1], s.b[1]), []) : [];
+
+    const faces = [];
+    const sides = splitAt(all, levels).filter(s => s.n[0] * toEye[0] + s.n[1] * toEye[1] > 1e-9);
+    sortStrips(sides, toEye).forEach(s => {
+      const points = [project(s.a[0], s.a[1], zFrom(s.a)), project(s.b[0], s.b[1], zFrom(s.b)),
+        project(s.b[0], s.b[1], zTo(s.b)), project(s.a[0], s.a[1], zTo(s.a))];
+      faces.push(face('side', points, [s.n[0], s.n[1], 0], [s.na[0], s.na[1], 0], [s.nb[0], s.nb[1], 0], s.round));
+    });
+
+    // A return is the front profile turned round the corner: the part at
+    // depth s from the front runs across to the mitre, at s from the end
+    returned.forEach(end => {
+      const sign = end.id === 'left' ? 1 : -1;
+      const zAt = x => (sign > 0 ? p.L - (p.W - x) : p.W - x);
+      const turn = n => [0, n[1], sign * n[0]];
+      // Strips in the (z, y) plane
+      const across = profile
+        .filter(s => dot(turn(s.n), toEye) > 1e-9)
+        .map(s => Object.assign({}, s, { a: [zAt(s.a[0]), s.a[1]], b: [zAt(s.b[0]), s.b[1]] }));
+      sortStrips(across, [toEye[2], toEye[1]]).forEach(s => {
+        const [za, ya] = s.a, [zb, yb] = s.b;
+        const xa = sign > 0 ? p.W - (p.L - za) : p.W - za;
+        const xb = sign > 0 ? p.W - (p.L - zb) : p.W - zb;
+        const points = [project(0, ya, za), project(0, yb, zb), project(xb, yb, zb), project(xa, ya, za)];
+        faces.push(face('return', points, turn(s.n), turn(s.na), turn(s.nb), s.round));
+      });
+    });
+
+    // End faces bound the solid, so each one in view is never covered
+    Geometry.ENDS.forEach(end => {
+      const e = p.ends[end.id];
+      const t = e.type === 'mitre' ? Math.tan(e.angle * Math.PI / 180) : 0;
+      const n = normalized(end.id === 'left' ? [-t, 0, 1] : [-t, 0, -1]);
+      if (dot(n, toEye) <= 1e-9) return;
+      const z = end.id === 'left' ? zTo : zFrom;
+      const points = Geometry.endOutline(p, end.id, ARC_STRIPS).map(pt => project(pt[0], pt[1], z(pt)));
+      faces.push(face('end', points, n));
+    });
+
+    return { faces, project, endZ: (x, y) => (toEye[2] < 0 ? zFrom([x, y]) : zTo([x, y])) };
+  }
+
+  return {
+    PRESETS,
+    camera,
+    orbit,
+    pan,
+    zoom,
+    render,
+  };
+});
@@ -0,0 +1,279 @@
+// ===== Minimal XLSX Reader / Writer =====
+//
+// Just enough of Office Open XML to exchange stone schedules with
+// spreadsheets: read() returns the first worksheet as rows of string cells,
+// write() builds a one-sheet workbook. No DOM and no libraries, so it runs in
+// the browser and under Node 20+.
+//
+// An .xlsx file is a zip archive of XML parts. Entries are written stored
+// (uncompressed); deflated entries are read with DecompressionStream.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StoneXlsx = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  // --- CRC-32 (zip checksums) ---
+  const CRC_TABLE = (function () {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    parts.forEach(p => { out.set(p, offset); offset += p.length; });
+    return out;
+  }
+
+  // --- Zip ---
+  // files: [{ name, data: Uint8Array }] → zip archive bytes (stored entries)
+  function zip(files) {
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const size = file.data.length;
+      const crc = crc32(file.data);
+
+      const lh = new DataView(new ArrayBuffer(30));
+      lh.setUint32(0, 0x04034b50, true); // local file header signature
+      lh.setUint16(4, 20, true);         // version needed
+      lh.setUint16(6, 0x0800, true);     // UTF-8 file names
+      lh.setUint16(12, 0x21, true);      // 1980-01-01
+      lh.setUint32(14, crc, true);
+      lh.setUint32(18, size, true);
+      lh.setUint32(22, size, true);
+      lh.setUint16(26, name.length, true);
+      local.push(new Uint8Array(lh.buffer), name, file.data);
+
+      const ch = new DataView(new ArrayBuffer(46));
+      ch.setUint32(0, 0x02014b50, true); // central directory signature
+      ch.setUint16(4, 20, true);
+      ch.setUint16(6, 20, true);
+      ch.setUint16(8, 0x0800, true);
+      ch.setUint16(14, 0x21, true);
+      ch.setUint32(16, crc, true);
+      ch.setUint32(20, size, true);
+      ch.setUint32(24, size, true);
+      ch.setUint16(28, name.length, true);
+      ch.setUint32(42, offset, true);
+      central.push(new Uint8Array(ch.buffer), name);
+
+      offset += 30 + name.length + size;
+    });
+
+    const dir = concat(central);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, dir.length, true);
+    end.setUint32(16, offset, true);
+
+    return concat(local.concat([dir, new Uint8Array(end.buffer)]));
+  }
+
+  async function inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Zip archive bytes → { name: Promise-returning text reader }
+  function unzip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not an .xlsx (zip) file.');
+
+    const entries = {};
+    let ptr = view.getUint32(eocd + 16, true);
+    for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+      if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error('Damaged .xlsx file.');
+      const method = view.getUint16(ptr + 10, true);
+      const size = view.getUint32(ptr + 20, true);
+      const nameLen = view.getUint16(ptr + 28, true);
+      const at = view.getUint32(ptr + 42, true);
+      const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+      const start = at + 30 + view.getUint16(at + 26, true) + view.getUint16(at + 28, true);
+      entries[name] = { method, data: bytes.subarray(start, start + size) };
+      ptr += 46 + nameLen + view.getUint16(ptr + 30, true) + view.getUint16(ptr + 32, true);
+    }
+
+    return {
+      has: name => name in entries,
+      text: async name => {
+        const entry = entries[name];
+        if (!entry) throw new Error(`Missing ${name} in .xlsx file.`);
+        if (entry.method === 0) return decoder.decode(entry.data);
+        if (entry.method === 8) return decoder.decode(await inflate(entry.data));
+        throw new Error(`Unsupported zip compression method ${entry.method}.`);
+      },
+    };
+  }
+
+  // --- XML helpers ---
+  function escapeXml(str) {
+    return String(str).replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[ch]);
+  }
+
+  function unescapeXml(str) {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, ent) => {
+      if (ent[0] === '#') {
+        return String.fromCodePoint(ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10));
+      }
+      return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[ent.toLowerCase()];
+    });
+  }
+
+  function attrs(tag) {
+    const out = {};
+    tag.replace(/([\w:]+)="([^"]*)"/g, (m, key, val) => { out[key] = unescapeXml(val); });
+    return out;
+  }
+
+  // Concatenated <t> runs of a shared or inline string (phonetic hints dropped)
+  function textRuns(xml) {
+    const runs = [];
+    xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').replace(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g, (m, t) => { runs.push(unescapeXml(t)); });
+    return runs.join('');
+  }
+
+  function columnIndex(ref) {
+    const letters = /^[A-Z]+/i.exec(ref)[0].toUpperCase();
+    let n = 0;
+    for (let i = 0; i < letters.length; i++) n = n * 26 + (letters.charCodeAt(i) - 64);
+    return n - 1;
+  }
+
+  function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // --- Reading ---
+  // Path of the first worksheet, following workbook.xml → its relationships
+  async function firstSheetPath(pkg) {
+    const workbook = await pkg.text('xl/workbook.xml');
+    const sheet = /<(?:\w+:)?sheet\b[^>]*>/.exec(workbook);
+    const rels = pkg.has('xl/_rels/workbook.xml.rels') ? await pkg.text('xl/_rels/workbook.xml.rels') : '';
+    if (sheet && rels) {
+      const id = Object.entries(attrs(sheet[0])).find(([key]) => /(^|:)id$/.test(key));
+      const rel = (rels.match(/<(?:\w+:)?Relationship\b[^>]*>/g) || []).map(attrs).find(r => id && r.Id === id[1]);
+      if (rel) return rel.Target.startsWith('/') ? rel.Target.slice(1) : 'xl/' + rel.Target;
+    }
+    return 'xl/worksheets/sheet1.xml';
+  }
+
+  // .xlsx bytes → rows of string cells from the first worksheet
+  async function read(buffer) {
+    const pkg = unzip(buffer);
+    const shared = [];
+    if (pkg.has('xl/sharedStrings.xml')) {
+      const sst = await pkg.text('xl/sharedStrings.xml');
+      (sst.match(/<si>[\s\S]*?<\/si>/g) || []).forEach(si => shared.push(textRuns(si)));
+    }
+
+    const sheet = await pkg.text(await firstSheetPath(pkg));
+    const rows = [];
+    (sheet.match(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g) || []).forEach(rowXml => {
+      const row = [];
+      const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+      let m;
+      while ((m = cellRe.exec(rowXml))) {
+        const a = attrs(m[1]);
+        const body = m[2] || '';
+        const v = /<v>([\s\S]*?)<\/v>/.exec(body);
+        let value = v ? unescapeXml(v[1]) : '';
+        if (a.t === 's') value = shared[parseInt(value, 10)] || '';
+        else if (a.t === 'inlineStr') value = textRuns(body);
+        else if (a.t === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+        row[a.r ? columnIndex(a.r) : row.length] = value;
+      }
+      rows.push(Array.from(row, cell => cell || ''));
+    });
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+  }
+
+  // --- Writing ---
+  const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+  const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  function cellXml(value, ref) {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+
+  // rows of cells (numbers stay numeric) → .xlsx bytes
+  function write(rows, sheetName) {
+    const sheetData = rows.map((row, r) => {
+      const cells = row.map((value, c) => cellXml(value, columnName(c) + (r + 1))).join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    const parts = {
+      '[Content_Types].xml': XML_HEAD +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+      '_rels/.rels': XML_HEAD +
+        `<Relationships xmlns="${NS_PKG_REL}">` +
+        `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+      'xl/workbook.xml': XML_HEAD +
+        `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+        `<sheets><sheet name="${escapeXml(sheetName || 'Sheet1')}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+      'xl/_rels/workbook.xml.rels': XML_HEAD +
+        `<Relationships xmlns="${NS_PKG_REL}">` +
+        `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        '</Relationships>',
+      'xl/worksheets/sheet1.xml': XML_HEAD +
+        `<worksheet xmlns="${NS_MAIN}"><sheetData>${sheetData}</sheetData></worksheet>`,
+    };
+
+    return zip(Object.keys(parts).map(name => ({ name, data: encoder.encode(parts[name]) })));
+  }
+
+  return {
+    read,
+    write,
+    zip,
+    unzip,
+    crc32,
+  };
+});
@@ -0,0 +1,164 @@
+// ===== Raw Block / Slab Cutting Yield =====
+//
+// Plans how many L-profiles one raw block (or slab) yields. Pieces run their
+// length L along one block axis; their cross-sections are packed in the plane
+// of the other two:
+//
+//   ┌────────────┬─┬────────────┐   columns of W-wide sections, stacked with
+//   │▀▀▀▀▀▀▀▀▀▀█ │ │▀▀▀▀▀▀▀▀▀▀█ │   kerf between cuts. Where the underside is
+//   │█         █ │ │█         █ │   wide enough for two lips side by side, every
+//   │█▄▄▄▄▄▄▄▄▄▄ │ │█▄▄▄▄▄▄▄▄▄▄ │   second piece is turned 180° so its lip rises
+//   │            │ │            │   into the space under the one above:
+//   └────────────┴─┴────────────┘   a pair then needs 2T + Lh + kerf, not 2(T + Lh)
+//
+// Every axis assignment is tried and the one with the most pieces wins. Block
+// dimensions are raw; trim is taken off each face before cutting.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry.js'), require('./i18n.js'), require('./units.js'));
+  } else {
+    root.StoneYield = factory(root.StoneGeometry, root.StoneI18n, root.StoneUnits);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Geometry, I18n, Units) {
+  'use strict';
+
+  const AXES = I18n.localize([
+    { id: 'L', label: 'block length' },
+    { id: 'W', label: 'block width' },
+    { id: 'H', label: 'block height' },
+  ], 'yield.axis');
+
+  const DEFAULTS = {
+    L: 3000,
+    W: 1500,
+    H: 1200,
+    kerf: 5,
+    trim: 20,
+  };
+
+  function normalizeBlock(input) {
+    const src = input || {};
+    return {
+      L: parseFloat(src.L) || 0,
+      W: parseFloat(src.W) || 0,
+      H: parseFloat(src.H) || 0,
+      kerf: parseFloat(src.kerf) || 0,
+      trim: parseFloat(src.trim) || 0,
+    };
+  }
+
+  // Returns a list of { field, message }; an empty list means the block is usable
+  function validate(block) {
+    const errors = [];
+    AXES.forEach(axis => {
+      if (!(block[axis.id] > 0)) {
+        errors.push({ field: axis.id, message: I18n.t('yield.error.axis', { axis: axis.label }) });
+      } else if (block.trim * 2 >= block[axis.id]) {
+        errors.push({ field: 'trim', message: I18n.t('yield.error.trimAxis', { trim: Units.lengthText(block.trim), axis: axis.label }) });
+      }
+    });
+    if (block.kerf < 0) errors.push({ field: 'kerf', message: I18n.t('yield.error.kerf') });
+    if (block.trim < 0) errors.push({ field: 'trim', message: I18n.t('yield.error.trim') });
+    return errors;
+  }
+
+  // Pieces of size `size` (plus kerf between them) that fit in `room`
+  function fit(room, size, kerf) {
+    return size > 0 ? Math.max(0, Math.floor((room + kerf) / (size + kerf) + 1e-9)) : 0;
+  }
+
+  // Sections in one column of height `room`: plain, or alternating with turned pieces
+  function stack(room, p, kerf, nested) {
+    const H = p.T + p.Lh;
+    if (!nested) return fit(room, H, kerf);
+    const pairs = fit(room, 2 * p.T + p.Lh + kerf, kerf);
+    const left = room - pairs * (2 * p.T + p.Lh + 2 * kerf);
+    return pairs * 2 + (left >= H ? 1 : 0);
+  }
+
+  // Cross-sections in the section plane (mm, y up, origin at the usable
+  // area's bottom-left), filled from the top. Each piece is the outline moved
+  // by (x, y); a turned piece is first rotated 180°, (x, y) → (W − x, −y).
+  function layout(p, columns, rows, kerf, room, nested) {
+    const pieces = [];
+    for (let c = 0; c < columns; c++) {
+      const x = c * (p.W + kerf);
+      let top = room;
+      let above = null;
+      for (let r = 0; r < rows; r++) {
+        if (nested && r % 2 === 1) {
+          // Lip top one kerf under the underside of the slab above
+          const y = above - kerf - p.Lh;
+          pieces.push({ x, y, turned: true });
+          top = y - p.T - kerf;
+        } else {
+          const y = top - p.T;
+          pieces.push({ x, y, turned: false });
+          above = y;
+          top = y - p.Lh - kerf;
+        }
+      }
+    }
+    return pieces;
+  }
+
+  // Outline of a placed piece, in section-plane coordinates
+  function pieceOutline(p, piece) {
+    return Geometry.outline(p).map(pt => piece.turned
+      ? { x: piece.x + p.W - pt.x, y: piece.y - pt.y, bulge: pt.bulge }
+      : { x: piece.x + pt.x, y: piece.y + pt.y, bulge: pt.bulge });
+  }
+
+  // Best plan for one stone in one block
+  function plan(stoneInput, blockInput) {
+    const p = Geometry.normalize(stoneInput);
+    const block = normalizeBlock(blockInput);
+    const errors = validate(block);
+    const result = { params: p, block, errors, valid: false, perBlock: 0 };
+    if (errors.length > 0 || Geometry.validate(p).length > 0) return result;
+
+    const usable = {};
+    AXES.forEach(axis => { usable[axis.id] = block[axis.id] - 2 * block.trim; });
+    const canNest = p.W - 2 * p.Lw >= block.kerf;
+
+    let best = null;
+    AXES.forEach(along => {
+      AXES.filter(axis => axis !== along).forEach(across => {
+        const up = AXES.find(axis => axis !== along && axis !== across);
+        [false, true].filter(nested => !nested || canNest).forEach(nested => {
+          const lengths = fit(usable[along.id], p.L, block.kerf);
+          const columns = fit(usable[across.id], p.W, block.kerf);
+          const rows = stack(usable[up.id], p, block.kerf, nested);
+          const count = lengths * columns * rows;
+          if (!best || count > best.count) best = { along, across, up, nested, lengths, columns, rows, count };
+        });
+      });
+    });
+
+    const volumeOne = Geometry.area(p) * p.L - Geometry.endVolume(p);
+    const blockVolume = block.L * block.W * block.H;
+    result.valid = true;
+    result.perBlock = best.count;
+    result.lengths = best.lengths;
+    result.columns = best.columns;
+    result.rows = best.rows;
+    result.nested = best.nested && best.rows > 1;
+    result.axes = { length: best.along, across: best.across, up: best.up };
+    result.section = { width: block[best.across.id], height: block[best.up.id] };
+    result.length = block[best.along.id];
+    result.pieces = layout(p, best.columns, best.rows, block.kerf, usable[best.up.id], best.nested);
+    result.blocksNeeded = best.count > 0 ? Math.ceil(p.qty / best.count) : null;
+    result.waste = 100 * (1 - (best.count * volumeOne) / blockVolume);
+    return result;
+  }
+
+  return {
+    AXES,
+    DEFAULTS,
+    normalizeBlock,
+    validate,
+    plan,
+    pieceOutline,
+  };
+});